@@ -0,0 +1,271 @@
+/**
+ * PBS间距检查引擎
+ * 检查同一厂区内的PBS单元之间是否满足最小间距：
+ * - 按单元的实际形状（圆形/矩形/多边形，含旋转）计算两单元之间的最短距离
+ * - 最小间距按设备类型取值（CLEARANCE_CONFIG.RADII），两个单元之间取较大者
+ * - 距离小于最小间距（包括重叠）即为冲突
+ * 检查是增量的：refresh() 只重新检查移动过（lastUnitMove）或修改过属性（lastUnitEdit）的单元，
+ * 邻近单元通过 UnitIndex 查询，拖拽过程中每帧的开销只与被拖动的单元数量相关；
+ * 厂区变化（场景加载/清空）时重新检查全部单元
+ * 冲突列表通过 StateManager 的 clearanceViolations 通知订阅者
+ */
+
+import { CLEARANCE_CONFIG } from '../utils/constants.js';
+import { getShapeFootprint, shapeDistance } from '../utils/geometry.js';
+import { getUnitBounds } from '../core/UnitIndex.js';
+
+// 任意两个单元之间可能要求的最大间距，用于确定邻近单元的查询范围
+const MAX_CLEARANCE = Math.max(CLEARANCE_CONFIG.DEFAULT_RADIUS, ...Object.values(CLEARANCE_CONFIG.RADII));
+
+export class ClearanceEngine {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {UnitIndex} unitIndex - PBS单元空间索引
+   */
+  constructor(stateManager, unitIndex) {
+    this.stateManager = stateManager;
+    this.unitIndex = unitIndex;
+
+    // PBS单元 -> { factory, shape, bounds, clearance }，坐标为厂区本地坐标
+    this.entries = new Map();
+    // PBS单元 -> Map(另一个单元 -> 冲突)，每个冲突在两个单元下各登记一次
+    this.conflicts = new Map();
+    // 等待重新检查的单元
+    this.dirty = new Set();
+    // 是否需要重新检查全部单元
+    this.needsFullCheck = true;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.needsFullCheck = true;
+      }
+      if (newState.lastUnitMove !== oldState.lastUnitMove && newState.lastUnitMove) {
+        newState.lastUnitMove.units.forEach(unit => this.dirty.add(unit));
+      }
+      if (newState.lastUnitEdit !== oldState.lastUnitEdit && newState.lastUnitEdit) {
+        this.dirty.add(newState.lastUnitEdit.unit);
+      }
+    });
+  }
+
+  /**
+   * 获取单元要求的最小间距
+   * @param {Object} pbsData - 单元数据
+   * @returns {number} 最小间距（厂区坐标）
+   */
+  getClearance(pbsData) {
+    return CLEARANCE_CONFIG.RADII[pbsData.equipmentType] ?? CLEARANCE_CONFIG.DEFAULT_RADIUS;
+  }
+
+  /**
+   * 重新检查发生变化的单元
+   * @returns {Array} 当前的冲突列表
+   */
+  refresh() {
+    let units;
+    if (this.needsFullCheck) {
+      this.needsFullCheck = false;
+      this.entries.clear();
+      this.conflicts.clear();
+      units = this.collectUnits();
+    } else if (this.dirty.size > 0) {
+      units = [...this.dirty];
+    } else {
+      return this.stateManager.get('clearanceViolations');
+    }
+    this.dirty.clear();
+
+    // 先更新所有变化单元的缓存，检查时邻近单元的形状都是最新的
+    const checkable = [];
+    units.forEach(unit => {
+      if (unit.destroyed || !unit.parent || !unit.visible) {
+        this.entries.delete(unit);
+        this.clearConflicts(unit);
+        return;
+      }
+      this.entries.set(unit, this.createEntry(unit));
+      checkable.push(unit);
+    });
+
+    this.checkUnits(checkable);
+    this.stateManager.setClearanceViolations(this.collectViolations());
+    return this.stateManager.get('clearanceViolations');
+  }
+
+  /**
+   * 重新检查指定单元与同厂区邻近单元之间的间距
+   * @param {Array} units - 需要检查的单元（缓存已更新）
+   */
+  checkUnits(units) {
+    const checked = new Set();
+    units.forEach(unit => this.clearConflicts(unit));
+
+    units.forEach(unit => {
+      const entry = this.entries.get(unit);
+      const { minX, minY, maxX, maxY } = entry.bounds;
+      const margin = Math.max(entry.clearance, MAX_CLEARANCE);
+      const neighbours = this.unitIndex.queryLocalRect(entry.factory, {
+        minX: minX - margin,
+        minY: minY - margin,
+        maxX: maxX + margin,
+        maxY: maxY + margin
+      });
+
+      neighbours.forEach(otherUnit => {
+        // 两个单元都需要检查时，每对只计算一次
+        if (otherUnit === unit || checked.has(otherUnit) || !otherUnit.visible) return;
+
+        const other = this.getEntry(otherUnit);
+        const required = Math.max(entry.clearance, other.clearance);
+        if (!boundsNear(entry.bounds, other.bounds, required)) return;
+
+        const distance = shapeDistance(entry.shape, other.shape);
+        if (distance < required) {
+          this.addConflict({ a: unit, b: otherUnit, distance, required });
+        }
+      });
+
+      checked.add(unit);
+    });
+  }
+
+  /**
+   * 获取当前的冲突列表（先同步场景中的变化）
+   * @returns {Array} 冲突列表 [{ a, b, distance, required }]
+   */
+  getViolations() {
+    return this.refresh();
+  }
+
+  /**
+   * 单元是否存在间距冲突
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @returns {boolean}
+   */
+  hasViolation(unit) {
+    const conflicts = this.conflicts.get(unit);
+    return !!conflicts && conflicts.size > 0;
+  }
+
+  /**
+   * 下次 refresh() 时重新检查全部单元
+   */
+  reset() {
+    this.needsFullCheck = true;
+  }
+
+  /**
+   * 获取（必要时计算）单元的缓存条目
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @returns {Object} 缓存条目
+   */
+  getEntry(unit) {
+    if (!this.entries.has(unit)) {
+      this.entries.set(unit, this.createEntry(unit));
+    }
+    return this.entries.get(unit);
+  }
+
+  /**
+   * 收集场景中所有厂区下的可见PBS单元
+   * @returns {Array} PBS单元数组
+   */
+  collectUnits() {
+    const units = [];
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed) return;
+      factory.children.forEach(child => {
+        if (child.isPBS && child.visible && !child.destroyed) {
+          units.push(child);
+        }
+      });
+    });
+    return units;
+  }
+
+  /**
+   * 计算单元在厂区本地坐标中的形状和包围盒
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @returns {Object} 缓存条目
+   */
+  createEntry(unit) {
+    const data = unit.pbsData;
+    const position = { x: unit.x, y: unit.y };
+    const shape = data.shape === 'circle'
+      ? { center: position, radius: data.size }
+      : { points: getShapeFootprint(data, position, unit.rotation) };
+
+    return {
+      factory: unit.parent,
+      shape,
+      bounds: getUnitBounds(unit),
+      clearance: this.getClearance(data)
+    };
+  }
+
+  /**
+   * 登记冲突
+   * @param {Object} violation - 冲突 { a, b, distance, required }
+   */
+  addConflict(violation) {
+    [[violation.a, violation.b], [violation.b, violation.a]].forEach(([unit, other]) => {
+      if (!this.conflicts.has(unit)) {
+        this.conflicts.set(unit, new Map());
+      }
+      this.conflicts.get(unit).set(other, violation);
+    });
+  }
+
+  /**
+   * 移除单元涉及的所有冲突
+   * @param {PIXI.Graphics} unit - PBS单元
+   */
+  clearConflicts(unit) {
+    const conflicts = this.conflicts.get(unit);
+    if (!conflicts) return;
+
+    conflicts.forEach((violation, other) => {
+      const otherConflicts = this.conflicts.get(other);
+      if (otherConflicts) {
+        otherConflicts.delete(unit);
+      }
+    });
+    this.conflicts.delete(unit);
+  }
+
+  /**
+   * 汇总冲突列表，按距离从小到大排序
+   * @returns {Array} 冲突列表
+   */
+  collectViolations() {
+    const violations = new Set();
+    this.conflicts.forEach(conflicts => {
+      conflicts.forEach(violation => violations.add(violation));
+    });
+    return [...violations].sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * 销毁间距检查引擎
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+/**
+ * 两个包围盒之间的距离是否可能小于指定值
+ * @param {Object} a - 包围盒 {minX, minY, maxX, maxY}
+ * @param {Object} b - 包围盒 {minX, minY, maxX, maxY}
+ * @param {number} margin - 距离
+ * @returns {boolean}
+ */
+function boundsNear(a, b, margin) {
+  return a.minX - margin < b.maxX && b.minX - margin < a.maxX &&
+         a.minY - margin < b.maxY && b.minY - margin < a.maxY;
+}
@@ -0,0 +1,178 @@
+/**
+ * 几何分析
+ * 计算厂区轮廓、区域和多边形PBS单元的面积、周长、外接矩形、顶点方向和质心：
+ * - 坐标和数值均为厂区本地坐标（即场景文档中的坐标），不随视窗和厂区的显示缩放变化
+ * - 多边形PBS单元按其位置和旋转换算到厂区本地坐标
+ * 计算是增量的：refresh() 只重新计算轮廓被编辑过的厂区、移动过（lastUnitMove）或修改过属性（lastUnitEdit）的单元，
+ * 厂区或区域变化（场景加载/清空、绘制区域、撤销/重做）时重新计算全部
+ * 结果通过 StateManager 的 geometryMetrics 通知订阅者
+ */
+
+import { analyzePolygon, getShapeFootprint } from '../utils/geometry.js';
+
+export class GeometryAnalytics {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    // 图形对象 -> 分析结果
+    this.entries = new Map();
+    // 厂区 -> 上次计算时的顶点数组（FactoryRenderer.updateOutline 每次都替换为新数组）
+    this.outlines = new Map();
+    // 等待重新计算的PBS单元
+    this.dirty = new Set();
+    // 是否需要重新计算全部
+    this.needsFullCheck = true;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic ||
+          newState.zones !== oldState.zones) {
+        this.needsFullCheck = true;
+      }
+      if (newState.lastUnitMove !== oldState.lastUnitMove && newState.lastUnitMove) {
+        newState.lastUnitMove.units.forEach(unit => this.dirty.add(unit));
+      }
+      if (newState.lastUnitEdit !== oldState.lastUnitEdit && newState.lastUnitEdit) {
+        this.dirty.add(newState.lastUnitEdit.unit);
+      }
+    });
+  }
+
+  /**
+   * 重新计算发生变化的图形
+   * @returns {Array} 当前的分析结果列表
+   */
+  refresh() {
+    let changed = false;
+
+    if (this.needsFullCheck) {
+      this.needsFullCheck = false;
+      this.entries.clear();
+      this.outlines.clear();
+      this.dirty.clear();
+      this.collectTargets().forEach(target => {
+        this.entries.set(target, this.createEntry(target));
+      });
+      changed = true;
+    } else {
+      // 轮廓编辑直接修改 factoryData，不经过 StateManager，按顶点数组是否被替换判断
+      this.outlines.forEach((points, factory) => {
+        if (factory.factoryData && factory.factoryData.points !== points) {
+          this.entries.set(factory, this.createEntry(factory));
+          changed = true;
+        }
+      });
+
+      this.dirty.forEach(unit => {
+        if (isPolygonUnit(unit)) {
+          this.entries.set(unit, this.createEntry(unit));
+          changed = true;
+        } else if (this.entries.delete(unit)) {
+          // 形状不再是多边形或单元已被移除
+          changed = true;
+        }
+      });
+      this.dirty.clear();
+    }
+
+    if (changed) {
+      this.stateManager.setGeometryMetrics([...this.entries.values()]);
+    }
+    return this.stateManager.get('geometryMetrics');
+  }
+
+  /**
+   * 获取分析结果（先同步场景中的变化）
+   * @param {string|null} kind - 只返回指定类型 'factory' | 'zone' | 'unit'，为空时返回全部
+   * @returns {Array} 分析结果列表
+   */
+  getMetrics(kind = null) {
+    const metrics = this.refresh();
+    return kind ? metrics.filter(entry => entry.kind === kind) : metrics;
+  }
+
+  /**
+   * 获取单个图形的分析结果
+   * @param {PIXI.Graphics} target - 厂区、区域或多边形PBS单元
+   * @returns {Object|null} 分析结果，不是可分析的图形时为 null
+   */
+  getMetricsFor(target) {
+    this.refresh();
+    return this.entries.get(target) || null;
+  }
+
+  /**
+   * 下次 refresh() 时重新计算全部
+   */
+  reset() {
+    this.needsFullCheck = true;
+  }
+
+  /**
+   * 收集场景中的厂区、区域和多边形PBS单元（按此顺序）
+   * @returns {Array} 图形对象数组
+   */
+  collectTargets() {
+    const factories = this.stateManager.getFactoryGraphics()
+      .filter(factory => !factory.destroyed && factory.factoryData);
+    const zones = this.stateManager.get('zones')
+      .filter(zone => !zone.destroyed && zone.parent);
+    const units = [];
+    factories.forEach(factory => {
+      factory.children.forEach(child => {
+        if (isPolygonUnit(child)) {
+          units.push(child);
+        }
+      });
+    });
+    return [...factories, ...zones, ...units];
+  }
+
+  /**
+   * 计算图形在厂区本地坐标中的几何指标
+   * @param {PIXI.Graphics} target - 厂区、区域或多边形PBS单元
+   * @returns {Object} 分析结果 { kind, target, factory, id, name, area, signedArea, perimeter, bounds, orientation, centroid }
+   */
+  createEntry(target) {
+    if (target.isFactory) {
+      const { id, name, points } = target.factoryData;
+      this.outlines.set(target, points);
+      return { kind: 'factory', target, factory: target, id, name, ...analyzePolygon(points) };
+    }
+
+    if (target.isZone) {
+      const { id, name, points } = target.zoneData;
+      return { kind: 'zone', target, factory: target.parent, id, name, ...analyzePolygon(points) };
+    }
+
+    const { id, name } = target.pbsData;
+    const points = getShapeFootprint(target.pbsData, { x: target.x, y: target.y }, target.rotation);
+    return { kind: 'unit', target, factory: target.parent, id, name, ...analyzePolygon(points) };
+  }
+
+  /**
+   * 销毁几何分析
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.entries.clear();
+    this.outlines.clear();
+  }
+}
+
+/**
+ * 是否为场景中的多边形PBS单元
+ * @param {PIXI.Graphics} unit - 图形对象
+ * @returns {boolean}
+ */
+function isPolygonUnit(unit) {
+  return !!unit.isPBS && !unit.destroyed && !!unit.parent &&
+    unit.pbsData.shape === 'polygon' && !!unit.pbsData.points && unit.pbsData.points.length >= 3;
+}
@@ -0,0 +1,309 @@
+/**
+ * 实际尺寸标定工具
+ * 作为 ViewportController 的交互工具，在主厂区轮廓上依次点选两点，输入两点间的实际距离，
+ * 得到场景坐标到实际长度的比例并写入 StateManager 的 calibration（随场景文档保存，可撤销）：
+ * - 点击位置吸附到附近的轮廓顶点或轮廓边上，离轮廓太远的点击被忽略
+ * - 选好第二个点后弹出输入框，确认后退出标定模式；取消或输入无效时重新选点
+ * - Esc 清除已选的点
+ * - 中键/右键拖拽仍可平移视窗
+ */
+
+import { CALIBRATION_CONFIG } from '../utils/constants.js';
+import { closestPointOnSegment } from '../utils/geometry.js';
+import { createCalibration, getUnitConfig, formatLength } from '../utils/units.js';
+
+export class CalibrationTool {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器，用于注册为交互工具
+   */
+  constructor(app, stateManager, viewportController) {
+    this.name = 'calibrate';
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+
+    // 输入实际距离时使用的单位，取值为 CALIBRATION_CONFIG.UNITS 的键
+    this.unit = CALIBRATION_CONFIG.DEFAULT_UNIT;
+
+    this.factory = null;
+    this.points = [];
+    this.hoverPoint = null;
+    this.layer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * 是否处于标定模式
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.stateManager.get('activeTool') === this.name;
+  }
+
+  /**
+   * 进入标定模式
+   */
+  enable() {
+    if (!this.stateManager.get('factoryGraphic')) {
+      console.warn('未找到厂区，无法标定');
+      return;
+    }
+    this.viewportController.setActiveTool(this);
+  }
+
+  /**
+   * 退出标定模式
+   */
+  disable() {
+    if (this.isActive()) {
+      this.viewportController.setActiveTool(null);
+    }
+  }
+
+  /**
+   * 切换标定模式
+   * @returns {boolean} 切换后是否处于标定模式
+   */
+  toggle() {
+    if (this.isActive()) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive();
+  }
+
+  /**
+   * 工具激活回调（由 ViewportController.setActiveTool 调用）
+   */
+  activate() {
+    this.factory = this.stateManager.get('factoryGraphic');
+    this.points = [];
+    this.hoverPoint = null;
+
+    this.layer = new PIXI.Graphics();
+    this.layer.isEditorOverlay = true;
+    this.factory.addChild(this.layer);
+
+    // 缩放变化时保持标记大小不变
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport) {
+        this.draw();
+      }
+    });
+
+    console.log('标定模式: 已启用，请在厂区轮廓上点选两点');
+  }
+
+  /**
+   * 工具停用回调
+   */
+  deactivate() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.layer) {
+      if (this.layer.parent) {
+        this.layer.parent.removeChild(this.layer);
+      }
+      this.layer.destroy();
+      this.layer = null;
+    }
+
+    this.points = [];
+    this.hoverPoint = null;
+    this.factory = null;
+
+    this.render();
+    console.log('标定模式: 已禁用');
+  }
+
+  /**
+   * 指针按下：在轮廓上选点，选满两点后请求输入实际距离
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerDown(event, worldPoint) {
+    // 仅处理左键，其余按键交给视窗平移
+    if (event.button !== undefined && event.button !== 0) return false;
+
+    const point = this.snapToOutline(this.toFactoryLocal(worldPoint));
+    if (!point) {
+      console.warn('请点击厂区轮廓附近的位置');
+      return true;
+    }
+
+    this.points.push(point);
+    this.draw();
+    this.render();
+
+    if (this.points.length === 2) {
+      this.requestDistance();
+    }
+    return true;
+  }
+
+  /**
+   * 指针移动：显示吸附到轮廓上的位置
+   * 不拦截事件，以便中键/右键平移视窗
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerMove(event, worldPoint) {
+    if (this.stateManager.get('isDragging')) return false;
+
+    this.hoverPoint = this.snapToOutline(this.toFactoryLocal(worldPoint));
+    this.app.canvas.style.cursor = 'crosshair';
+    this.draw();
+    this.render();
+    return false;
+  }
+
+  /**
+   * 弹出输入框请求两点间的实际距离，确认后完成标定并退出标定模式
+   */
+  requestDistance() {
+    const [a, b] = this.points;
+    const sceneDistance = Math.hypot(b.x - a.x, b.y - a.y);
+    const current = this.stateManager.get('calibration');
+    const { label } = getUnitConfig(this.unit);
+    const suggestion = current && current.unit === this.unit ? (sceneDistance * current.scale).toFixed(2) : '';
+
+    const input = window.prompt(`请输入两点间的实际距离（${label}）`, suggestion);
+
+    // 无论结果如何都重新选点，标定成功时随后退出
+    this.points = [];
+    this.draw();
+    this.render();
+    if (input === null) return;
+
+    try {
+      this.calibrate(a, b, Number(input), this.unit);
+      this.disable();
+    } catch (error) {
+      console.warn(`标定失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 按两点间的已知实际距离标定
+   * @param {Object} a - 第一个点（厂区本地坐标）
+   * @param {Object} b - 第二个点（厂区本地坐标）
+   * @param {number} distance - 两点间的实际距离
+   * @param {string} unit - 实际距离的单位，默认为工具当前的单位
+   * @returns {Object} 标定 { scale, unit }
+   */
+  calibrate(a, b, distance, unit = this.unit) {
+    const calibration = createCalibration(Math.hypot(b.x - a.x, b.y - a.y), distance, unit);
+    this.unit = unit;
+    this.stateManager.setCalibration(calibration);
+    console.log(`实际尺寸标定完成: 1 场景单位 = ${formatLength(1, calibration, 4)}`);
+    return calibration;
+  }
+
+  /**
+   * 清除已选的点
+   * @returns {boolean} 是否有点被清除
+   */
+  cancel() {
+    if (!this.isActive() || this.points.length === 0) return false;
+
+    this.points = [];
+    this.draw();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 将本地坐标吸附到主厂区轮廓上，顶点优先
+   * @param {Object} local - 厂区本地坐标
+   * @returns {Object|null} 轮廓上的点 {x, y}，离轮廓太远时为 null
+   */
+  snapToOutline(local) {
+    const outline = this.factory.factoryData.points;
+    const tolerance = CALIBRATION_CONFIG.SNAP_DISTANCE * this.getPixelSize();
+
+    let best = null;
+    let bestDistance = tolerance;
+    outline.forEach(vertex => {
+      const distance = Math.hypot(vertex.x - local.x, vertex.y - local.y);
+      if (distance <= bestDistance) {
+        best = { x: vertex.x, y: vertex.y };
+        bestDistance = distance;
+      }
+    });
+    if (best) return best;
+
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+      const closest = closestPointOnSegment(local, outline[j], outline[i]);
+      const distance = Math.hypot(closest.x - local.x, closest.y - local.y);
+      if (distance <= bestDistance) {
+        best = closest;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 世界坐标转换为厂区本地坐标
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {PIXI.Point} 本地坐标
+   */
+  toFactoryLocal(worldPoint) {
+    return this.factory.toLocal(new PIXI.Point(worldPoint.x, worldPoint.y), this.app.stage);
+  }
+
+  /**
+   * 一个屏幕像素对应的厂区本地坐标长度
+   * @returns {number}
+   */
+  getPixelSize() {
+    const viewport = this.stateManager.get('viewport');
+    return 1 / (this.factory.scale.x * viewport.scale);
+  }
+
+  /**
+   * 绘制已选的点、两点连线和吸附位置
+   */
+  draw() {
+    if (!this.layer) return;
+
+    const config = CALIBRATION_CONFIG;
+    const pixel = this.getPixelSize();
+    this.layer.clear();
+
+    const end = this.points.length === 1 ? this.hoverPoint : this.points[1];
+    if (this.points.length > 0 && end) {
+      this.layer.moveTo(this.points[0].x, this.points[0].y);
+      this.layer.lineTo(end.x, end.y);
+      this.layer.stroke({ width: config.LINE_WIDTH * pixel, color: config.LINE_COLOR });
+    }
+
+    this.points.forEach(point => {
+      this.layer.circle(point.x, point.y, config.POINT_RADIUS * pixel);
+      this.layer.fill(config.LINE_COLOR);
+    });
+
+    if (this.hoverPoint) {
+      this.layer.circle(this.hoverPoint.x, this.hoverPoint.y, config.POINT_RADIUS * pixel);
+      this.layer.stroke({ width: config.LINE_WIDTH * pixel, color: config.SNAP_COLOR });
+    }
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * PBS拖拽约束
+ * 拖拽PBS单元时检查单元轮廓是否位于所属厂区的轮廓内（逐点的点在多边形内检测）。
+ * 规则按厂区配置（factoryData.containment，取值见 CONTAINMENT_CONFIG.RULES）：
+ * - none: 不限制
+ * - clamp: 移动到无效位置时限制在最近的有效位置，可沿厂区边界滑动
+ * - snapBack: 允许移动，但无效位置会着色提示，松开时整组退回原位
+ * 拖拽组使用 ViewportController 中的 [{unit, from, grab}] 结构，坐标均为单元父容器的本地坐标；
+ * prepare() 在其中补充 rule、invalid 和 tint（单元原有的着色）
+ */
+
+import { CONTAINMENT_CONFIG } from '../utils/constants.js';
+import { pointInPolygon, getShapeFootprint } from '../utils/geometry.js';
+
+export class ContainmentConstraint {
+  /**
+   * 获取厂区的约束规则
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {string} 规则
+   */
+  getRule(factory) {
+    if (!factory || !factory.factoryData) return 'none';
+    return factory.factoryData.containment || CONTAINMENT_CONFIG.DEFAULT_RULE;
+  }
+
+  /**
+   * 设置厂区的约束规则
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {string} rule - 规则
+   */
+  setRule(factory, rule) {
+    if (!CONTAINMENT_CONFIG.RULES.includes(rule)) {
+      throw new Error(`未知的拖拽约束规则: ${rule}`);
+    }
+    if (!factory || !factory.factoryData) {
+      throw new Error('厂区图形缺少 factoryData，无法设置拖拽约束');
+    }
+    factory.factoryData.containment = rule;
+  }
+
+  /**
+   * 拖拽开始时确定每个单元生效的规则，并记录单元原有的着色，清除无效标记时恢复
+   * 起始位置已在厂区外的单元不做限制，避免其无法被拖回厂区
+   * @param {Array} group - 拖拽组
+   */
+  prepare(group) {
+    group.forEach(item => {
+      item.rule = this.getRule(item.unit.parent);
+      item.tint = item.unit.tint;
+      if (item.rule === 'clamp' && !this.isInside(item.unit, item.from)) {
+        item.rule = 'none';
+      }
+      item.invalid = false;
+    });
+  }
+
+  /**
+   * 单元位于指定位置时是否完全在所属厂区轮廓内
+   * 要求单元轮廓点都在厂区内，且厂区的顶点都不在单元内（排除跨过凹角的情况）
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @param {Object} position - 单元位置（父容器本地坐标） {x, y}
+   * @returns {boolean}
+   */
+  isInside(unit, position) {
+    const factory = unit.parent;
+    if (!factory || !factory.factoryData) return true;
+
+    const outline = factory.factoryData.points;
+    const footprint = getShapeFootprint(unit.pbsData, position, unit.rotation, CONTAINMENT_CONFIG.CIRCLE_SAMPLES);
+
+    return footprint.every(point => pointInPolygon(point, outline)) &&
+           (footprint.length < 3 || !outline.some(vertex => pointInPolygon(vertex, footprint)));
+  }
+
+  /**
+   * 按规则限制拖拽组的目标位置
+   * 整组使用相同的移动比例，保持单元之间的相对位置：
+   * 完整移动无效时，分别按“先X后Y”和“先Y后X”沿各轴移动到最远的有效位置（沿边界滑动），
+   * 取离目标较近的结果
+   * @param {Array} group - 拖拽组，单元当前位置视为上一个有效位置
+   * @param {Array} targets - 每个单元的目标位置
+   * @returns {Array} 限制后的位置
+   */
+  constrain(group, targets) {
+    if (!group.some(item => item.rule === 'clamp')) return targets;
+
+    const current = group.map(({ unit }) => ({ x: unit.x, y: unit.y }));
+    const at = (tx, ty) => targets.map((target, i) => ({
+      x: current[i].x + (target.x - current[i].x) * tx,
+      y: current[i].y + (target.y - current[i].y) * ty
+    }));
+    const isValid = positions => group.every((item, i) =>
+      item.rule !== 'clamp' || this.isInside(item.unit, positions[i]));
+    // 沿一个方向二分查找最远的有效比例
+    const furthest = positionsAt => {
+      if (isValid(positionsAt(1))) return 1;
+      let low = 0;
+      let high = 1;
+      for (let i = 0; i < CONTAINMENT_CONFIG.CLAMP_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (isValid(positionsAt(mid))) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      return low;
+    };
+
+    const full = at(1, 1);
+    if (isValid(full)) return full;
+
+    const xFirst = furthest(t => at(t, 0));
+    const viaX = at(xFirst, furthest(t => at(xFirst, t)));
+    const yFirst = furthest(t => at(0, t));
+    const viaY = at(furthest(t => at(t, yFirst)), yFirst);
+
+    const distance = positions => positions.reduce((sum, p, i) =>
+      sum + Math.hypot(targets[i].x - p.x, targets[i].y - p.y), 0);
+    return distance(viaX) <= distance(viaY) ? viaX : viaY;
+  }
+
+  /**
+   * 更新 snapBack 规则下单元的无效标记和着色
+   * @param {Array} group - 拖拽组
+   */
+  updateInvalidState(group) {
+    group.forEach(item => {
+      if (item.rule !== 'snapBack') return;
+      const invalid = !this.isInside(item.unit, { x: item.unit.x, y: item.unit.y });
+      if (invalid !== item.invalid) {
+        item.invalid = invalid;
+        item.unit.tint = invalid ? CONTAINMENT_CONFIG.INVALID_TINT : item.tint;
+      }
+    });
+  }
+
+  /**
+   * 拖拽结束：清除着色，存在无效位置时整组退回原位
+   * @param {Array} group - 拖拽组
+   * @returns {boolean} 是否退回了原位
+   */
+  finish(group) {
+    const snapBack = group.some(item => item.invalid);
+
+    this.clearInvalidState(group);
+    group.forEach(item => {
+      if (snapBack) {
+        item.unit.x = item.from.x;
+        item.unit.y = item.from.y;
+      }
+    });
+
+    if (snapBack) {
+      console.warn('PBS单元超出厂区范围，已退回原位');
+    }
+    return snapBack;
+  }
+
+  /**
+   * 清除无效标记，恢复单元原有的着色（拖拽被取消时直接调用，不再按当前位置检查）
+   * @param {Array} group - 拖拽组
+   */
+  clearInvalidState(group) {
+    group.forEach(item => {
+      if (item.invalid) {
+        item.unit.tint = item.tint;
+        item.invalid = false;
+      }
+    });
+  }
+}
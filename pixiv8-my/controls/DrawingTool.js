@@ -0,0 +1,340 @@
+/**
+ * 多边形绘制工具
+ * 作为 ViewportController 的交互工具，逐点点击绘制新的区域（危险区域、扩建用地等）：
+ * - 左键单击添加顶点，点击坐标经过视窗变换转换为厂区本地坐标
+ * - 双击，或点击第一个顶点附近时闭合图形
+ * - Esc 取消当前绘制
+ * - 启用网格吸附时，点击位置吸附到网格，按住 Alt 临时关闭
+ * - 中键/右键拖拽仍可平移视窗
+ * 完成的图形通过 PolygonRenderer 创建，并作为独立区域注册到 StateManager
+ */
+
+import { DRAWING_TOOL_CONFIG, ZONE_CONFIG } from '../utils/constants.js';
+import { AddZoneCommand } from '../core/HistoryCommands.js';
+import { generateId } from '../utils/id.js';
+
+export class DrawingTool {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {PolygonRenderer} polygonRenderer - 多边形渲染器
+   * @param {ViewportController} viewportController - 视窗控制器，用于注册为交互工具
+   * @param {HistoryManager} historyManager - 历史管理器（可选）
+   * @param {SnapService} snapService - 吸附服务（可选）
+   */
+  constructor(app, stateManager, polygonRenderer, viewportController, historyManager = null, snapService = null) {
+    this.name = 'draw';
+    this.app = app;
+    this.stateManager = stateManager;
+    this.polygonRenderer = polygonRenderer;
+    this.viewportController = viewportController;
+    this.historyManager = historyManager;
+    this.snapService = snapService;
+
+    // 新区域的类型，取值为 ZONE_CONFIG.TYPES 的键
+    this.zoneType = ZONE_CONFIG.DEFAULT_TYPE;
+
+    this.factory = null;
+    this.points = [];
+    this.cursorPoint = null;
+    this.previewLayer = null;
+
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.unsubscribe = null;
+  }
+
+  /**
+   * 是否处于绘制模式
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.stateManager.get('activeTool') === this.name;
+  }
+
+  /**
+   * 进入绘制模式
+   * @param {string} zoneType - 区域类型，默认沿用上一次的类型
+   */
+  enable(zoneType = this.zoneType) {
+    if (!ZONE_CONFIG.TYPES[zoneType]) {
+      console.warn(`未知的区域类型: ${zoneType}`);
+      return;
+    }
+    this.zoneType = zoneType;
+
+    if (!this.stateManager.get('factoryGraphic')) {
+      console.warn('未找到厂区，无法绘制区域');
+      return;
+    }
+    this.viewportController.setActiveTool(this);
+  }
+
+  /**
+   * 退出绘制模式（未完成的图形会被丢弃）
+   */
+  disable() {
+    if (this.isActive()) {
+      this.viewportController.setActiveTool(null);
+    }
+  }
+
+  /**
+   * 切换绘制模式
+   * @returns {boolean} 切换后是否处于绘制模式
+   */
+  toggle() {
+    if (this.isActive()) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive();
+  }
+
+  /**
+   * 工具激活回调（由 ViewportController.setActiveTool 调用）
+   */
+  activate() {
+    this.factory = this.stateManager.get('factoryGraphic');
+    this.points = [];
+    this.cursorPoint = null;
+
+    this.previewLayer = new PIXI.Graphics();
+    this.previewLayer.isEditorOverlay = true;
+    this.factory.addChild(this.previewLayer);
+
+    this.app.canvas.addEventListener('dblclick', this.handleDoubleClick);
+
+    // 缩放变化时保持预览线宽不变
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport) {
+        this.drawPreview();
+      }
+    });
+
+    console.log(`区域绘制模式: 已启用（${ZONE_CONFIG.TYPES[this.zoneType].label}）`);
+  }
+
+  /**
+   * 工具停用回调
+   */
+  deactivate() {
+    this.app.canvas.removeEventListener('dblclick', this.handleDoubleClick);
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.previewLayer) {
+      if (this.previewLayer.parent) {
+        this.previewLayer.parent.removeChild(this.previewLayer);
+      }
+      this.previewLayer.destroy();
+      this.previewLayer = null;
+    }
+
+    this.points = [];
+    this.cursorPoint = null;
+    this.factory = null;
+
+    this.render();
+    console.log('区域绘制模式: 已禁用');
+  }
+
+  /**
+   * 指针按下：添加顶点，或在第一个顶点附近点击时闭合图形
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerDown(event, worldPoint) {
+    // 仅处理左键，其余按键交给视窗平移
+    if (event.button !== undefined && event.button !== 0) return false;
+
+    const local = this.snap(this.toFactoryLocal(worldPoint), event);
+
+    if (this.points.length >= DRAWING_TOOL_CONFIG.MIN_VERTICES && this.isNearFirstPoint(local)) {
+      this.finish();
+      return true;
+    }
+
+    // 忽略与上一个顶点重合的点击（双击的第二次按下）
+    const last = this.points[this.points.length - 1];
+    const duplicateTolerance = DRAWING_TOOL_CONFIG.DUPLICATE_TOLERANCE * this.getPixelSize();
+    if (!last || Math.hypot(last.x - local.x, last.y - local.y) > duplicateTolerance) {
+      this.points.push({ x: local.x, y: local.y });
+    }
+
+    this.cursorPoint = { x: local.x, y: local.y };
+    this.drawPreview();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 指针移动：更新跟随鼠标的预览线
+   * 不拦截事件，以便中键/右键平移视窗
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerMove(event, worldPoint) {
+    if (this.stateManager.get('isDragging')) return false;
+
+    this.app.canvas.style.cursor = 'crosshair';
+    if (this.points.length === 0) return false;
+
+    this.cursorPoint = this.snap(this.toFactoryLocal(worldPoint), event);
+    this.drawPreview();
+    this.render();
+    return false;
+  }
+
+  /**
+   * 双击闭合图形
+   */
+  handleDoubleClick(event) {
+    event.preventDefault();
+    if (this.points.length >= DRAWING_TOOL_CONFIG.MIN_VERTICES) {
+      this.finish();
+    }
+  }
+
+  /**
+   * 完成绘制：创建区域并注册到状态
+   * @returns {PIXI.Graphics|null} 新建的区域图形
+   */
+  finish() {
+    if (this.points.length < DRAWING_TOOL_CONFIG.MIN_VERTICES) {
+      console.warn(`区域至少需要${DRAWING_TOOL_CONFIG.MIN_VERTICES}个顶点`);
+      return null;
+    }
+
+    const typeConfig = ZONE_CONFIG.TYPES[this.zoneType];
+    const zoneCount = this.stateManager.get('zones').filter(z => z.zoneData.type === this.zoneType).length;
+    const zone = this.polygonRenderer.createZone({
+      id: generateId('zone'),
+      name: `${typeConfig.label} ${zoneCount + 1}`,
+      type: this.zoneType,
+      points: this.points
+    });
+
+    const command = new AddZoneCommand(this.polygonRenderer, this.stateManager, this.factory, zone);
+    if (this.historyManager) {
+      this.historyManager.execute(command);
+    } else {
+      command.redo();
+    }
+
+    console.log(`区域绘制完成: ${zone.zoneData.name}，${this.points.length} 个顶点`);
+
+    // 保持绘制模式，便于连续绘制多个区域
+    this.points = [];
+    this.cursorPoint = null;
+    this.drawPreview();
+    this.render();
+    return zone;
+  }
+
+  /**
+   * 取消当前正在绘制的图形
+   * @returns {boolean} 是否有图形被取消
+   */
+  cancel() {
+    if (!this.isActive() || this.points.length === 0) return false;
+
+    this.points = [];
+    this.cursorPoint = null;
+    this.drawPreview();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 本地坐标是否在第一个顶点的闭合范围内
+   * @param {Object} local - 厂区本地坐标
+   * @returns {boolean}
+   */
+  isNearFirstPoint(local) {
+    const first = this.points[0];
+    const tolerance = DRAWING_TOOL_CONFIG.CLOSE_TOLERANCE * this.getPixelSize();
+    return Math.hypot(first.x - local.x, first.y - local.y) <= tolerance;
+  }
+
+  /**
+   * 世界坐标转换为厂区本地坐标
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {PIXI.Point} 本地坐标
+   */
+  toFactoryLocal(worldPoint) {
+    return this.factory.toLocal(new PIXI.Point(worldPoint.x, worldPoint.y), this.app.stage);
+  }
+
+  /**
+   * 吸附到网格（未注入吸附服务时原样返回）
+   * @param {Object} local - 厂区本地坐标
+   * @param {PointerEvent} event - 指针事件，按住 Alt 时不吸附
+   * @returns {Object} 本地坐标 {x, y}
+   */
+  snap(local, event) {
+    return this.snapService ? this.snapService.snap(local, this.factory, event) : { x: local.x, y: local.y };
+  }
+
+  /**
+   * 一个屏幕像素对应的厂区本地坐标长度
+   * @returns {number}
+   */
+  getPixelSize() {
+    const viewport = this.stateManager.get('viewport');
+    return 1 / (this.factory.scale.x * viewport.scale);
+  }
+
+  /**
+   * 绘制预览：已确定的边、跟随鼠标的边和顶点
+   */
+  drawPreview() {
+    if (!this.previewLayer) return;
+
+    const config = DRAWING_TOOL_CONFIG;
+    const pixel = this.getPixelSize();
+    const color = ZONE_CONFIG.TYPES[this.zoneType].color;
+
+    this.previewLayer.clear();
+    if (this.points.length === 0) return;
+
+    // 边
+    this.previewLayer.moveTo(this.points[0].x, this.points[0].y);
+    for (let i = 1; i < this.points.length; i++) {
+      this.previewLayer.lineTo(this.points[i].x, this.points[i].y);
+    }
+    if (this.cursorPoint) {
+      this.previewLayer.lineTo(this.cursorPoint.x, this.cursorPoint.y);
+    }
+    this.previewLayer.stroke({ width: config.LINE_WIDTH * pixel, color: config.LINE_COLOR });
+
+    // 顶点
+    this.points.forEach(point => {
+      this.previewLayer.circle(point.x, point.y, config.VERTEX_RADIUS * pixel);
+      this.previewLayer.fill(color);
+    });
+
+    // 鼠标靠近第一个顶点时提示可以闭合
+    if (this.cursorPoint &&
+        this.points.length >= config.MIN_VERTICES &&
+        this.isNearFirstPoint(this.cursorPoint)) {
+      this.previewLayer.circle(this.points[0].x, this.points[0].y, config.CLOSE_HINT_RADIUS * pixel);
+      this.previewLayer.stroke({ width: config.LINE_WIDTH * pixel, color: config.LINE_COLOR });
+    }
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+}
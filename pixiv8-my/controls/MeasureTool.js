@@ -0,0 +1,305 @@
+/**
+ * 测量工具
+ * 作为 ViewportController 的交互工具，逐点点击测量距离、折线总长、围成的面积和相邻两段的夹角：
+ * - 点击位置吸附到附近的厂区轮廓顶点或PBS单元中心，测量点以主厂区本地坐标记录
+ * - 双击结束当前测量，再次点击开始新的测量
+ * - 固定（pin）后测量作为标注保留在画布上（StateManager 的 measurements，可撤销），退出测量模式后仍显示
+ * - Esc 清除当前测量
+ * - 中键/右键拖拽仍可平移视窗
+ * 绘制由 MeasurementRenderer 完成
+ */
+
+import { MEASURE_CONFIG } from '../utils/constants.js';
+import { measurePolyline } from '../utils/geometry.js';
+import { generateId } from '../utils/id.js';
+
+export class MeasureTool {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器，用于注册为交互工具
+   * @param {MeasurementRenderer} measurementRenderer - 测量渲染器
+   * @param {UnitIndex} unitIndex - PBS单元空间索引（可选），用于吸附单元中心
+   */
+  constructor(app, stateManager, viewportController, measurementRenderer, unitIndex = null) {
+    this.name = 'measure';
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+    this.measurementRenderer = measurementRenderer;
+    this.unitIndex = unitIndex;
+
+    this.factory = null;
+    this.points = [];
+    this.cursorPoint = null;
+    this.snapPoint = null;
+    // 当前测量是否已结束（双击），结束后不再跟随指针
+    this.finished = false;
+
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+  }
+
+  /**
+   * 是否处于测量模式
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.stateManager.get('activeTool') === this.name;
+  }
+
+  /**
+   * 进入测量模式
+   */
+  enable() {
+    if (!this.stateManager.get('factoryGraphic')) {
+      console.warn('未找到厂区，无法测量');
+      return;
+    }
+    this.viewportController.setActiveTool(this);
+  }
+
+  /**
+   * 退出测量模式（未固定的测量会被丢弃）
+   */
+  disable() {
+    if (this.isActive()) {
+      this.viewportController.setActiveTool(null);
+    }
+  }
+
+  /**
+   * 切换测量模式
+   * @returns {boolean} 切换后是否处于测量模式
+   */
+  toggle() {
+    if (this.isActive()) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive();
+  }
+
+  /**
+   * 工具激活回调（由 ViewportController.setActiveTool 调用）
+   */
+  activate() {
+    this.factory = this.stateManager.get('factoryGraphic');
+    this.resetDraft();
+    this.app.canvas.addEventListener('dblclick', this.handleDoubleClick);
+    console.log('测量模式: 已启用');
+  }
+
+  /**
+   * 工具停用回调
+   */
+  deactivate() {
+    this.app.canvas.removeEventListener('dblclick', this.handleDoubleClick);
+    this.resetDraft();
+    this.factory = null;
+    this.render();
+    console.log('测量模式: 已禁用');
+  }
+
+  /**
+   * 指针按下：添加测量点，上一次测量已结束时开始新的测量
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerDown(event, worldPoint) {
+    // 仅处理左键，其余按键交给视窗平移
+    if (event.button !== undefined && event.button !== 0) return false;
+
+    if (this.finished) {
+      this.points = [];
+      this.finished = false;
+    }
+
+    const point = this.snap(worldPoint);
+
+    // 忽略与上一个点重合的点击（双击的第二次按下）
+    const last = this.points[this.points.length - 1];
+    const duplicateTolerance = MEASURE_CONFIG.DUPLICATE_TOLERANCE * this.getPixelSize();
+    if (!last || Math.hypot(last.x - point.x, last.y - point.y) > duplicateTolerance) {
+      this.points.push(point);
+    }
+
+    // 指针移动前不显示跟随指针的测量段
+    this.cursorPoint = null;
+    this.updateDraft();
+    return true;
+  }
+
+  /**
+   * 指针移动：显示吸附位置和跟随指针的测量段
+   * 不拦截事件，以便中键/右键平移视窗
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerMove(event, worldPoint) {
+    if (this.stateManager.get('isDragging')) return false;
+
+    this.app.canvas.style.cursor = 'crosshair';
+    this.cursorPoint = this.snap(worldPoint);
+    this.updateDraft();
+    return false;
+  }
+
+  /**
+   * 双击结束当前测量
+   */
+  handleDoubleClick(event) {
+    event.preventDefault();
+    this.finish();
+  }
+
+  /**
+   * 结束当前测量，测量结果保留显示，直到开始新的测量或固定
+   * @returns {boolean} 是否结束了测量
+   */
+  finish() {
+    if (this.points.length < 2) return false;
+
+    this.finished = true;
+    this.updateDraft();
+    return true;
+  }
+
+  /**
+   * 将当前测量固定为标注
+   * @returns {Object|null} 固定的测量 { id, points }，当前测量不足两个点时为 null
+   */
+  pin() {
+    if (this.points.length < 2) {
+      console.warn('测量至少需要2个点才能固定');
+      return null;
+    }
+
+    const measurement = { id: generateId('measure'), points: this.points.map(({ x, y }) => ({ x, y })) };
+    this.stateManager.addMeasurement(measurement);
+    console.log(`测量已固定: 总长 ${measurePolyline(measurement.points).total.toFixed(MEASURE_CONFIG.DECIMALS)}`);
+
+    this.points = [];
+    this.finished = false;
+    this.updateDraft();
+    return measurement;
+  }
+
+  /**
+   * 清除当前测量
+   * @returns {boolean} 是否有测量被清除
+   */
+  cancel() {
+    if (!this.isActive() || this.points.length === 0) return false;
+
+    this.points = [];
+    this.finished = false;
+    this.updateDraft();
+    return true;
+  }
+
+  /**
+   * 获取当前测量的数值（主厂区本地坐标，即场景单位）
+   * @returns {Object|null} measurePolyline 的结果，没有测量点时为 null
+   */
+  getCurrentMeasurement() {
+    return this.points.length > 0 ? measurePolyline(this.points) : null;
+  }
+
+  /**
+   * 将世界坐标吸附到附近的厂区轮廓顶点或PBS单元中心
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {Object} 测量点 {x, y}（主厂区本地坐标）；吸附位置同时记录到 this.snapPoint，未吸附时为 null
+   */
+  snap(worldPoint) {
+    const stage = this.app.stage;
+    const world = new PIXI.Point(worldPoint.x, worldPoint.y);
+    const tolerance = MEASURE_CONFIG.SNAP_DISTANCE / this.stateManager.get('viewport').scale;
+
+    let best = null;
+    let bestDistance = tolerance;
+
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed || !factory.factoryData) return;
+      factory.factoryData.points.forEach(vertex => {
+        const position = stage.toLocal(factory.toGlobal(new PIXI.Point(vertex.x, vertex.y)));
+        const distance = Math.hypot(position.x - world.x, position.y - world.y);
+        if (distance <= bestDistance) {
+          best = position;
+          bestDistance = distance;
+        }
+      });
+    });
+
+    if (this.unitIndex) {
+      // 按单元中心查询，nearest() 按包围盒距离排序，不适合吸附中心
+      const rect = { x: world.x - tolerance, y: world.y - tolerance, width: tolerance * 2, height: tolerance * 2 };
+      this.unitIndex.unitsInRect(rect, stage).forEach(unit => {
+        const center = stage.toLocal(new PIXI.Point(0, 0), unit);
+        const distance = Math.hypot(center.x - world.x, center.y - world.y);
+        if (distance <= bestDistance) {
+          best = center;
+          bestDistance = distance;
+        }
+      });
+    }
+
+    this.snapPoint = best ? this.toFactoryLocal(best) : null;
+    return this.snapPoint || this.toFactoryLocal(world);
+  }
+
+  /**
+   * 世界坐标转换为主厂区本地坐标
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {Object} 本地坐标 {x, y}
+   */
+  toFactoryLocal(worldPoint) {
+    const local = this.factory.toLocal(new PIXI.Point(worldPoint.x, worldPoint.y), this.app.stage);
+    return { x: local.x, y: local.y };
+  }
+
+  /**
+   * 一个屏幕像素对应的厂区本地坐标长度
+   * @returns {number}
+   */
+  getPixelSize() {
+    const viewport = this.stateManager.get('viewport');
+    return 1 / (this.factory.scale.x * viewport.scale);
+  }
+
+  /**
+   * 清空当前测量的全部状态
+   */
+  resetDraft() {
+    this.points = [];
+    this.cursorPoint = null;
+    this.snapPoint = null;
+    this.finished = false;
+    this.measurementRenderer.setDraft(null);
+  }
+
+  /**
+   * 将当前测量交给渲染器绘制
+   */
+  updateDraft() {
+    const following = !this.finished && this.points.length > 0 ? this.cursorPoint : null;
+    this.measurementRenderer.setDraft({
+      points: this.points,
+      cursor: following,
+      snap: this.finished ? null : this.snapPoint
+    });
+    this.render();
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * 吸附服务
+ * 供PBS拖拽、顶点编辑和区域绘制使用，将厂区本地坐标量化到网格（StateManager 的 grid）：
+ * - 网格以主厂区本地坐标原点为基准，其他厂区的点先换算到主厂区坐标再量化
+ * - 吸附间距 grid.pitch 为实际单位，场景已标定时按 calibration 换算为场景坐标，未标定时即为场景坐标单位
+ * - 按住 Alt 时临时关闭吸附
+ * 启用对象吸附（StateManager 的 objectSnap）时，PBS拖拽和顶点拖拽还会吸附到附近的对象：
+ * - 厂区轮廓顶点、边中点、边上的垂足和其他单元的中心，候选目标通过 OutlineIndex / UnitIndex 按指针附近的矩形查询
+ * - 没有对象目标时，与屏幕内其他单元中心水平或垂直对齐的方向对齐到该中心，并显示对齐参考线
+ * - 吸附结果写入 StateManager 的 snapIndicator（舞台坐标），由 SnapIndicatorRenderer 绘制，拖拽结束时调用 clearIndicator()
+ */
+
+import { SNAP_CONFIG } from '../utils/constants.js';
+import { closestPointOnSegment } from '../utils/geometry.js';
+
+export class SnapService {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {UnitIndex} unitIndex - PBS单元空间索引（可选），用于吸附和对齐单元中心
+   * @param {OutlineIndex} outlineIndex - 厂区轮廓边空间索引（可选），用于吸附顶点、边中点和垂足
+   */
+  constructor(app, stateManager, unitIndex = null, outlineIndex = null) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.unitIndex = unitIndex;
+    this.outlineIndex = outlineIndex;
+  }
+
+  /**
+   * 是否对本次指针事件吸附
+   * @param {PointerEvent|null} event - 指针事件，按住 Alt 时不吸附
+   * @returns {boolean}
+   */
+  isEnabled(event = null) {
+    const enabled = this.stateManager.get('grid').snap || this.stateManager.get('objectSnap');
+    return enabled && !(event && event.altKey);
+  }
+
+  /**
+   * 吸附间距（场景坐标，即厂区本地坐标）
+   * @returns {number}
+   */
+  getPitch() {
+    const { pitch } = this.stateManager.get('grid');
+    const calibration = this.stateManager.get('calibration');
+    return calibration ? pitch / calibration.scale : pitch;
+  }
+
+  /**
+   * 吸附厂区本地坐标
+   * @param {Object} point - 厂区本地坐标 {x, y}
+   * @param {PIXI.Container} factory - 点所在的厂区
+   * @param {PointerEvent|null} event - 指针事件，按住 Alt 时不吸附
+   * @param {Object} options - 吸附选项
+   * @param {boolean} options.objects - 是否吸附到对象并更新吸附提示，默认只吸附到网格
+   * @param {Array} options.excludeUnits - 不作为目标的单元（如正在拖拽的单元）
+   * @param {Object} options.excludeVertex - 不作为目标的轮廓顶点 { factory, index }（如正在拖拽的顶点），其相邻的两条边也被排除
+   * @returns {Object} 吸附后的本地坐标 {x, y}，未吸附时为原坐标的副本
+   */
+  snap(point, factory, event = null, options = {}) {
+    const { objects = false } = options;
+
+    if (objects && this.isEnabled(event) && this.stateManager.get('objectSnap')) {
+      return this.snapToObjects(point, factory, options);
+    }
+    if (objects) {
+      this.clearIndicator();
+    }
+    if (!this.isEnabled(event) || !this.stateManager.get('grid').snap) {
+      return { x: point.x, y: point.y };
+    }
+    return this.snapToGrid(point, factory);
+  }
+
+  /**
+   * 将厂区本地坐标量化到最近的网格交点
+   * @param {Object} point - 厂区本地坐标 {x, y}
+   * @param {PIXI.Container} factory - 点所在的厂区
+   * @returns {Object} 网格交点（同一厂区的本地坐标） {x, y}
+   */
+  snapToGrid(point, factory) {
+    const pitch = this.getPitch();
+    if (!(pitch > 0)) {
+      return { x: point.x, y: point.y };
+    }
+
+    const main = this.stateManager.get('factoryGraphic');
+    const useMain = main && factory && main !== factory && !main.destroyed;
+    const reference = useMain ? main.toLocal(factory.toGlobal(new PIXI.Point(point.x, point.y))) : point;
+
+    const snapped = new PIXI.Point(
+      Math.round(reference.x / pitch) * pitch,
+      Math.round(reference.y / pitch) * pitch
+    );
+
+    if (!useMain) {
+      return { x: snapped.x, y: snapped.y };
+    }
+    const local = factory.toLocal(main.toGlobal(snapped));
+    return { x: local.x, y: local.y };
+  }
+
+  /**
+   * 吸附到附近的对象；没有对象目标时吸附到网格（网格吸附开启时），再按单元中心对齐
+   * @param {Object} point - 厂区本地坐标 {x, y}
+   * @param {PIXI.Container} factory - 点所在的厂区
+   * @param {Object} options - 吸附选项，见 snap()
+   * @returns {Object} 吸附后的本地坐标 {x, y}
+   */
+  snapToObjects(point, factory, { excludeUnits = [], excludeVertex = null } = {}) {
+    const stage = this.app.stage;
+    const world = stage.toLocal(factory.toGlobal(new PIXI.Point(point.x, point.y)));
+    const tolerance = SNAP_CONFIG.DISTANCE / this.stateManager.get('viewport').scale;
+    const excluded = new Set(excludeUnits);
+
+    let indicator = null;
+    const target = this.findTarget(world, tolerance, excluded, excludeVertex);
+
+    if (target) {
+      indicator = { point: target.point, kind: target.kind, guides: [] };
+    } else {
+      const gridSnap = this.stateManager.get('grid').snap;
+      const base = gridSnap ? this.snapToGrid(point, factory) : point;
+      const snapped = stage.toLocal(factory.toGlobal(new PIXI.Point(base.x, base.y)));
+
+      // 与单元中心对齐的方向覆盖网格吸附的结果
+      const { vertical, horizontal } = this.findAlignedCenters(world, tolerance, excluded);
+      if (vertical) snapped.x = vertical.x;
+      if (horizontal) snapped.y = horizontal.y;
+
+      const guides = [vertical, horizontal]
+        .filter(Boolean)
+        .map(center => ({ from: { x: center.x, y: center.y }, to: { x: snapped.x, y: snapped.y } }));
+
+      if (gridSnap || guides.length > 0) {
+        indicator = { point: { x: snapped.x, y: snapped.y }, kind: gridSnap ? 'grid' : null, guides };
+      }
+    }
+
+    if (!indicator) {
+      this.clearIndicator();
+      return { x: point.x, y: point.y };
+    }
+    this.stateManager.setSnapIndicator(indicator);
+    const local = factory.toLocal(new PIXI.Point(indicator.point.x, indicator.point.y), stage);
+    return { x: local.x, y: local.y };
+  }
+
+  /**
+   * 查找吸附距离内优先级最高的对象目标
+   * @param {PIXI.Point} world - 指针位置（舞台坐标）
+   * @param {number} tolerance - 吸附距离（舞台坐标）
+   * @param {Set} excluded - 不作为目标的单元
+   * @param {Object|null} excludeVertex - 不作为目标的轮廓顶点 { factory, index }
+   * @returns {Object|null} { kind, point, distance }，point 为舞台坐标
+   */
+  findTarget(world, tolerance, excluded, excludeVertex) {
+    const stage = this.app.stage;
+    const rect = { x: world.x - tolerance, y: world.y - tolerance, width: tolerance * 2, height: tolerance * 2 };
+    const candidates = [];
+    const addCandidate = (kind, point) => {
+      const distance = Math.hypot(point.x - world.x, point.y - world.y);
+      if (distance <= tolerance) {
+        candidates.push({ kind, point: { x: point.x, y: point.y }, distance });
+      }
+    };
+
+    if (this.outlineIndex) {
+      this.outlineIndex.edgesInRect(rect, stage).forEach(edge => {
+        const count = edge.factory.factoryData.points.length;
+        const next = (edge.index + 1) % count;
+        const isExcluded = index => excludeVertex && excludeVertex.factory === edge.factory && excludeVertex.index === index;
+        // 与被拖拽顶点相连的边跟随顶点移动，不作为目标
+        if (isExcluded(edge.index) || isExcluded(next)) return;
+
+        const a = stage.toLocal(edge.factory.toGlobal(new PIXI.Point(edge.a.x, edge.a.y)));
+        const b = stage.toLocal(edge.factory.toGlobal(new PIXI.Point(edge.b.x, edge.b.y)));
+        addCandidate('vertex', a);
+        addCandidate('vertex', b);
+        addCandidate('midpoint', { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        addCandidate('perpendicular', closestPointOnSegment(world, a, b));
+      });
+    }
+
+    if (this.unitIndex) {
+      const origin = new PIXI.Point(0, 0);
+      this.unitIndex.unitsInRect(rect, stage).forEach(unit => {
+        if (!excluded.has(unit)) {
+          addCandidate('center', stage.toLocal(origin, unit));
+        }
+      });
+    }
+
+    if (candidates.length === 0) return null;
+
+    const priority = kind => SNAP_CONFIG.PRIORITY.indexOf(kind);
+    candidates.sort((a, b) => priority(a.kind) - priority(b.kind) || a.distance - b.distance);
+    return candidates[0];
+  }
+
+  /**
+   * 查找屏幕内与指针位置垂直或水平对齐的单元中心
+   * 在经过指针、宽度为两倍吸附距离的竖直和水平条带中查询，各取偏差最小的一个
+   * @param {PIXI.Point} world - 指针位置（舞台坐标）
+   * @param {number} tolerance - 对齐距离（舞台坐标）
+   * @param {Set} excluded - 不参与对齐的单元
+   * @returns {Object} { vertical, horizontal }：X 相同和 Y 相同的单元中心（舞台坐标），没有时为 null
+   */
+  findAlignedCenters(world, tolerance, excluded) {
+    if (!this.unitIndex) {
+      return { vertical: null, horizontal: null };
+    }
+
+    const stage = this.app.stage;
+    const topLeft = stage.toLocal(new PIXI.Point(0, 0));
+    const bottomRight = stage.toLocal(new PIXI.Point(this.app.screen.width, this.app.screen.height));
+    const view = {
+      x: Math.min(topLeft.x, bottomRight.x),
+      y: Math.min(topLeft.y, bottomRight.y),
+      width: Math.abs(bottomRight.x - topLeft.x),
+      height: Math.abs(bottomRight.y - topLeft.y)
+    };
+
+    const findBest = (rect, axis) => {
+      const origin = new PIXI.Point(0, 0);
+      let best = null;
+      let bestOffset = Infinity;
+      this.unitIndex.unitsInRect(rect, stage).forEach(unit => {
+        if (excluded.has(unit)) return;
+        const center = stage.toLocal(origin, unit);
+        const offset = Math.abs(center[axis] - world[axis]);
+        if (offset < bestOffset) {
+          best = center;
+          bestOffset = offset;
+        }
+      });
+      return best;
+    };
+
+    return {
+      vertical: findBest({ x: world.x - tolerance, y: view.y, width: tolerance * 2, height: view.height }, 'x'),
+      horizontal: findBest({ x: view.x, y: world.y - tolerance, width: view.width, height: tolerance * 2 }, 'y')
+    };
+  }
+
+  /**
+   * 清除吸附提示（拖拽结束时调用）
+   */
+  clearIndicator() {
+    if (this.stateManager.get('snapIndicator')) {
+      this.stateManager.setSnapIndicator(null);
+    }
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * 厂区轮廓顶点编辑器
+ * 作为 ViewportController 的交互工具，为厂区轮廓绘制顶点手柄和边中点手柄：
+ * - 拖拽顶点手柄移动顶点
+ * - 拖拽边中点手柄插入新顶点
+ * - Delete 键删除选中的顶点（不少于3个顶点）
+ * - 启用网格吸附时，拖拽和插入的顶点吸附到网格，按住 Alt 临时关闭
+ */
+
+import { VERTEX_EDITOR_CONFIG } from '../utils/constants.js';
+import { OutlineEditCommand } from '../core/HistoryCommands.js';
+
+export class VertexEditor {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {FactoryRenderer} factoryRenderer - 厂区渲染器，用于重绘轮廓
+   * @param {ViewportController} viewportController - 视窗控制器，用于注册为交互工具
+   * @param {HistoryManager} historyManager - 历史管理器（可选）
+   * @param {SnapService} snapService - 吸附服务（可选）
+   */
+  constructor(app, stateManager, factoryRenderer, viewportController, historyManager = null, snapService = null) {
+    this.name = 'vertexEdit';
+    this.app = app;
+    this.stateManager = stateManager;
+    this.factoryRenderer = factoryRenderer;
+    this.viewportController = viewportController;
+    this.historyManager = historyManager;
+    this.snapService = snapService;
+
+    this.factory = null;
+    this.handleLayer = null;
+    this.selectedIndex = null;
+
+    // 拖拽状态
+    this.draggingIndex = null;
+    this.dragBefore = null;
+
+    this.unsubscribers = [];
+  }
+
+  /**
+   * 是否处于编辑模式
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.stateManager.get('activeTool') === this.name;
+  }
+
+  /**
+   * 进入编辑模式
+   * @param {PIXI.Graphics} factory - 要编辑的厂区，默认为主厂区
+   */
+  enable(factory = null) {
+    this.factory = factory || this.stateManager.get('factoryGraphic');
+    if (!this.factory || !this.factory.factoryData) {
+      console.warn('未找到可编辑的厂区');
+      return;
+    }
+    this.viewportController.setActiveTool(this);
+  }
+
+  /**
+   * 退出编辑模式
+   */
+  disable() {
+    if (this.isActive()) {
+      this.viewportController.setActiveTool(null);
+    }
+  }
+
+  /**
+   * 切换编辑模式
+   * @returns {boolean} 切换后是否处于编辑模式
+   */
+  toggle() {
+    if (this.isActive()) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive();
+  }
+
+  /**
+   * 工具激活回调（由 ViewportController.setActiveTool 调用）
+   */
+  activate() {
+    if (!this.factory) {
+      this.factory = this.stateManager.get('factoryGraphic');
+    }
+
+    this.handleLayer = new PIXI.Graphics();
+    this.handleLayer.isEditorOverlay = true;
+    this.factory.addChild(this.handleLayer);
+
+    // 缩放变化时保持手柄的屏幕尺寸不变
+    this.unsubscribers.push(this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport) {
+        this.drawHandles();
+      }
+    }));
+
+    // 撤销/重做后顶点可能变化，重新绘制手柄
+    if (this.historyManager) {
+      this.unsubscribers.push(this.historyManager.subscribe(() => {
+        const count = this.getPoints().length;
+        if (this.selectedIndex !== null && this.selectedIndex >= count) {
+          this.selectedIndex = null;
+        }
+        this.drawHandles();
+      }));
+    }
+
+    this.drawHandles();
+    this.render();
+    console.log('厂区轮廓编辑模式: 已启用');
+  }
+
+  /**
+   * 工具停用回调
+   */
+  deactivate() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.handleLayer) {
+      if (this.handleLayer.parent) {
+        this.handleLayer.parent.removeChild(this.handleLayer);
+      }
+      this.handleLayer.destroy();
+      this.handleLayer = null;
+    }
+
+    this.selectedIndex = null;
+    this.draggingIndex = null;
+    this.dragBefore = null;
+    this.factory = null;
+    if (this.snapService) {
+      this.snapService.clearIndicator();
+    }
+
+    this.render();
+    console.log('厂区轮廓编辑模式: 已禁用');
+  }
+
+  /**
+   * 指针按下：命中顶点手柄则开始拖拽，命中边中点手柄则插入顶点并开始拖拽
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerDown(event, worldPoint) {
+    const local = this.toFactoryLocal(worldPoint);
+    const hit = this.hitTest(local);
+
+    if (!hit) {
+      // 点击空白处取消选中，事件交给视窗平移
+      if (this.selectedIndex !== null) {
+        this.selectedIndex = null;
+        this.drawHandles();
+        this.render();
+      }
+      return false;
+    }
+
+    const points = this.getPoints();
+    this.dragBefore = points.map(p => ({ x: p.x, y: p.y }));
+
+    if (hit.type === 'midpoint') {
+      // 在该边的终点之前插入新顶点
+      const next = points.slice();
+      next.splice(hit.index + 1, 0, this.snap(local, event, false));
+      this.factoryRenderer.updateOutline(this.factory, next);
+      this.draggingIndex = hit.index + 1;
+    } else {
+      this.draggingIndex = hit.index;
+    }
+
+    this.selectedIndex = this.draggingIndex;
+    this.app.canvas.style.cursor = 'move';
+    this.drawHandles();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 指针移动：拖拽中更新顶点位置，否则根据悬停位置更新鼠标样式
+   * @param {PointerEvent} event - 指针事件
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerMove(event, worldPoint) {
+    const local = this.toFactoryLocal(worldPoint);
+
+    if (this.draggingIndex === null) {
+      if (!this.stateManager.get('isDragging')) {
+        this.app.canvas.style.cursor = this.hitTest(local) ? 'move' : 'crosshair';
+      }
+      return false;
+    }
+
+    const points = this.getPoints().slice();
+    points[this.draggingIndex] = this.snap(local, event);
+    this.factoryRenderer.updateOutline(this.factory, points);
+
+    this.drawHandles();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 指针抬起：结束拖拽并记录为一个历史步骤
+   * @returns {boolean} 是否处理了事件
+   */
+  onPointerUp() {
+    if (this.draggingIndex === null) return false;
+
+    const before = this.dragBefore;
+    const after = this.getPoints().map(p => ({ x: p.x, y: p.y }));
+    const label = before.length !== after.length ? '插入厂区顶点' : '移动厂区顶点';
+
+    this.draggingIndex = null;
+    this.dragBefore = null;
+    this.app.canvas.style.cursor = 'crosshair';
+    if (this.snapService) {
+      this.snapService.clearIndicator();
+    }
+
+    if (this.historyManager && !samePoints(before, after)) {
+      this.historyManager.push(new OutlineEditCommand(this.factoryRenderer, this.factory, before, after, label));
+    }
+    return true;
+  }
+
+  /**
+   * 删除选中的顶点
+   * @returns {boolean} 是否删除成功
+   */
+  deleteSelectedVertex() {
+    if (!this.isActive() || this.selectedIndex === null) return false;
+
+    const points = this.getPoints();
+    if (points.length <= VERTEX_EDITOR_CONFIG.MIN_VERTICES) {
+      console.warn(`厂区至少需要${VERTEX_EDITOR_CONFIG.MIN_VERTICES}个顶点，无法继续删除`);
+      return false;
+    }
+
+    const before = points.map(p => ({ x: p.x, y: p.y }));
+    const after = before.filter((_, i) => i !== this.selectedIndex);
+    const command = new OutlineEditCommand(this.factoryRenderer, this.factory, before, after, '删除厂区顶点');
+
+    this.selectedIndex = null;
+    if (this.historyManager) {
+      this.historyManager.execute(command);
+    } else {
+      command.redo();
+    }
+
+    this.drawHandles();
+    this.render();
+    return true;
+  }
+
+  /**
+   * 获取当前编辑厂区的顶点
+   * @returns {Array} 顶点数组
+   */
+  getPoints() {
+    return this.factory && this.factory.factoryData ? this.factory.factoryData.points : [];
+  }
+
+  /**
+   * 世界坐标转换为厂区本地坐标
+   * @param {Object} worldPoint - 世界坐标
+   * @returns {PIXI.Point} 本地坐标
+   */
+  toFactoryLocal(worldPoint) {
+    return this.factory.toLocal(new PIXI.Point(worldPoint.x, worldPoint.y), this.app.stage);
+  }
+
+  /**
+   * 吸附到网格，拖拽顶点时还吸附到其他顶点、边和单元中心（未注入吸附服务时原样返回）
+   * @param {Object} local - 厂区本地坐标
+   * @param {PointerEvent} event - 指针事件，按住 Alt 时不吸附
+   * @param {boolean} objects - 是否吸附到对象，被拖拽的顶点及其相邻的边不作为目标
+   * @returns {Object} 本地坐标 {x, y}
+   */
+  snap(local, event, objects = true) {
+    if (!this.snapService) {
+      return { x: local.x, y: local.y };
+    }
+    return this.snapService.snap(local, this.factory, event, {
+      objects,
+      excludeVertex: { factory: this.factory, index: this.draggingIndex }
+    });
+  }
+
+  /**
+   * 一个屏幕像素对应的厂区本地坐标长度
+   * @returns {number}
+   */
+  getPixelSize() {
+    const viewport = this.stateManager.get('viewport');
+    return 1 / (this.factory.scale.x * viewport.scale);
+  }
+
+  /**
+   * 检测本地坐标命中的手柄
+   * 顶点手柄优先于边中点手柄
+   * @param {Object} local - 厂区本地坐标
+   * @returns {Object|null} {type: 'vertex' | 'midpoint', index}
+   */
+  hitTest(local) {
+    const points = this.getPoints();
+    const tolerance = VERTEX_EDITOR_CONFIG.HIT_TOLERANCE * this.getPixelSize();
+
+    for (let i = points.length - 1; i >= 0; i--) {
+      if (Math.hypot(points[i].x - local.x, points[i].y - local.y) <= tolerance) {
+        return { type: 'vertex', index: i };
+      }
+    }
+
+    for (let i = 0; i < points.length; i++) {
+      const mid = midpoint(points[i], points[(i + 1) % points.length]);
+      if (Math.hypot(mid.x - local.x, mid.y - local.y) <= tolerance) {
+        return { type: 'midpoint', index: i };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 绘制顶点手柄和边中点手柄
+   */
+  drawHandles() {
+    if (!this.handleLayer || !this.factory) return;
+
+    const config = VERTEX_EDITOR_CONFIG;
+    const pixel = this.getPixelSize();
+    const half = (config.HANDLE_SIZE / 2) * pixel;
+    const points = this.getPoints();
+
+    this.handleLayer.clear();
+
+    // 边中点手柄（用于插入顶点）
+    points.forEach((point, i) => {
+      const mid = midpoint(point, points[(i + 1) % points.length]);
+      this.handleLayer.circle(mid.x, mid.y, config.MIDPOINT_RADIUS * pixel);
+      this.handleLayer.fill({ color: config.MIDPOINT_COLOR, alpha: config.MIDPOINT_ALPHA });
+      this.handleLayer.stroke({ width: pixel, color: config.HANDLE_STROKE_COLOR, alpha: config.MIDPOINT_ALPHA });
+    });
+
+    // 顶点手柄
+    points.forEach((point, i) => {
+      const color = i === this.selectedIndex ? config.SELECTED_HANDLE_COLOR : config.HANDLE_COLOR;
+      this.handleLayer.rect(point.x - half, point.y - half, half * 2, half * 2);
+      this.handleLayer.fill(color);
+      this.handleLayer.stroke({ width: pixel, color: config.HANDLE_STROKE_COLOR });
+    });
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+}
+
+/**
+ * 计算两点中点
+ */
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * 判断两个顶点数组是否相同
+ */
+function samePoints(a, b) {
+  return a.length === b.length && a.every((p, i) => p.x === b[i].x && p.y === b[i].y);
+}
@@ -0,0 +1,139 @@
+/**
+ * 视窗书签
+ * 将当前视窗保存为带名称的书签（如“锅炉房”“装卸区”），编号 1~9 对应数字键，
+ * 调出书签时通过 ViewportController.flyToView 以动画方式定位
+ * 书签记录视窗中心的世界坐标和缩放，保存在 StateManager 的 bookmarks 中，加载新场景时清空
+ */
+
+import { BOOKMARK_CONFIG } from '../utils/constants.js';
+
+export class ViewportBookmarks {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器
+   */
+  constructor(app, stateManager, viewportController) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.scene !== oldState.scene && newState.bookmarks.length > 0) {
+        this.clear();
+      }
+    });
+  }
+
+  /**
+   * 将当前视窗保存为书签
+   * @param {string} name - 书签名称
+   * @param {number|null} slot - 书签编号 1~9，为空时使用第一个空位
+   * @returns {number} 书签编号
+   */
+  save(name, slot = null) {
+    const target = slot === null ? this.getFreeSlot() : slot;
+    if (target === null) {
+      throw new Error(`书签已满（最多 ${BOOKMARK_CONFIG.MAX_SLOTS} 个），请先删除或覆盖已有书签`);
+    }
+    assertSlot(target);
+
+    const viewport = this.stateManager.get('viewport');
+    const { width, height } = this.app.screen;
+    this.stateManager.setBookmark(target, {
+      name: name || `书签 ${target}`,
+      center: {
+        x: (width / 2 - viewport.x) / viewport.scale,
+        y: (height / 2 - viewport.y) / viewport.scale
+      },
+      scale: viewport.scale
+    });
+    console.log(`已保存视窗书签 ${target}: ${name || `书签 ${target}`}`);
+    return target;
+  }
+
+  /**
+   * 调出书签，以动画方式定位到书签保存的视窗
+   * @param {number} slot - 书签编号 1~9
+   * @param {Object} options - 动画选项 { duration, easing }，见 ViewportController.flyTo
+   * @returns {boolean} 书签是否存在
+   */
+  recall(slot, options = {}) {
+    const bookmark = this.get(slot);
+    if (!bookmark) return false;
+
+    this.viewportController.flyToView(bookmark, options);
+    return true;
+  }
+
+  /**
+   * 删除书签
+   * @param {number} slot - 书签编号 1~9
+   */
+  remove(slot) {
+    assertSlot(slot);
+    if (this.get(slot)) {
+      this.stateManager.setBookmark(slot, null);
+    }
+  }
+
+  /**
+   * 获取书签
+   * @param {number} slot - 书签编号 1~9
+   * @returns {Object|null} 书签 { name, center, scale }
+   */
+  get(slot) {
+    assertSlot(slot);
+    return this.stateManager.get('bookmarks')[slot - 1] || null;
+  }
+
+  /**
+   * 列出所有书签
+   * @returns {Array} [{ slot, name, center, scale }]
+   */
+  list() {
+    return this.stateManager.get('bookmarks')
+      .map((bookmark, i) => (bookmark ? { slot: i + 1, ...bookmark } : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * 第一个空的书签编号
+   * @returns {number|null} 书签编号，已满时为 null
+   */
+  getFreeSlot() {
+    const bookmarks = this.stateManager.get('bookmarks');
+    for (let slot = 1; slot <= BOOKMARK_CONFIG.MAX_SLOTS; slot++) {
+      if (!bookmarks[slot - 1]) return slot;
+    }
+    return null;
+  }
+
+  /**
+   * 清空所有书签
+   */
+  clear() {
+    this.stateManager.set('bookmarks', []);
+  }
+
+  /**
+   * 销毁书签管理器
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+/**
+ * 校验书签编号
+ * @param {number} slot - 书签编号
+ */
+function assertSlot(slot) {
+  if (!Number.isInteger(slot) || slot < 1 || slot > BOOKMARK_CONFIG.MAX_SLOTS) {
+    throw new Error(`书签编号必须是 1~${BOOKMARK_CONFIG.MAX_SLOTS} 的整数: ${slot}`);
+  }
+}
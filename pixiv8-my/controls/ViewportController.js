@@ -1,17 +1,75 @@
 /**
  * 视窗控制器
  * 负责管理视窗的拖拽、缩放、平移等操作
+ * 松开拖拽后视窗按惯性继续平移并逐渐减速，滚轮缩放以指针为中心平滑过渡，
+ * 这些动画在 PIXI ticker 上逐帧推进，再次按下画布或视窗被其他操作修改时立即停止
+ * 触摸屏上按 pointerId 分别跟踪每个手指：单指拖拽平移视窗（PBS移动模式下拖拽单元），
+ * 双指捏合以两指中点为中心缩放，同时随中点移动平移
+ * flyTo() 以动画方式定位到指定范围或PBS单元，途中先缩小再放大
+ * 启用网格吸附时，拖拽的PBS单元（整组按被按下的单元对齐）吸附到网格，按住 Alt 临时关闭
  */
 
-import { VIEWPORT_CONFIG, APP_CONFIG } from '../utils/constants.js';
+import { VIEWPORT_CONFIG, APP_CONFIG, LOD_CONFIG } from '../utils/constants.js';
+import { MoveUnitsCommand } from '../core/HistoryCommands.js';
+import { ContainmentConstraint } from './ContainmentConstraint.js';
+import { UnitIndex, getUnitBounds } from '../core/UnitIndex.js';
+import { getEasing } from '../utils/easing.js';
 
 export class ViewportController {
-  constructor(app, stateManager) {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {HistoryManager} historyManager - 历史管理器（可选），用于记录PBS拖拽
+   * @param {ContainmentConstraint} containment - PBS拖拽约束（可选）
+   * @param {UnitIndex} unitIndex - PBS单元空间索引（可选），用于命中检测和框选
+   * @param {SnapService} snapService - 吸附服务（可选），用于PBS拖拽吸附
+   */
+  constructor(app, stateManager, historyManager = null, containment = null, unitIndex = null, snapService = null) {
     this.app = app;
     this.stateManager = stateManager;
+    this.historyManager = historyManager;
+    // 支持依赖注入，提供默认值
+    this.containment = containment || new ContainmentConstraint();
+    this.unitIndex = unitIndex || new UnitIndex(stateManager);
+    this.snapService = snapService;
+
+    // 正在拖拽的PBS单元组 [{unit, from, grab}]，坐标均为各单元父容器的本地坐标：
+    // from 为拖拽前的位置，grab 为按下点，拖拽时单元与按下点保持相对偏移
+    this.dragGroup = null;
+
+    // 框选起点（世界坐标）和是否追加到当前选择，为空表示未在框选
+    this.selectionBoxStart = null;
+    this.selectionBoxAdditive = false;
+
+    // 指针按下位置（客户端坐标），用于区分点击和拖拽
+    this.pointerDownPosition = null;
+
+    // 当前交互工具（顶点编辑、绘制等），为空时使用默认的平移/拖拽行为
+    this.activeTool = null;
+
+    // 聚合标记来源（LODRenderer），点击聚合标记时放大到其范围
+    this.clusterSource = null;
+
+    // 按在画布上的指针 pointerId -> 客户端坐标 {x, y}
+    this.pointers = new Map();
+    // 正在进行的双指捏合 { ids, distance, midpoint }，midpoint 为canvas坐标
+    this.pinch = null;
+
+    // 视窗拖拽最近的指针位置采样 [{time, x, y}]，用于计算松开时的惯性速度
+    this.panSamples = [];
+    // 正在进行的视窗动画，见 startAnimation
+    this.animation = null;
     
     // 初始化视窗状态
     this.initViewport();
+
+    // 视窗状态变化时（包括撤销/重做）同步舞台变换
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport) {
+        this.updateViewport();
+      }
+    });
     
     // 设置事件监听器
     this.setupEventListeners();
@@ -57,6 +115,11 @@ export class ViewportController {
     window.addEventListener('pointerup', (event) => {
       this.handlePointerUp(event);
     });
+
+    // 触摸被系统接管（如浏览器手势）时按抬起处理
+    window.addEventListener('pointercancel', (event) => {
+      this.handlePointerUp(event);
+    });
     
     // 也添加鼠标事件作为备用
     canvas.addEventListener('mousedown', (event) => {
@@ -71,6 +134,11 @@ export class ViewportController {
       this.handlePointerUp(event);
     });
     
+    // 指针离开画布时清除悬停单元
+    canvas.addEventListener('pointerleave', () => {
+      this.stateManager.setHoveredUnit(null);
+    });
+
     // 防止右键菜单影响拖拽
     canvas.addEventListener('contextmenu', (event) => {
       event.preventDefault();
@@ -83,70 +151,265 @@ export class ViewportController {
    */
   handleWheel(event) {
     event.preventDefault();
-    const state = this.stateManager.getState();
-    const viewport = state.viewport;
-    
+    const viewport = this.stateManager.get('viewport');
+
     // 获取鼠标在canvas中的位置，考虑缩放比例
-    const rect = this.app.canvas.getBoundingClientRect();
-    const scaleX = this.app.canvas.width / rect.width;
-    const scaleY = this.app.canvas.height / rect.height;
-    
-    const mouseX = (event.clientX - rect.left) * scaleX;
-    const mouseY = (event.clientY - rect.top) * scaleY;
-    
-    // 计算缩放因子
-    const scaleFactor = event.deltaY > 0 
-      ? VIEWPORT_CONFIG.WHEEL_ZOOM_OUT_FACTOR 
+    const anchor = this.getCanvasPosition(event);
+
+    // 触控板捏合以 Ctrl+滚轮 的形式触发，deltaY 连续变化，按比例立即缩放
+    if (event.ctrlKey) {
+      this.stopAnimation();
+      const factor = Math.exp(-event.deltaY * VIEWPORT_CONFIG.PINCH_ZOOM_SENSITIVITY);
+      this.zoomAt(viewport.scale * factor, anchor);
+      return;
+    }
+
+    // 鼠标滚轮按固定倍率缩放，平滑过渡；过渡中继续滚动时在目标缩放上累积
+    const scaleFactor = event.deltaY > 0
+      ? VIEWPORT_CONFIG.WHEEL_ZOOM_OUT_FACTOR
       : VIEWPORT_CONFIG.WHEEL_ZOOM_IN_FACTOR;
-      
-    const newScale = Math.max(
-      VIEWPORT_CONFIG.MIN_SCALE,
-      Math.min(VIEWPORT_CONFIG.MAX_SCALE, viewport.scale * scaleFactor)
-    );
-    
+    const zooming = this.animation && this.animation.type === 'zoom' ? this.animation : null;
+    const targetScale = clampScale((zooming ? zooming.targetScale : viewport.scale) * scaleFactor);
+
     // 如果缩放值没有变化，直接返回
+    if (targetScale === (zooming ? zooming.targetScale : viewport.scale)) return;
+
+    this.animateZoom(targetScale, anchor);
+  }
+
+  /**
+   * 以画布上的指定点为中心立即缩放
+   * @param {number} scale - 目标缩放（超出范围时截断）
+   * @param {Object} anchor - 缩放中心（canvas坐标） {x, y}
+   */
+  zoomAt(scale, anchor) {
+    const viewport = this.stateManager.get('viewport');
+    const newScale = clampScale(scale);
     if (newScale === viewport.scale) return;
-    
-    // 计算鼠标在世界坐标系中的位置
-    const worldX = (mouseX - viewport.x) / viewport.scale;
-    const worldY = (mouseY - viewport.y) / viewport.scale;
-    
-    // 更新视窗状态
-    const newViewport = {
+
+    // 计算缩放中心在世界坐标系中的位置，缩放后保持在原处
+    const worldX = (anchor.x - viewport.x) / viewport.scale;
+    const worldY = (anchor.y - viewport.y) / viewport.scale;
+
+    this.stateManager.updateViewport({
       scale: newScale,
-      x: mouseX - worldX * newScale,
-      y: mouseY - worldY * newScale
+      x: anchor.x - worldX * newScale,
+      y: anchor.y - worldY * newScale
+    });
+    this.updateViewport();
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 以画布上的指定点为中心平滑缩放到目标缩放
+   * 已在平滑缩放时只更新目标和中心，不重新开始动画
+   * @param {number} targetScale - 目标缩放
+   * @param {Object} anchor - 缩放中心（canvas坐标） {x, y}
+   */
+  animateZoom(targetScale, anchor) {
+    const viewport = this.stateManager.get('viewport');
+    const world = {
+      x: (anchor.x - viewport.x) / viewport.scale,
+      y: (anchor.y - viewport.y) / viewport.scale
     };
-    
-    this.stateManager.updateViewport(newViewport);
+
+    if (this.animation && this.animation.type === 'zoom') {
+      Object.assign(this.animation, { targetScale, anchor, world });
+      return;
+    }
+
+    this.startAnimation({
+      type: 'zoom',
+      targetScale,
+      anchor,
+      world,
+      step(deltaMS, current) {
+        if (current.scale === this.targetScale) return null;
+
+        const t = 1 - Math.pow(1 - VIEWPORT_CONFIG.ZOOM_SMOOTHING, deltaMS / VIEWPORT_CONFIG.FRAME_MS);
+        let scale = current.scale + (this.targetScale - current.scale) * t;
+        if (Math.abs(this.targetScale - scale) / this.targetScale < VIEWPORT_CONFIG.ZOOM_EPSILON) {
+          scale = this.targetScale;
+        }
+        return {
+          scale,
+          x: this.anchor.x - this.world.x * scale,
+          y: this.anchor.y - this.world.y * scale
+        };
+      }
+    });
+  }
+
+  /**
+   * 开始视窗动画，替换正在进行的动画
+   * 动画在 app.ticker 上逐帧推进，非自动渲染模式下动画期间启动 ticker
+   * @param {Object} animation - 动画 { type, step(deltaMS, viewport) }，
+   *   step 返回新的视窗状态（部分字段），返回 null 表示动画结束；调用时 this 为动画对象
+   */
+  startAnimation(animation) {
+    this.stopAnimation();
+    this.animation = { ...animation, viewport: this.stateManager.get('viewport') };
+    this.app.ticker.add(this.tickAnimation, this);
+    if (!this.app.autoStart) {
+      this.app.start();
+    }
+  }
+
+  /**
+   * 推进一帧视窗动画（由 app.ticker 调用）
+   * 视窗被动画以外的操作修改（撤销、重置、小地图等）时停止动画
+   * @param {PIXI.Ticker} ticker - ticker
+   */
+  tickAnimation(ticker) {
+    const animation = this.animation;
+    if (!animation) return;
+    if (this.stateManager.get('viewport') !== animation.viewport) {
+      this.stopAnimation();
+      return;
+    }
+
+    const next = animation.step(ticker.deltaMS, animation.viewport);
+    if (!next) {
+      this.stopAnimation();
+      return;
+    }
+
+    this.stateManager.updateViewport(next);
     this.updateViewport();
-    if(!this.app.autoStart) {
+    animation.viewport = this.stateManager.get('viewport');
+  }
+
+  /**
+   * 停止正在进行的视窗动画
+   * 一次动画的视窗变化记为一个历史步骤
+   */
+  stopAnimation() {
+    if (!this.animation) return;
+
+    this.animation = null;
+    this.app.ticker.remove(this.tickAnimation, this);
+    if (this.historyManager) {
+      this.historyManager.seal();
+    }
+    if (!this.app.autoStart && this.pointerDownPosition === null) {
+      this.app.stop();
       this.app.render();
     }
   }
 
+  /**
+   * 是否有正在进行的视窗动画
+   * @returns {boolean}
+   */
+  isAnimating() {
+    return this.animation !== null;
+  }
+
+  /**
+   * 是否有正在进行的指针手势（视窗平移、PBS拖拽、框选、双指捏合或交互工具的拖拽）
+   * @returns {boolean}
+   */
+  isGestureActive() {
+    return this.pointers.size > 0 || this.pointerDownPosition !== null || this.stateManager.get('draggingPBS') !== null;
+  }
+
+  /**
+   * 按松开前的拖拽速度开始惯性平移
+   * @returns {boolean} 是否开始了惯性平移
+   */
+  startInertia() {
+    const now = performance.now();
+    const samples = this.panSamples.filter(sample => now - sample.time <= VIEWPORT_CONFIG.INERTIA_SAMPLE_WINDOW);
+    this.panSamples = [];
+    if (samples.length < 2) return false;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+    if (elapsed <= 0) return false;
+
+    let vx = (last.x - first.x) / elapsed;
+    let vy = (last.y - first.y) / elapsed;
+    const speed = Math.hypot(vx, vy);
+    if (speed < VIEWPORT_CONFIG.INERTIA_MIN_SPEED) return false;
+    if (speed > VIEWPORT_CONFIG.INERTIA_MAX_SPEED) {
+      vx *= VIEWPORT_CONFIG.INERTIA_MAX_SPEED / speed;
+      vy *= VIEWPORT_CONFIG.INERTIA_MAX_SPEED / speed;
+    }
+
+    this.startAnimation({
+      type: 'inertia',
+      vx,
+      vy,
+      step(deltaMS, current) {
+        const decay = Math.pow(VIEWPORT_CONFIG.INERTIA_FRICTION, deltaMS / VIEWPORT_CONFIG.FRAME_MS);
+        this.vx *= decay;
+        this.vy *= decay;
+        if (Math.hypot(this.vx, this.vy) < VIEWPORT_CONFIG.INERTIA_MIN_SPEED) return null;
+        return { x: current.x + this.vx * deltaMS, y: current.y + this.vy * deltaMS };
+      }
+    });
+    return true;
+  }
+
   /**
    * 处理鼠标按下事件
    * @param {PointerEvent} event - 指针事件
    */
   handlePointerDown(event) {
+    // 再次按下画布时停止惯性平移和平滑缩放
+    this.stopAnimation();
     if(!this.app.autoStart) {
       this.app.start();
     }
     // 只处理在canvas上的点击
-    const rect = this.app.canvas.getBoundingClientRect();
-    const isOnCanvas = event.clientX >= rect.left && event.clientX <= rect.right &&
-                      event.clientY >= rect.top && event.clientY <= rect.bottom;
+    if (!this.isEventOnCanvas(event)) return;
+
+    // 第二个手指按下时转为双指捏合，取消单指开始的拖拽；更多的手指忽略
+    if (event.pointerId !== undefined) {
+      this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (this.pinch || this.pointers.size > 2) {
+        event.preventDefault();
+        return;
+      }
+      if (this.pointers.size === 2) {
+        this.startPinch();
+        event.preventDefault();
+        return;
+      }
+    }
 
-    if (!isOnCanvas) return;
+    // 当前工具优先处理（如顶点编辑、绘制工具）
+    if (this.dispatchToTool('onPointerDown', event)) {
+      event.preventDefault();
+      return;
+    }
 
     const state = this.stateManager.getState();
 
-    // 检查是否启用PBS移动模式
-    if (state.pbsMoveable) {
+    // 记录按下位置，抬起时据此判断是否为点击
+    this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+
+    // Shift+左键拖拽：框选（同时按住Ctrl时追加到当前选择）
+    if (event.shiftKey && (event.button === undefined || event.button === 0)) {
+      this.selectionBoxStart = this.eventToWorld(event);
+      this.selectionBoxAdditive = isToggleModifier(event);
+      this.stateManager.setHoveredUnit(null);
+      event.preventDefault();
+      return;
+    }
+
+    // 检查是否启用PBS移动模式（按住Ctrl时为切换选择，不拖拽）
+    if (state.pbsMoveable && !isToggleModifier(event)) {
       const pbsUnit = this.getPBSAtPoint(event);
       if (pbsUnit) {
-        // 找到PBS单元,进入PBS拖拽模式
+        // 按下未选中的单元时改为只选中该单元；按下已选中的单元时拖拽整组
+        if (!state.selectedUnits.includes(pbsUnit)) {
+          this.stateManager.setSelectedUnits([pbsUnit]);
+        }
+        this.startGroupDrag(this.stateManager.get('selectedUnits'), this.eventToWorld(event));
         this.stateManager.setDraggingPBS(pbsUnit);
         this.stateManager.setDragging(false);
 
@@ -168,6 +431,7 @@ export class ViewportController {
       x: event.clientX,
       y: event.clientY
     });
+    this.panSamples = [{ time: performance.now(), x: event.clientX, y: event.clientY }];
 
     // 改变鼠标样式
     this.app.canvas.style.cursor = APP_CONFIG.CURSOR_GRABBING;
@@ -181,33 +445,58 @@ export class ViewportController {
    * @param {PointerEvent} event - 指针事件
    */
   handlePointerMove(event) {
+    // 双指捏合：按两指的距离和中点缩放、平移
+    if (event.pointerId !== undefined && this.pointers.has(event.pointerId)) {
+      this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (this.pinch) {
+        if (this.pinch.ids.includes(event.pointerId)) {
+          this.updatePinch();
+        }
+        return;
+      }
+    }
+
+    // 当前工具正在处理手势时，不再平移视窗或拖拽PBS
+    if (this.dispatchToTool('onPointerMove', event)) {
+      this.stateManager.setHoveredUnit(null);
+      return;
+    }
+
+    // 框选：更新选择框
+    if (this.selectionBoxStart) {
+      // 选择框由 SelectionRenderer 订阅状态后绘制
+      this.stateManager.setSelectionBox(this.getSelectionRect(this.eventToWorld(event)));
+      return;
+    }
+
     const state = this.stateManager.getState();
 
+    // 拖拽过程中不显示悬停提示
+    if (state.draggingPBS || state.isDragging) {
+      this.stateManager.setHoveredUnit(null);
+    }
+
     // 优先处理PBS拖拽
     if (state.draggingPBS) {
-      // 获取canvas坐标
-      const rect = this.app.canvas.getBoundingClientRect();
-      const scaleX = this.app.canvas.width / rect.width;
-      const scaleY = this.app.canvas.height / rect.height;
+      // 转换为世界坐标(考虑视窗变换)
+      const worldPos = this.eventToWorld(event);
+      const worldPoint = new PIXI.Point(worldPos.x, worldPos.y);
 
-      const canvasX = (event.clientX - rect.left) * scaleX;
-      const canvasY = (event.clientY - rect.top) * scaleY;
+      // 每个单元在自己的父容器(厂区)本地坐标中保持与按下点的偏移
+      const group = (this.dragGroup || []).filter(({ unit }) => unit.parent);
+      const targets = group.map(({ unit, from, grab }) => {
+        const localPos = unit.parent.toLocal(worldPoint, this.app.stage);
+        return { x: from.x + localPos.x - grab.x, y: from.y + localPos.y - grab.y };
+      });
+      this.snapDragTargets(group, targets, state.draggingPBS, event);
 
-      // 转换为世界坐标(考虑视窗变换)
-      const viewport = state.viewport;
-      const worldX = (canvasX - viewport.x) / viewport.scale;
-      const worldY = (canvasY - viewport.y) / viewport.scale;
-
-      // 获取PBS的父容器(厂区)
-      const parent = state.draggingPBS.parent;
-      if (parent) {
-        // 将世界坐标转换为父容器的本地坐标
-        const localPos = parent.toLocal(new PIXI.Point(worldX, worldY), this.app.stage);
-
-        // 更新PBS位置
-        state.draggingPBS.x = localPos.x;
-        state.draggingPBS.y = localPos.y;
-      }
+      // 按所属厂区的约束规则限制位置
+      this.containment.constrain(group, targets).forEach((position, i) => {
+        group[i].unit.x = position.x;
+        group[i].unit.y = position.y;
+      });
+      this.containment.updateInvalidState(group);
+      this.stateManager.notifyUnitsMoved(group.map(({ unit }) => unit));
 
       // 更新指针位置
       this.stateManager.set('lastPointerPosition', {
@@ -239,13 +528,23 @@ export class ViewportController {
         y: event.clientY
       });
 
+      // 记录采样，只保留计算惯性速度所需的最近一段
+      const now = performance.now();
+      this.panSamples.push({ time: now, x: event.clientX, y: event.clientY });
+      while (this.panSamples.length > 2 && now - this.panSamples[0].time > VIEWPORT_CONFIG.INERTIA_SAMPLE_WINDOW) {
+        this.panSamples.shift();
+      }
+
       this.updateViewport();
       return;
     }
 
-    // PBS移动模式下：检查鼠标是否悬停在PBS上，更新鼠标样式
-    if (state.pbsMoveable && !state.isDragging && !state.draggingPBS) {
-      const pbsUnit = this.getPBSAtPoint(event);
+    // 悬停检测：更新悬停单元（使用交互工具时不显示悬停提示）
+    const pbsUnit = !this.activeTool && this.isEventOnCanvas(event) ? this.getPBSAtPoint(event) : null;
+    this.stateManager.setHoveredUnit(pbsUnit);
+
+    // PBS移动模式下：根据是否悬停在PBS上更新鼠标样式
+    if (state.pbsMoveable && !this.activeTool) {
       if (pbsUnit) {
         // 鼠标在PBS上，显示移动光标
         this.app.canvas.style.cursor = 'move';
@@ -261,25 +560,402 @@ export class ViewportController {
    * @param {PointerEvent} event - 指针事件
    */
   handlePointerUp(event) {
+    if (event.pointerId !== undefined && this.pointers.has(event.pointerId)) {
+      this.pointers.delete(event.pointerId);
+      if (this.pinch) {
+        this.endPinch(event.pointerId);
+        return;
+      }
+    }
+
+    this.dispatchToTool('onPointerUp', event);
+
     const state = this.stateManager.getState();
+    const isClick = this.pointerDownPosition !== null && Math.hypot(
+      event.clientX - this.pointerDownPosition.x,
+      event.clientY - this.pointerDownPosition.y
+    ) <= VIEWPORT_CONFIG.CLICK_TOLERANCE;
+    this.pointerDownPosition = null;
+
+    // 结束框选（几乎没有移动时按点击处理）
+    if (this.selectionBoxStart) {
+      if (!isClick) {
+        this.selectUnitsInRect(this.getSelectionRect(this.eventToWorld(event)), this.selectionBoxAdditive);
+      }
+      this.selectionBoxStart = null;
+      this.stateManager.setSelectionBox(null);
+    }
 
     // 清除PBS拖拽状态
     if (state.draggingPBS) {
+      this.recordPBSMove();
       this.stateManager.setDraggingPBS(null);
+      if (this.snapService) {
+        this.snapService.clearIndicator();
+      }
       // 在PBS移动模式下恢复为pointer样式
       this.app.canvas.style.cursor = state.pbsMoveable ? 'pointer' : APP_CONFIG.CURSOR_GRAB;
     } else {
-      // 清除视窗拖拽状态
+      // 清除视窗拖拽状态，拖拽（而不是点击）结束时按松开前的速度继续惯性平移
+      if (state.isDragging && !isClick) {
+        this.startInertia();
+      }
       this.stateManager.setDragging(false);
       // 恢复鼠标样式
       this.app.canvas.style.cursor = state.pbsMoveable ? 'pointer' : APP_CONFIG.CURSOR_GRAB;
     }
 
-    if(!this.app.autoStart) {
+    // 几乎没有移动时视为点击：点中聚合标记时放大到该聚合的范围
+    // 否则选中点中的PBS单元（点空白处取消选择），按住Ctrl或Shift点击时切换该单元的选中状态
+    const cluster = isClick && this.clusterSource
+      ? this.clusterSource.getClusterAtPoint(this.eventToWorld(event))
+      : null;
+    if (cluster) {
+      this.fitToContent(this.clusterSource.getClusterBounds(cluster), LOD_CONFIG.CLUSTER_FIT_PADDING);
+    } else if (isClick) {
+      const pbsUnit = this.getPBSAtPoint(event);
+      if (isToggleModifier(event) || event.shiftKey) {
+        if (pbsUnit) {
+          this.toggleUnitSelection(pbsUnit);
+        }
+      } else {
+        this.stateManager.setSelectedUnits(pbsUnit ? [pbsUnit] : []);
+      }
+    }
+
+    // 一次拖拽手势结束，后续视窗变化记为新的历史步骤（惯性平移结束时再封口）
+    if (this.historyManager && !this.animation) {
+      this.historyManager.seal();
+    }
+
+    if(!this.app.autoStart && !this.animation) {
+      this.app.stop();
+    }
+  }
+
+  /**
+   * 开始双指捏合：取消单指开始的平移、PBS拖拽或框选，记录两指的初始距离和中点
+   */
+  startPinch() {
+    this.cancelSingleGesture();
+
+    const ids = [...this.pointers.keys()].slice(0, 2);
+    const [a, b] = ids.map(id => this.pointers.get(id));
+    this.pinch = {
+      ids,
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      midpoint: this.getCanvasPosition({ clientX: (a.x + b.x) / 2, clientY: (a.y + b.y) / 2 })
+    };
+  }
+
+  /**
+   * 按两指当前位置更新视窗：缩放比例为两指距离之比，上一次中点下的世界坐标移到当前中点下
+   */
+  updatePinch() {
+    const pinch = this.pinch;
+    const [a, b] = pinch.ids.map(id => this.pointers.get(id));
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const midpoint = this.getCanvasPosition({ clientX: (a.x + b.x) / 2, clientY: (a.y + b.y) / 2 });
+
+    const viewport = this.stateManager.get('viewport');
+    const scale = pinch.distance > 0 && distance > 0
+      ? clampScale(viewport.scale * distance / pinch.distance)
+      : viewport.scale;
+    const worldX = (pinch.midpoint.x - viewport.x) / viewport.scale;
+    const worldY = (pinch.midpoint.y - viewport.y) / viewport.scale;
+
+    this.stateManager.updateViewport({
+      scale,
+      x: midpoint.x - worldX * scale,
+      y: midpoint.y - worldY * scale
+    });
+    this.updateViewport();
+
+    pinch.distance = distance;
+    pinch.midpoint = midpoint;
+  }
+
+  /**
+   * 结束双指捏合：捏合的一个手指抬起后，剩下的手指继续单指平移
+   * @param {number} pointerId - 抬起的指针ID
+   */
+  endPinch(pointerId) {
+    if (!this.pinch.ids.includes(pointerId)) return;
+    this.pinch = null;
+
+    // 一次捏合的视窗变化记为一个历史步骤
+    if (this.historyManager) {
+      this.historyManager.seal();
+    }
+
+    const remaining = [...this.pointers.values()][0];
+    if (remaining) {
+      this.stateManager.setDragging(true, remaining);
+      this.panSamples = [{ time: performance.now(), ...remaining }];
+    } else if (!this.app.autoStart) {
       this.app.stop();
     }
   }
 
+  /**
+   * 取消单指手势（视窗平移、PBS拖拽、框选），PBS单元退回拖拽前的位置
+   */
+  cancelSingleGesture() {
+    this.pointerDownPosition = null;
+    this.panSamples = [];
+    this.stateManager.setDragging(false);
+
+    if (this.selectionBoxStart) {
+      this.selectionBoxStart = null;
+      this.stateManager.setSelectionBox(null);
+    }
+
+    const group = this.dragGroup;
+    this.dragGroup = null;
+    if (group) {
+      group.forEach(({ unit, from }) => {
+        unit.x = from.x;
+        unit.y = from.y;
+      });
+      // 退回原位后不再检查：起始位置已在厂区外的单元会重新着色，且拖拽已结束，finish() 不会再清除
+      this.containment.clearInvalidState(group);
+      this.stateManager.notifyUnitsMoved(group.map(({ unit }) => unit));
+      this.stateManager.setDraggingPBS(null);
+      if (this.snapService) {
+        this.snapService.clearIndicator();
+      }
+    }
+  }
+
+  /**
+   * 开始拖拽一组PBS单元
+   * @param {Array} units - 要拖拽的PBS单元
+   * @param {Object} worldPoint - 按下点的世界坐标
+   */
+  startGroupDrag(units, worldPoint) {
+    const point = new PIXI.Point(worldPoint.x, worldPoint.y);
+    this.dragGroup = units
+      .filter(unit => unit.parent)
+      .map(unit => {
+        const grab = unit.parent.toLocal(point, this.app.stage);
+        return { unit, from: { x: unit.x, y: unit.y }, grab: { x: grab.x, y: grab.y } };
+      });
+    this.containment.prepare(this.dragGroup);
+  }
+
+  /**
+   * 拖拽吸附：被按下的单元吸附到网格或附近的对象（组内单元不作为目标），整组平移相同的距离以保持相对位置
+   * 各厂区缩放相同，厂区本地坐标中的偏移可直接用于组内其他单元
+   * @param {Array} group - 拖拽组 [{unit, from, grab}]
+   * @param {Array} targets - 各单元的目标位置（父容器本地坐标），原地修改
+   * @param {PIXI.Graphics} anchor - 被按下的单元
+   * @param {PointerEvent} event - 指针事件，按住 Alt 时不吸附
+   */
+  snapDragTargets(group, targets, anchor, event) {
+    if (!this.snapService) return;
+
+    const index = Math.max(0, group.findIndex(({ unit }) => unit === anchor));
+    if (!group[index]) return;
+
+    const target = targets[index];
+    const snapped = this.snapService.snap(target, group[index].unit.parent, event, {
+      objects: true,
+      excludeUnits: group.map(({ unit }) => unit)
+    });
+    const dx = snapped.x - target.x;
+    const dy = snapped.y - target.y;
+    targets.forEach(position => {
+      position.x += dx;
+      position.y += dy;
+    });
+  }
+
+  /**
+   * 将一次完整的PBS拖拽记录为一个历史步骤（整组移动为一步）
+   * 落在无效位置且规则为 snapBack 时整组退回原位，不记录历史
+   */
+  recordPBSMove() {
+    const group = this.dragGroup;
+    this.dragGroup = null;
+
+    if (!group) return;
+    if (this.containment.finish(group)) {
+      this.stateManager.notifyUnitsMoved(group.map(({ unit }) => unit));
+      if (!this.app.autoStart) {
+        this.app.render();
+      }
+      return;
+    }
+    if (!this.historyManager) return;
+
+    const moves = group
+      .filter(({ unit, from }) => from.x !== unit.x || from.y !== unit.y)
+      .map(({ unit, from }) => ({ unit, from, to: { x: unit.x, y: unit.y } }));
+    if (moves.length === 0) return;
+
+    this.historyManager.push(new MoveUnitsCommand(moves, this.stateManager));
+  }
+
+  /**
+   * 由框选起点和当前点计算选择框
+   * @param {Object} worldPoint - 当前点的世界坐标
+   * @returns {Object} 选择框（世界坐标） {x, y, width, height}
+   */
+  getSelectionRect(worldPoint) {
+    const start = this.selectionBoxStart;
+    return {
+      x: Math.min(start.x, worldPoint.x),
+      y: Math.min(start.y, worldPoint.y),
+      width: Math.abs(worldPoint.x - start.x),
+      height: Math.abs(worldPoint.y - start.y)
+    };
+  }
+
+  /**
+   * 选中中心点位于矩形内的PBS单元
+   * @param {Object} rect - 矩形（世界坐标） {x, y, width, height}
+   * @param {boolean} additive - 是否追加到当前选择
+   */
+  selectUnitsInRect(rect, additive = false) {
+    const units = this.getUnitsInRect(rect);
+    if (additive) {
+      const current = this.stateManager.get('selectedUnits');
+      this.stateManager.setSelectedUnits([...current, ...units.filter(unit => !current.includes(unit))]);
+    } else {
+      this.stateManager.setSelectedUnits(units);
+    }
+  }
+
+  /**
+   * 获取中心点位于矩形内的PBS单元
+   * @param {Object} rect - 矩形（世界坐标） {x, y, width, height}
+   * @returns {Array} PBS单元数组
+   */
+  getUnitsInRect(rect) {
+    return this.unitIndex.unitsInRect(rect, this.app.stage);
+  }
+
+  /**
+   * 切换单个PBS单元的选中状态
+   * @param {PIXI.Graphics} unit - PBS单元
+   */
+  toggleUnitSelection(unit) {
+    const current = this.stateManager.get('selectedUnits');
+    this.stateManager.setSelectedUnits(current.includes(unit)
+      ? current.filter(selected => selected !== unit)
+      : [...current, unit]);
+  }
+
+  /**
+   * 设置聚合标记来源
+   * 来源需实现 getClusterAtPoint(worldPoint) 和 getClusterBounds(cluster)，见 LODRenderer
+   * @param {Object|null} source - 聚合标记来源，null 表示不处理聚合标记的点击
+   */
+  setClusterSource(source) {
+    this.clusterSource = source;
+  }
+
+  /**
+   * 设置当前交互工具
+   * 工具对象可实现 onPointerDown / onPointerMove / onPointerUp(event, worldPoint)，
+   * 返回 true 表示已处理该事件，视窗平移和PBS拖拽将被跳过；
+   * 可选实现 activate() / deactivate()，name 用于记录到状态中
+   * @param {Object|null} tool - 工具对象，null 表示恢复默认的平移/拖拽行为
+   */
+  setActiveTool(tool) {
+    if (this.activeTool === tool) return;
+
+    if (this.activeTool && this.activeTool.deactivate) {
+      this.activeTool.deactivate();
+    }
+    this.activeTool = tool;
+    if (tool && tool.activate) {
+      tool.activate();
+    }
+
+    this.stateManager.set('activeTool', tool ? tool.name : null);
+  }
+
+  /**
+   * 将指针事件分发给当前工具
+   * 同时监听了 pointer 和 mouse 事件，为避免工具收到重复事件，支持 PointerEvent 时忽略 mouse 事件
+   * @param {string} handlerName - 处理方法名
+   * @param {PointerEvent} event - 指针事件
+   * @returns {boolean} 工具是否处理了该事件
+   */
+  dispatchToTool(handlerName, event) {
+    const tool = this.activeTool;
+    if (!tool || typeof tool[handlerName] !== 'function') return false;
+    if (event.type.startsWith('mouse') && typeof window.PointerEvent !== 'undefined') return false;
+
+    return tool[handlerName](event, this.eventToWorld(event)) === true;
+  }
+
+  /**
+   * 事件是否发生在canvas范围内
+   * @param {PointerEvent} event - 指针事件
+   * @returns {boolean}
+   */
+  isEventOnCanvas(event) {
+    const rect = this.app.canvas.getBoundingClientRect();
+    return event.clientX >= rect.left && event.clientX <= rect.right &&
+           event.clientY >= rect.top && event.clientY <= rect.bottom;
+  }
+
+  /**
+   * 获取事件在画布中的坐标（app.screen 坐标，HiDPI 屏幕下与 canvas 像素尺寸不同）
+   * @param {PointerEvent|WheelEvent} event - 指针或滚轮事件
+   * @returns {Object} canvas坐标 {x, y}
+   */
+  getCanvasPosition(event) {
+    const rect = this.app.canvas.getBoundingClientRect();
+    const scaleX = this.app.screen.width / rect.width;
+    const scaleY = this.app.screen.height / rect.height;
+
+    return {
+      x: (event.clientX - rect.left) * scaleX,
+      y: (event.clientY - rect.top) * scaleY
+    };
+  }
+
+  /**
+   * canvas坐标转换为世界坐标（舞台本地坐标）
+   * @param {number} canvasX - canvas X坐标
+   * @param {number} canvasY - canvas Y坐标
+   * @returns {Object} 世界坐标 {x, y}
+   */
+  canvasToWorld(canvasX, canvasY) {
+    const { x, y, scale } = this.stateManager.get('viewport');
+    return {
+      x: (canvasX - x) / scale,
+      y: (canvasY - y) / scale
+    };
+  }
+
+  /**
+   * 世界坐标转换为canvas坐标
+   * @param {number} worldX - 世界 X坐标
+   * @param {number} worldY - 世界 Y坐标
+   * @returns {Object} canvas坐标 {x, y}
+   */
+  worldToCanvas(worldX, worldY) {
+    const { x, y, scale } = this.stateManager.get('viewport');
+    return {
+      x: worldX * scale + x,
+      y: worldY * scale + y
+    };
+  }
+
+  /**
+   * 获取事件对应的世界坐标
+   * @param {PointerEvent|WheelEvent} event - 指针或滚轮事件
+   * @returns {Object} 世界坐标 {x, y}
+   */
+  eventToWorld(event) {
+    const canvasPos = this.getCanvasPosition(event);
+    return this.canvasToWorld(canvasPos.x, canvasPos.y);
+  }
+
   /**
    * 设置视窗变换
    */
@@ -296,8 +972,8 @@ export class ViewportController {
    */
   zoomIn() {
     const viewport = this.stateManager.get('viewport');
-    const centerX = this.app.canvas.width / 2;
-    const centerY = this.app.canvas.height / 2;
+    const centerX = this.app.screen.width / 2;
+    const centerY = this.app.screen.height / 2;
     
     const scaleFactor = VIEWPORT_CONFIG.ZOOM_IN_FACTOR;
     const newScale = Math.min(VIEWPORT_CONFIG.MAX_SCALE, viewport.scale * scaleFactor);
@@ -325,8 +1001,8 @@ export class ViewportController {
    */
   zoomOut() {
     const viewport = this.stateManager.get('viewport');
-    const centerX = this.app.canvas.width / 2;
-    const centerY = this.app.canvas.height / 2;
+    const centerX = this.app.screen.width / 2;
+    const centerY = this.app.screen.height / 2;
     
     const scaleFactor = VIEWPORT_CONFIG.ZOOM_OUT_FACTOR;
     const newScale = Math.max(VIEWPORT_CONFIG.MIN_SCALE, viewport.scale * scaleFactor);
@@ -390,13 +1066,10 @@ export class ViewportController {
    * @param {Object} center - 缩放中心点 {x, y}，默认为画布中心
    */
   zoomTo(scale, center = null) {
-    const targetScale = Math.max(
-      VIEWPORT_CONFIG.MIN_SCALE,
-      Math.min(VIEWPORT_CONFIG.MAX_SCALE, scale)
-    );
+    const targetScale = clampScale(scale);
     
-    const centerX = center ? center.x : this.app.canvas.width / 2;
-    const centerY = center ? center.y : this.app.canvas.height / 2;
+    const centerX = center ? center.x : this.app.screen.width / 2;
+    const centerY = center ? center.y : this.app.screen.height / 2;
     
     const viewport = this.stateManager.get('viewport');
     const worldX = (centerX - viewport.x) / viewport.scale;
@@ -423,13 +1096,16 @@ export class ViewportController {
   fitToContent(bounds, padding = 0.1) {
     if (!bounds) return;
     
-    const canvasWidth = this.app.canvas.width;
-    const canvasHeight = this.app.canvas.height;
+    const canvasWidth = this.app.screen.width;
+    const canvasHeight = this.app.screen.height;
     
     // 计算缩放比例
     const scaleX = (canvasWidth * (1 - padding * 2)) / bounds.width;
     const scaleY = (canvasHeight * (1 - padding * 2)) / bounds.height;
-    const scale = Math.min(scaleX, scaleY);
+    const scale = Math.max(
+      VIEWPORT_CONFIG.MIN_SCALE,
+      Math.min(VIEWPORT_CONFIG.MAX_SCALE, scaleX, scaleY)
+    );
     
     // 计算中心位置
     const centerX = canvasWidth / 2;
@@ -438,7 +1114,7 @@ export class ViewportController {
     const contentCenterY = bounds.y + bounds.height / 2;
     
     const newViewport = {
-      scale: Math.max(VIEWPORT_CONFIG.MIN_SCALE, Math.min(VIEWPORT_CONFIG.MAX_SCALE, scale)),
+      scale,
       x: centerX - contentCenterX * scale,
       y: centerY - contentCenterY * scale
     };
@@ -450,6 +1126,110 @@ export class ViewportController {
     }
   }
 
+  /**
+   * 以动画方式定位到指定范围或PBS单元，使其居中并完整显示
+   * @param {Object|string} target - 范围（世界坐标） {x, y, width, height}，或PBS单元ID
+   * @param {Object} options - 动画选项
+   * @param {number} options.duration - 时长（毫秒），默认 VIEWPORT_CONFIG.FLY_DURATION，0 表示立即跳转
+   * @param {string|Function} options.easing - 缓动函数名（见 utils/easing.js）或函数
+   * @param {number} options.padding - 边距比例，默认 VIEWPORT_CONFIG.FLY_PADDING
+   * @returns {boolean} 是否找到目标
+   */
+  flyTo(target, { padding = VIEWPORT_CONFIG.FLY_PADDING, ...options } = {}) {
+    let bounds = target;
+    if (typeof target === 'string') {
+      const unit = this.findUnitById(target);
+      if (!unit) {
+        console.warn(`未找到PBS单元: ${target}`);
+        return false;
+      }
+      bounds = getUnitWorldBounds(unit, this.app.stage);
+    }
+    if (!bounds) return false;
+
+    const { width, height } = this.app.screen;
+    const scale = clampScale(Math.min(
+      (width * (1 - padding * 2)) / (bounds.width || 1),
+      (height * (1 - padding * 2)) / (bounds.height || 1)
+    ));
+    this.flyToView({
+      center: { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 },
+      scale
+    }, options);
+    return true;
+  }
+
+  /**
+   * 以动画方式移动到指定的视窗中心和缩放
+   * 缩放按对数插值，起点和终点距离较远时途中先缩小到能同时看到两点，再放大到目标缩放
+   * @param {Object} view - 目标视窗 { center: {x, y}（世界坐标）, scale }
+   * @param {Object} options - 动画选项 { duration, easing }，见 flyTo
+   */
+  flyToView({ center, scale }, { duration = VIEWPORT_CONFIG.FLY_DURATION, easing = VIEWPORT_CONFIG.FLY_EASING } = {}) {
+    const ease = getEasing(easing);
+    const { width, height } = this.app.screen;
+    const from = this.stateManager.get('viewport');
+    const fromCenter = {
+      x: (width / 2 - from.x) / from.scale,
+      y: (height / 2 - from.y) / from.scale
+    };
+    const toScale = clampScale(scale);
+    const toViewport = s => c => ({ scale: s, x: width / 2 - c.x * s, y: height / 2 - c.y * s });
+
+    if (!(duration > 0)) {
+      this.stopAnimation();
+      this.stateManager.updateViewport(toViewport(toScale)(center));
+      this.updateViewport();
+      if (!this.app.autoStart) {
+        this.app.render();
+      }
+      return;
+    }
+
+    // 途中需要缩小到的缩放：短边能容纳两点距离的 FLY_ZOOM_OUT_MARGIN 倍
+    const distance = Math.hypot(center.x - fromCenter.x, center.y - fromCenter.y);
+    const overview = distance > 0
+      ? clampScale(Math.min(width, height) / (distance * VIEWPORT_CONFIG.FLY_ZOOM_OUT_MARGIN))
+      : Infinity;
+    const logFrom = Math.log(from.scale);
+    const logTo = Math.log(toScale);
+    // 对数缩放在中点处额外降低 dip，使中点的缩放不超过 overview
+    const dip = Math.max(0, (logFrom + logTo) / 2 - Math.log(overview));
+
+    this.startAnimation({
+      type: 'fly',
+      elapsed: 0,
+      finished: false,
+      step(deltaMS) {
+        if (this.finished) return null;
+
+        this.elapsed += deltaMS;
+        const t = Math.min(1, this.elapsed / duration);
+        this.finished = t >= 1;
+        const e = ease(t);
+        const s = Math.exp(logFrom + (logTo - logFrom) * e - dip * 4 * e * (1 - e));
+        return toViewport(s)({
+          x: fromCenter.x + (center.x - fromCenter.x) * e,
+          y: fromCenter.y + (center.y - fromCenter.y) * e
+        });
+      }
+    });
+  }
+
+  /**
+   * 按ID查找PBS单元
+   * @param {string} id - PBS单元ID
+   * @returns {PIXI.Graphics|null} PBS单元
+   */
+  findUnitById(id) {
+    for (const factory of this.stateManager.getFactoryGraphics()) {
+      if (factory.destroyed) continue;
+      const unit = factory.children.find(child => child.isPBS && child.pbsData.id === id);
+      if (unit) return unit;
+    }
+    return null;
+  }
+
   /**
    * 获取当前视窗信息
    * @returns {Object} 视窗信息
@@ -460,63 +1240,75 @@ export class ViewportController {
       ...viewport,
       minScale: VIEWPORT_CONFIG.MIN_SCALE,
       maxScale: VIEWPORT_CONFIG.MAX_SCALE,
-      canvasWidth: this.app.canvas.width,
-      canvasHeight: this.app.canvas.height
+      canvasWidth: this.app.screen.width,
+      canvasHeight: this.app.screen.height
+    };
+  }
+
+  /**
+   * 获取当前屏幕可见区域对应的世界坐标矩形
+   * @returns {Object} 矩形（世界坐标） {x, y, width, height}
+   */
+  getVisibleWorldRect() {
+    const { scale } = this.stateManager.get('viewport');
+    const topLeft = this.canvasToWorld(0, 0);
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: this.app.screen.width / scale,
+      height: this.app.screen.height / scale
     };
   }
 
   /**
    * 获取鼠标位置处的PBS单元
+   * 按单元的实际形状（圆形、矩形、多边形）检测，而不是边界框
    * @param {PointerEvent} event - 指针事件
    * @returns {PIXI.Graphics|null} PBS单元或null
    */
   getPBSAtPoint(event) {
     if (!this.app || !this.app.stage) return null;
 
-    // 获取canvas坐标
-    const rect = this.app.canvas.getBoundingClientRect();
-    const scaleX = this.app.canvas.width / rect.width;
-    const scaleY = this.app.canvas.height / rect.height;
-
-    const canvasX = (event.clientX - rect.left) * scaleX;
-    const canvasY = (event.clientY - rect.top) * scaleY;
-
     // 转换为世界坐标(考虑视窗变换)
-    const viewport = this.stateManager.get('viewport');
-    const worldX = (canvasX - viewport.x) / viewport.scale;
-    const worldY = (canvasY - viewport.y) / viewport.scale;
-
-    // 通过StateManager获取厂区图形引用，消除硬编码假设
-    const factory = this.stateManager.get('factoryGraphic');
-    if (!factory || !factory.children) return null;
-
-    // 创建世界坐标点
-    const worldPoint = new PIXI.Point(worldX, worldY);
-
-    // 从后往前遍历(优先选择上层的PBS)
-    for (let i = factory.children.length - 1; i >= 0; i--) {
-      const child = factory.children[i];
-
-      // 使用isPBS属性精准识别PBS单元,避免误触其他Graphics
-      if (child.isPBS) {
-        // 使用 containsPoint 方法进行精确的点检测
-        // 需要先将世界坐标转换为PBS单元的本地坐标
-        const localPoint = child.toLocal(worldPoint, this.app.stage);
-
-        // 使用 PixiJS 内置的边界检测
-        // 获取本地边界（不含变换）
-        const localBounds = child.getLocalBounds();
-
-        // 检查点是否在本地边界内
-        if (localPoint.x >= localBounds.x &&
-            localPoint.x <= localBounds.x + localBounds.width &&
-            localPoint.y >= localBounds.y &&
-            localPoint.y <= localBounds.y + localBounds.height) {
-          return child;
-        }
-      }
-    }
+    const { x: worldX, y: worldY } = this.eventToWorld(event);
 
-    return null;
+    // 通过空间索引查询，后添加的厂区和上层的PBS排在前面
+    const hits = this.unitIndex.unitsAtPoint(new PIXI.Point(worldX, worldY), this.app.stage);
+    return hits.length > 0 ? hits[0] : null;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * 是否按下了切换选择的修饰键（Ctrl，macOS 上为 Command）
+ * @param {PointerEvent} event - 指针事件
+ * @returns {boolean}
+ */
+function isToggleModifier(event) {
+  return !!(event.ctrlKey || event.metaKey);
+}
+
+/**
+ * 将缩放限制在允许范围内
+ * @param {number} scale - 缩放
+ * @returns {number}
+ */
+function clampScale(scale) {
+  return Math.max(VIEWPORT_CONFIG.MIN_SCALE, Math.min(VIEWPORT_CONFIG.MAX_SCALE, scale));
+}
+
+/**
+ * PBS单元在世界（舞台）坐标中的包围盒
+ * @param {PIXI.Graphics} unit - PBS单元
+ * @param {PIXI.Container} stage - 舞台
+ * @returns {Object} 矩形（世界坐标） {x, y, width, height}
+ */
+function getUnitWorldBounds(unit, stage) {
+  const { minX, minY, maxX, maxY } = getUnitBounds(unit);
+  const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]]
+    .map(([x, y]) => stage.toLocal(new PIXI.Point(x, y), unit.parent));
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
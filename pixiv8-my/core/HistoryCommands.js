@@ -0,0 +1,180 @@
+/**
+ * 历史命令
+ * 每个命令封装一次可撤销的场景修改，提供 undo() / redo()
+ *
+ * 命令约定：
+ * - label: 操作名称，用于日志和界面显示
+ * - coalesceKey: 可选，相同 key 的连续命令在时间窗口内合并为一步
+ * - merge(next): 可选，与后一个同类命令合并（保留自身的起点，采用对方的终点）
+ */
+
+/**
+ * 状态变更命令
+ * 记录 StateManager 中若干状态项的前后值
+ */
+export class StateChangeCommand {
+  /**
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {string} label - 操作名称
+   * @param {Object} before - 变更前的状态项
+   * @param {Object} after - 变更后的状态项
+   * @param {string|null} coalesceKey - 合并键
+   */
+  constructor(stateManager, label, before, after, coalesceKey = null) {
+    this.stateManager = stateManager;
+    this.label = label;
+    this.before = before;
+    this.after = after;
+    this.coalesceKey = coalesceKey;
+  }
+
+  undo() {
+    this.stateManager.setState(this.before);
+  }
+
+  redo() {
+    this.stateManager.setState(this.after);
+  }
+
+  merge(next) {
+    this.after = next.after;
+  }
+}
+
+/**
+ * PBS单元移动命令
+ * 位置为单元在父容器（厂区）中的本地坐标
+ */
+export class MoveUnitsCommand {
+  /**
+   * @param {Array} moves - 移动记录 [{unit, from: {x, y}, to: {x, y}}, ...]
+   * @param {StateManager} stateManager - 状态管理器（可选），用于通知单元位置变化
+   */
+  constructor(moves, stateManager = null) {
+    this.moves = moves;
+    this.stateManager = stateManager;
+    this.label = moves.length > 1 ? `移动 ${moves.length} 个PBS单元` : '移动PBS单元';
+    this.coalesceKey = null;
+  }
+
+  undo() {
+    this.moves.forEach(({ unit, from }) => {
+      unit.x = from.x;
+      unit.y = from.y;
+    });
+    this.notify();
+  }
+
+  redo() {
+    this.moves.forEach(({ unit, to }) => {
+      unit.x = to.x;
+      unit.y = to.y;
+    });
+    this.notify();
+  }
+
+  notify() {
+    if (this.stateManager) {
+      this.stateManager.notifyUnitsMoved(this.moves.map(({ unit }) => unit));
+    }
+  }
+}
+
+/**
+ * 厂区轮廓编辑命令
+ * 通过 FactoryRenderer.updateOutline 恢复顶点，旋转点随之重新计算
+ */
+export class OutlineEditCommand {
+  /**
+   * @param {FactoryRenderer} factoryRenderer - 厂区渲染器
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {Array} before - 编辑前的顶点数组
+   * @param {Array} after - 编辑后的顶点数组
+   * @param {string} label - 操作名称
+   */
+  constructor(factoryRenderer, factory, before, after, label = '编辑厂区轮廓') {
+    this.factoryRenderer = factoryRenderer;
+    this.factory = factory;
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.coalesceKey = null;
+  }
+
+  undo() {
+    this.factoryRenderer.updateOutline(this.factory, this.before);
+  }
+
+  redo() {
+    this.factoryRenderer.updateOutline(this.factory, this.after);
+  }
+}
+
+/**
+ * 添加区域命令
+ */
+export class AddZoneCommand {
+  /**
+   * @param {PolygonRenderer} polygonRenderer - 多边形渲染器
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {PIXI.Graphics} factory - 区域所属厂区
+   * @param {PIXI.Graphics} zone - 区域图形
+   */
+  constructor(polygonRenderer, stateManager, factory, zone) {
+    this.polygonRenderer = polygonRenderer;
+    this.stateManager = stateManager;
+    this.factory = factory;
+    this.zone = zone;
+    this.label = '添加区域';
+    this.coalesceKey = null;
+  }
+
+  undo() {
+    if (this.zone.parent) {
+      this.zone.parent.removeChild(this.zone);
+    }
+    this.stateManager.removeZone(this.zone);
+  }
+
+  redo() {
+    this.polygonRenderer.addZoneToFactory(this.factory, this.zone);
+    this.stateManager.addZone(this.zone);
+  }
+}
+
+/**
+ * PBS单元属性修改命令
+ * 通过 StateManager 写回属性，并通过 PBSRenderer 重绘（颜色、形状、大小可能变化）
+ */
+export class UnitAttributesCommand {
+  /**
+   * @param {PBSRenderer} pbsRenderer - PBS渲染器
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @param {Object} before - 修改前的属性
+   * @param {Object} after - 修改后的属性
+   */
+  constructor(pbsRenderer, stateManager, unit, before, after) {
+    this.pbsRenderer = pbsRenderer;
+    this.stateManager = stateManager;
+    this.unit = unit;
+    this.before = before;
+    this.after = after;
+    this.label = '修改PBS属性';
+    this.coalesceKey = null;
+  }
+
+  undo() {
+    this.apply(this.before);
+  }
+
+  redo() {
+    this.apply(this.after);
+  }
+
+  apply(attributes) {
+    this.stateManager.updateUnitAttributes(this.unit, attributes);
+    const data = this.unit.pbsData;
+    this.pbsRenderer.updateColor(this.unit, data.color, data);
+  }
+}
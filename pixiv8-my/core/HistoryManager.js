@@ -0,0 +1,264 @@
+/**
+ * 历史管理器
+ * 基于命令模式记录场景修改，提供撤销/重做
+ *
+ * 记录来源：
+ * - StateManager 中被跟踪的状态项（颜色、图形、视窗、标定、固定的测量），通过订阅自动记录
+ * - 图形对象上的直接修改（如PBS拖拽），由调用方通过 push() 记录
+ */
+
+import { HISTORY_CONFIG } from '../utils/constants.js';
+import { StateChangeCommand } from './HistoryCommands.js';
+
+// 自动记录的状态项分组：同组的键一起保存和恢复
+const TRACKED_SLICES = [
+  { keys: ['colorIndex', 'currentColor'], label: '切换颜色', coalesceKey: null },
+  { keys: ['currentShape', 'currentGraphic'], label: '切换图形', coalesceKey: null },
+  { keys: ['viewport'], label: '调整视窗', coalesceKey: 'viewport' },
+  { keys: ['calibration'], label: '标定实际尺寸', coalesceKey: null },
+  { keys: ['measurements'], label: '固定/删除测量', coalesceKey: null }
+];
+
+export class HistoryManager {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例，用于撤销/重做后重新渲染
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {Object} options - 配置选项 {maxSteps, coalesceInterval}
+   */
+  constructor(app, stateManager, options = {}) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.maxSteps = options.maxSteps || HISTORY_CONFIG.MAX_STEPS;
+    this.coalesceInterval = options.coalesceInterval || HISTORY_CONFIG.COALESCE_INTERVAL;
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastPushTime = 0;
+    // 正在执行撤销/重做时不记录新的历史
+    this.isApplying = false;
+    // 为true时，下一条命令不与栈顶合并
+    this.sealed = false;
+
+    this.subscribers = [];
+
+    // 订阅状态变化，自动记录被跟踪的状态项
+    this.unsubscribeState = this.stateManager.subscribe((newState, oldState) => {
+      this.recordStateChange(newState, oldState);
+    });
+  }
+
+  /**
+   * 根据状态变化生成历史命令
+   * @param {Object} newState - 新状态
+   * @param {Object} oldState - 旧状态
+   */
+  recordStateChange(newState, oldState) {
+    if (this.isApplying) return;
+
+    const changed = TRACKED_SLICES.filter(slice =>
+      slice.keys.some(key => newState[key] !== oldState[key])
+    );
+    if (changed.length === 0) return;
+
+    const before = {};
+    const after = {};
+    changed.forEach(slice => {
+      slice.keys.forEach(key => {
+        before[key] = oldState[key];
+        after[key] = newState[key];
+      });
+    });
+
+    // 仅当只有一个可合并的分组变化时才参与合并（如连续的视窗平移/缩放）
+    const coalesceKey = changed.length === 1 ? changed[0].coalesceKey : null;
+    const label = changed.map(slice => slice.label).join('、');
+
+    this.push(new StateChangeCommand(this.stateManager, label, before, after, coalesceKey));
+  }
+
+  /**
+   * 执行命令并记录到历史
+   * @param {Object} command - 命令对象
+   */
+  execute(command) {
+    this.isApplying = true;
+    try {
+      command.redo();
+    } finally {
+      this.isApplying = false;
+    }
+    this.push(command);
+    this.render();
+  }
+
+  /**
+   * 记录一个已经生效的命令
+   * 与栈顶命令的 coalesceKey 相同且在时间窗口内时合并为一步
+   * @param {Object} command - 命令对象
+   */
+  push(command) {
+    if (this.isApplying) return;
+
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+    const canMerge = top &&
+      !this.sealed &&
+      command.coalesceKey &&
+      top.coalesceKey === command.coalesceKey &&
+      typeof top.merge === 'function' &&
+      now - this.lastPushTime <= this.coalesceInterval;
+
+    if (canMerge) {
+      top.merge(command);
+    } else {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.maxSteps) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.lastPushTime = now;
+    this.sealed = false;
+    this.redoStack = [];
+    this.notifySubscribers();
+  }
+
+  /**
+   * 结束当前连续操作，下一条命令不再与之合并
+   * 在拖拽结束（pointerup）等手势边界调用
+   */
+  seal() {
+    this.sealed = true;
+  }
+
+  /**
+   * 撤销
+   * @returns {boolean} 是否执行了撤销
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    this.apply(() => command.undo());
+    this.redoStack.push(command);
+    this.sealed = true;
+
+    console.log(`撤销: ${command.label}`);
+    this.notifySubscribers();
+    return true;
+  }
+
+  /**
+   * 重做
+   * @returns {boolean} 是否执行了重做
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    this.apply(() => command.redo());
+    this.undoStack.push(command);
+    this.sealed = true;
+
+    console.log(`重做: ${command.label}`);
+    this.notifySubscribers();
+    return true;
+  }
+
+  /**
+   * 在屏蔽记录的情况下执行修改，并重新渲染
+   * @param {Function} fn - 修改函数
+   */
+  apply(fn) {
+    this.isApplying = true;
+    try {
+      fn();
+    } finally {
+      this.isApplying = false;
+    }
+    this.render();
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (this.app && !this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 是否可以撤销
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * 是否可以重做
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 清空历史
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.sealed = false;
+    this.notifySubscribers();
+  }
+
+  /**
+   * 订阅历史变化
+   * @param {Function} callback - 回调函数，参数为 {canUndo, canRedo, undoLabel, redoLabel}
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      const index = this.subscribers.indexOf(callback);
+      if (index > -1) {
+        this.subscribers.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 通知所有订阅者
+   */
+  notifySubscribers() {
+    const info = {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+      redoLabel: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+    };
+    this.subscribers.forEach(callback => {
+      try {
+        callback(info);
+      } catch (error) {
+        console.error('历史订阅者回调错误:', error);
+      }
+    });
+  }
+
+  /**
+   * 销毁历史管理器
+   */
+  destroy() {
+    if (this.unsubscribeState) {
+      this.unsubscribeState();
+      this.unsubscribeState = null;
+    }
+    this.subscribers = [];
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
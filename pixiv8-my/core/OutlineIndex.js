@@ -0,0 +1,84 @@
+/**
+ * 厂区轮廓边空间索引
+ * 为每个厂区维护一个 SpatialIndex，登记轮廓每条边在厂区本地坐标中的包围盒，
+ * 对象吸附按指针附近的矩形查询顶点、边中点和垂足，不再遍历全部轮廓：
+ * - 厂区变化（场景加载/清空）时丢弃旧索引，首次查询某个厂区时建立索引
+ * - 轮廓编辑直接修改 factoryData，不经过 StateManager，查询时按顶点数组是否被替换判断是否重建
+ * 查询接口使用舞台（世界）坐标，内部换算到各厂区的本地坐标
+ */
+
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import { toLocalBounds } from './UnitIndex.js';
+
+export class OutlineIndex {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    // 厂区图形 -> { points, index }，points 为建立索引时的顶点数组
+    this.indexes = new Map();
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.indexes.clear();
+      }
+    });
+  }
+
+  /**
+   * 获取（必要时建立）厂区轮廓的索引
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {SpatialIndex} 空间索引，对象为边 { factory, index, a, b }（第 index 条边从顶点 index 到下一个顶点）
+   */
+  getIndex(factory) {
+    const points = factory.factoryData.points;
+    let entry = this.indexes.get(factory);
+    if (!entry || entry.points !== points) {
+      const index = new SpatialIndex();
+      points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        index.insert({ factory, index: i, a, b }, {
+          minX: Math.min(a.x, b.x),
+          minY: Math.min(a.y, b.y),
+          maxX: Math.max(a.x, b.x),
+          maxY: Math.max(a.y, b.y)
+        });
+      });
+      entry = { points, index };
+      this.indexes.set(factory, entry);
+    }
+    return entry.index;
+  }
+
+  /**
+   * 查询包围盒与舞台坐标矩形相交的轮廓边
+   * @param {Object} rect - 矩形（舞台坐标） {x, y, width, height}
+   * @param {PIXI.Container} stage - 舞台
+   * @returns {Array} 边数组 [{ factory, index, a, b }]，顶点为所在厂区的本地坐标
+   */
+  edgesInRect(rect, stage) {
+    const results = [];
+
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed || !factory.factoryData || factory.factoryData.points.length < 2) return;
+      results.push(...this.getIndex(factory).queryRect(toLocalBounds(factory, rect, stage)));
+    });
+
+    return results;
+  }
+
+  /**
+   * 销毁索引
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.indexes.clear();
+  }
+}
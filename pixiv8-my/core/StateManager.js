@@ -3,7 +3,7 @@
  * 负责应用状态的管理和通知机制
  */
 
-import { COLORS, GRAPHICS_CONFIG } from '../utils/constants.js';
+import { COLORS, GRAPHICS_CONFIG, GRID_CONFIG } from '../utils/constants.js';
 
 export class StateManager {
   constructor() {
@@ -11,7 +11,11 @@ export class StateManager {
       // 图形状态
       currentShape: null,        // 当前显示的图形 ('polygon' | 'factory')
       currentGraphic: null,      // 当前的图形对象
-      factoryGraphic: null,      // 厂区图形对象引用
+      factoryGraphic: null,      // 厂区图形对象引用（主厂区）
+      factoryGraphics: [],       // 场景中的所有厂区图形
+
+      // 场景文档信息
+      scene: null,               // { version, name }
 
       // 动画状态
       isRotating: false,
@@ -30,6 +34,7 @@ export class StateManager {
       polygonPoints: [...GRAPHICS_CONFIG.DEFAULT_POLYGON_POINTS],
       factoryPoints: [...GRAPHICS_CONFIG.FACTORY_POINTS],
       pbsGraphics: [],
+      zones: [],                 // 区域图形（包含 zoneData）
 
       // 视窗状态
       viewport: {
@@ -44,7 +49,47 @@ export class StateManager {
 
       // PBS移动状态
       pbsMoveable: false,
-      draggingPBS: null
+      draggingPBS: null,
+
+      // 标签状态
+      showLabels: true,
+
+      // 选择状态
+      selectedUnits: [],         // 当前选中的PBS单元，每次变化都是新数组
+      hoveredUnit: null,         // 指针悬停的PBS单元
+      selectionBox: null,        // 正在拖出的框选矩形（世界坐标） {x, y, width, height}
+
+      // 属性修改通知
+      lastUnitEdit: null,        // 最近一次属性修改 { unit, keys }，每次修改都是新对象
+      lastUnitMove: null,        // 最近一次位置变化 { units }，每次变化都是新对象
+
+      // 间距检查结果 [{ a, b, distance, required }]，每次变化都是新数组
+      clearanceViolations: [],
+
+      // 几何分析结果 [{ kind, target, factory, id, name, area, perimeter, bounds, orientation, centroid, ... }]，
+      // 每次变化都是新数组
+      geometryMetrics: [],
+
+      // 实际尺寸标定 { scale, unit }：实际长度 = 场景长度 × scale，null 表示未标定
+      calibration: null,
+
+      // 已固定的测量 [{ id, points }]，points 为主厂区本地坐标；每次变化都是新数组
+      measurements: [],
+
+      // 网格 { visible, snap, pitch }：是否显示、是否吸附、吸附间距（已标定时为实际单位）
+      grid: { visible: false, snap: false, pitch: GRID_CONFIG.DEFAULT_PITCH },
+
+      // 是否吸附到对象（厂区顶点、边中点、边上垂足和其他单元中心）
+      objectSnap: false,
+
+      // 拖拽时的吸附提示 { point, kind, guides }（舞台坐标），null 表示没有吸附
+      snapIndicator: null,
+
+      // 当前交互工具名称（如 'vertexEdit'），null 表示默认的平移/拖拽
+      activeTool: null,
+
+      // 视窗书签，下标 0~8 对应编号 1~9，空位为 null；每次变化都是新数组
+      bookmarks: []
     };
 
     this.subscribers = [];
@@ -214,6 +259,17 @@ export class StateManager {
     return newState;
   }
 
+  /**
+   * 切换PBS标签显示状态
+   * @returns {boolean} 新的标签显示状态
+   */
+  toggleLabels() {
+    const newState = !this.state.showLabels;
+    this.setState({ showLabels: newState });
+    console.log(`PBS标签: ${newState ? '已显示' : '已隐藏'}`);
+    return newState;
+  }
+
   /**
    * 设置正在拖拽的PBS单元
    * @param {PIXI.Graphics} pbsUnit - PBS单元对象
@@ -222,6 +278,71 @@ export class StateManager {
     this.setState({ draggingPBS: pbsUnit });
   }
 
+  /**
+   * 设置选中的PBS单元
+   * 选中内容没有变化时不通知订阅者
+   * @param {Array} units - PBS单元数组，空数组表示取消选择
+   */
+  setSelectedUnits(units) {
+    const current = this.state.selectedUnits;
+    if (current.length === units.length && current.every((unit, i) => unit === units[i])) return;
+    this.setState({ selectedUnits: [...units] });
+  }
+
+  /**
+   * 设置框选矩形
+   * @param {Object|null} box - 矩形（世界坐标） {x, y, width, height}，null 表示结束框选
+   */
+  setSelectionBox(box) {
+    this.setState({ selectionBox: box });
+  }
+
+  /**
+   * 设置指针悬停的PBS单元
+   * @param {PIXI.Graphics|null} unit - PBS单元，null 表示未悬停在单元上
+   */
+  setHoveredUnit(unit) {
+    if (this.state.hoveredUnit === unit) return;
+    this.setState({ hoveredUnit: unit });
+  }
+
+  /**
+   * 设置PBS间距冲突列表
+   * @param {Array} violations - 冲突列表 [{ a, b, distance, required }]
+   */
+  setClearanceViolations(violations) {
+    this.setState({ clearanceViolations: [...violations] });
+  }
+
+  /**
+   * 设置几何分析结果
+   * @param {Array} metrics - 分析结果列表，见 GeometryAnalytics
+   */
+  setGeometryMetrics(metrics) {
+    this.setState({ geometryMetrics: [...metrics] });
+  }
+
+  /**
+   * 修改PBS单元属性
+   * 替换 pbsData 为新对象，并通过 lastUnitEdit 通知订阅者（图形重绘由调用方负责）
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @param {Object} attributes - 要修改的属性
+   */
+  updateUnitAttributes(unit, attributes) {
+    unit.pbsData = { ...unit.pbsData, ...attributes };
+    this.setState({ lastUnitEdit: { unit, keys: Object.keys(attributes) } });
+  }
+
+  /**
+   * 通知PBS单元位置发生了变化（拖拽、撤销/重做移动等）
+   * 位置由调用方直接修改，这里只通过 lastUnitMove 通知订阅者
+   * @param {Array} units - 位置发生变化的PBS单元
+   */
+  notifyUnitsMoved(units) {
+    if (units.length === 0) return;
+    this.setState({ lastUnitMove: { units: [...units] } });
+  }
+
   /**
    * 设置厂区图形引用
    * @param {PIXI.Graphics} graphic - 厂区图形对象
@@ -230,6 +351,131 @@ export class StateManager {
     this.setState({ factoryGraphic: graphic });
   }
 
+  /**
+   * 设置场景中的全部厂区图形，第一个作为主厂区
+   * @param {Array} graphics - 厂区图形数组
+   */
+  setFactoryGraphics(graphics) {
+    this.setState({
+      factoryGraphics: [...graphics],
+      factoryGraphic: graphics[0] || null
+    });
+  }
+
+  /**
+   * 获取场景中的全部厂区图形
+   * 未通过 setFactoryGraphics 设置时，回退为仅包含主厂区的数组
+   * @returns {Array} 厂区图形数组
+   */
+  getFactoryGraphics() {
+    if (this.state.factoryGraphics.length > 0) {
+      return this.state.factoryGraphics;
+    }
+    return this.state.factoryGraphic ? [this.state.factoryGraphic] : [];
+  }
+
+  /**
+   * 注册区域
+   * @param {PIXI.Graphics} zone - 区域图形（包含 zoneData）
+   */
+  addZone(zone) {
+    this.setState({ zones: [...this.state.zones, zone] });
+  }
+
+  /**
+   * 移除区域
+   * @param {PIXI.Graphics} zone - 区域图形
+   */
+  removeZone(zone) {
+    this.setState({ zones: this.state.zones.filter(z => z !== zone) });
+  }
+
+  /**
+   * 设置全部区域（加载场景时使用）
+   * @param {Array} zones - 区域图形数组
+   */
+  setZones(zones) {
+    this.setState({ zones: [...zones] });
+  }
+
+  /**
+   * 设置视窗书签
+   * @param {number} slot - 书签编号（从1开始）
+   * @param {Object|null} bookmark - 书签 { name, center, scale }，null 表示删除
+   */
+  setBookmark(slot, bookmark) {
+    const bookmarks = [...this.state.bookmarks];
+    while (bookmarks.length < slot) {
+      bookmarks.push(null);
+    }
+    bookmarks[slot - 1] = bookmark;
+    this.setState({ bookmarks });
+  }
+
+  /**
+   * 设置实际尺寸标定
+   * @param {Object|null} calibration - 标定 { scale, unit }，null 表示清除标定
+   */
+  setCalibration(calibration) {
+    this.setState({ calibration: calibration ? { scale: calibration.scale, unit: calibration.unit } : null });
+  }
+
+  /**
+   * 添加已固定的测量
+   * @param {Object} measurement - 测量 { id, points }
+   */
+  addMeasurement(measurement) {
+    this.setState({ measurements: [...this.state.measurements, measurement] });
+  }
+
+  /**
+   * 删除已固定的测量
+   * @param {string} id - 测量ID
+   */
+  removeMeasurement(id) {
+    this.setState({ measurements: this.state.measurements.filter(m => m.id !== id) });
+  }
+
+  /**
+   * 设置全部已固定的测量
+   * @param {Array} measurements - 测量数组
+   */
+  setMeasurements(measurements) {
+    this.setState({ measurements: [...measurements] });
+  }
+
+  /**
+   * 更新网格设置
+   * @param {Object} changes - 要修改的项 { visible, snap, pitch }
+   */
+  setGrid(changes) {
+    this.setState({ grid: { ...this.state.grid, ...changes } });
+  }
+
+  /**
+   * 设置是否吸附到对象
+   * @param {boolean} enabled - 是否启用
+   */
+  setObjectSnap(enabled) {
+    this.setState({ objectSnap: enabled });
+  }
+
+  /**
+   * 设置拖拽时的吸附提示
+   * @param {Object|null} indicator - { point, kind, guides }（舞台坐标），null 表示清除
+   */
+  setSnapIndicator(indicator) {
+    this.setState({ snapIndicator: indicator });
+  }
+
+  /**
+   * 设置当前场景文档信息
+   * @param {Object} scene - 场景信息 {version, name}
+   */
+  setScene(scene) {
+    this.setState({ scene });
+  }
+
   /**
    * 重置所有状态
    */
@@ -245,12 +491,30 @@ export class StateManager {
       centerDot: null,
       geometricCenterDot: null,
       pbsGraphics: [],
+      zones: [],
       viewport: { x: 0, y: 0, scale: 1 },
       isDragging: false,
       lastPointerPosition: { x: 0, y: 0 },
       pbsMoveable: false,
       draggingPBS: null,
-      factoryGraphic: null
+      showLabels: true,
+      selectedUnits: [],
+      hoveredUnit: null,
+      selectionBox: null,
+      lastUnitEdit: null,
+      lastUnitMove: null,
+      clearanceViolations: [],
+      geometryMetrics: [],
+      factoryGraphic: null,
+      factoryGraphics: [],
+      scene: null,
+      calibration: null,
+      measurements: [],
+      grid: { visible: false, snap: false, pitch: GRID_CONFIG.DEFAULT_PITCH },
+      objectSnap: false,
+      snapIndicator: null,
+      activeTool: null,
+      bookmarks: []
     });
   }
 } 
\ No newline at end of file
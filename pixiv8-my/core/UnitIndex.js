@@ -0,0 +1,268 @@
+/**
+ * PBS单元空间索引
+ * 为每个厂区维护一个 SpatialIndex，登记单元在厂区本地坐标中的包围盒（含旋转），
+ * 命中检测、框选、最近邻和间距检查都通过它查询，不再遍历厂区的全部子元素：
+ * - 厂区变化（场景加载/清空）时丢弃旧索引，首次查询某个厂区时按其子元素建立索引
+ * - 单元移动（StateManager 的 lastUnitMove）和属性修改（lastUnitEdit）时更新对应单元
+ * - 通过其他途径增删单元时调用 add() / remove()
+ * 查询接口使用舞台（世界）坐标，内部换算到各厂区的本地坐标
+ */
+
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import { getShapeFootprint, shapeContainsPoint } from '../utils/geometry.js';
+
+export class UnitIndex {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    // 厂区图形 -> SpatialIndex
+    this.indexes = new Map();
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.indexes.clear();
+      }
+      if (newState.lastUnitMove !== oldState.lastUnitMove && newState.lastUnitMove) {
+        newState.lastUnitMove.units.forEach(unit => this.update(unit));
+      }
+      if (newState.lastUnitEdit !== oldState.lastUnitEdit && newState.lastUnitEdit) {
+        this.update(newState.lastUnitEdit.unit);
+      }
+    });
+  }
+
+  /**
+   * 获取（必要时建立）厂区的索引
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {SpatialIndex} 空间索引
+   */
+  getIndex(factory) {
+    let index = this.indexes.get(factory);
+    if (!index) {
+      index = new SpatialIndex();
+      (factory.children || []).forEach(child => {
+        if (child.isPBS && !child.destroyed) {
+          index.insert(child, getUnitBounds(child));
+        }
+      });
+      this.indexes.set(factory, index);
+    }
+    return index;
+  }
+
+  /**
+   * 登记新添加到厂区中的单元
+   * @param {PIXI.Graphics} unit - PBS单元
+   */
+  add(unit) {
+    this.update(unit);
+  }
+
+  /**
+   * 按单元当前的位置和形状更新索引
+   * @param {PIXI.Graphics} unit - PBS单元
+   */
+  update(unit) {
+    const factory = unit.parent;
+    if (!factory || unit.destroyed) {
+      this.remove(unit);
+      return;
+    }
+    // 单元换了厂区时从旧索引中移除
+    this.indexes.forEach((index, indexedFactory) => {
+      if (indexedFactory !== factory) {
+        index.remove(unit);
+      }
+    });
+    // 尚未建立索引的厂区在首次查询时会包含该单元
+    const index = this.indexes.get(factory);
+    if (index) {
+      index.update(unit, getUnitBounds(unit));
+    }
+  }
+
+  /**
+   * 移除单元
+   * @param {PIXI.Graphics} unit - PBS单元
+   */
+  remove(unit) {
+    this.indexes.forEach(index => index.remove(unit));
+  }
+
+  /**
+   * 获取单元在厂区本地坐标中的包围盒
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @returns {Object|null} 包围盒 {minX, minY, maxX, maxY}
+   */
+  getBounds(unit) {
+    return unit.parent ? this.getIndex(unit.parent).getBounds(unit) : null;
+  }
+
+  /**
+   * 查询厂区中包围盒与指定矩形相交的单元（厂区本地坐标）
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {Object} rect - 矩形 {minX, minY, maxX, maxY}
+   * @returns {Array} PBS单元数组
+   */
+  queryLocalRect(factory, rect) {
+    return this.getIndex(factory).queryRect(rect);
+  }
+
+  /**
+   * 查询厂区中包围盒与舞台坐标矩形相交的单元
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {Object} rect - 矩形（舞台坐标） {x, y, width, height}
+   * @param {PIXI.Container} stage - 舞台
+   * @returns {Array} PBS单元数组
+   */
+  queryStageRect(factory, rect, stage) {
+    return this.getIndex(factory).queryRect(toLocalBounds(factory, rect, stage));
+  }
+
+  /**
+   * 查询形状包含指定点的可见单元
+   * 后添加的厂区和单元位于上层，排在前面
+   * @param {PIXI.Point} point - 舞台坐标
+   * @param {PIXI.Container} stage - 舞台
+   * @returns {Array} PBS单元数组
+   */
+  unitsAtPoint(point, stage) {
+    const results = [];
+    const factories = this.stateManager.getFactoryGraphics();
+
+    for (let f = factories.length - 1; f >= 0; f--) {
+      const factory = factories[f];
+      if (factory.destroyed || !factory.children) continue;
+
+      const local = factory.toLocal(point, stage);
+      const hits = this.getIndex(factory).queryPoint(local.x, local.y)
+        .filter(unit => unit.visible && shapeContainsPoint(unit.pbsData, unit.toLocal(point, stage)));
+      if (hits.length > 1) {
+        hits.sort((a, b) => factory.getChildIndex(b) - factory.getChildIndex(a));
+      }
+      results.push(...hits);
+    }
+
+    return results;
+  }
+
+  /**
+   * 查询中心点位于指定矩形内的可见单元
+   * @param {Object} rect - 矩形（舞台坐标） {x, y, width, height}
+   * @param {PIXI.Container} stage - 舞台
+   * @returns {Array} PBS单元数组
+   */
+  unitsInRect(rect, stage) {
+    const results = [];
+    const origin = new PIXI.Point(0, 0);
+
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed || !factory.children) return;
+
+      this.queryStageRect(factory, rect, stage).forEach(unit => {
+        if (!unit.visible) return;
+        const center = stage.toLocal(origin, unit);
+        if (center.x >= rect.x && center.x <= rect.x + rect.width &&
+            center.y >= rect.y && center.y <= rect.y + rect.height) {
+          results.push(unit);
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * 查询离指定点最近的可见单元（按点到单元包围盒的距离）
+   * @param {PIXI.Point} point - 舞台坐标
+   * @param {PIXI.Container} stage - 舞台
+   * @param {Object} options - 查询选项
+   * @param {number} options.maxDistance - 最大距离（舞台坐标），默认不限
+   * @param {Function} options.filter - 过滤函数 (unit) => boolean，可选
+   * @returns {Object|null} { unit, distance }，distance 为舞台坐标中的距离
+   */
+  nearest(point, stage, { maxDistance = Infinity, filter = null } = {}) {
+    let best = null;
+
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed || !factory.children) return;
+
+      // 厂区为等比缩放，本地距离乘以缩放即为舞台距离
+      const scale = getStageScale(factory, stage);
+      const limit = Math.min(maxDistance, best ? best.distance : Infinity) / scale;
+      const local = factory.toLocal(point, stage);
+      const found = this.getIndex(factory).nearest(local.x, local.y, {
+        maxDistance: limit,
+        filter: unit => unit.visible && (!filter || filter(unit))
+      });
+
+      if (found && (!best || found.distance * scale < best.distance)) {
+        best = { unit: found.item, distance: found.distance * scale };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 销毁索引
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.indexes.clear();
+  }
+}
+
+/**
+ * 单元在厂区本地坐标中的包围盒
+ * @param {PIXI.Graphics} unit - PBS单元
+ * @returns {Object} 包围盒 {minX, minY, maxX, maxY}
+ */
+export function getUnitBounds(unit) {
+  const { shape, size } = unit.pbsData;
+  if (shape === 'circle') {
+    return { minX: unit.x - size, minY: unit.y - size, maxX: unit.x + size, maxY: unit.y + size };
+  }
+
+  const footprint = getShapeFootprint(unit.pbsData, { x: unit.x, y: unit.y }, unit.rotation);
+  const xs = footprint.map(p => p.x);
+  const ys = footprint.map(p => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * 将舞台坐标中的矩形换算为厂区本地坐标中的包围盒（厂区可能旋转）
+ * @param {PIXI.Container} factory - 厂区图形对象
+ * @param {Object} rect - 矩形（舞台坐标） {x, y, width, height}
+ * @param {PIXI.Container} stage - 舞台
+ * @returns {Object} 包围盒 {minX, minY, maxX, maxY}
+ */
+export function toLocalBounds(factory, rect, stage) {
+  const corners = [
+    [rect.x, rect.y], [rect.x + rect.width, rect.y],
+    [rect.x + rect.width, rect.y + rect.height], [rect.x, rect.y + rect.height]
+  ].map(([x, y]) => factory.toLocal(new PIXI.Point(x, y), stage));
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * 厂区本地坐标到舞台坐标的缩放比例
+ * @param {PIXI.Container} factory - 厂区图形对象
+ * @param {PIXI.Container} stage - 舞台
+ * @returns {number}
+ */
+function getStageScale(factory, stage) {
+  const origin = stage.toLocal(new PIXI.Point(0, 0), factory);
+  const unitX = stage.toLocal(new PIXI.Point(1, 0), factory);
+  return Math.hypot(unitX.x - origin.x, unitX.y - origin.y) || 1;
+}
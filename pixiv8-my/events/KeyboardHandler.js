@@ -0,0 +1,354 @@
+/**
+ * 键盘事件处理器
+ * 负责处理键盘快捷键和按键事件
+ */
+
+export class KeyboardHandler {
+  constructor() {
+    this.eventListeners = [];
+  }
+
+  /**
+   * 设置键盘事件监听
+   * @param {Object} controllers - 控制器对象集合
+   */
+  setup(controllers) {
+    this.controllers = controllers;
+    
+    // 添加键盘事件监听器
+    const keydownHandler = (event) => this.handleKeyDown(event);
+    document.addEventListener('keydown', keydownHandler);
+    
+    // 保存事件监听器引用以便清理
+    this.eventListeners.push({
+      element: document,
+      event: 'keydown',
+      handler: keydownHandler
+    });
+  }
+
+  /**
+   * 处理键盘按键事件
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  handleKeyDown(event) {
+    // 检查是否有输入框获得焦点，如果有则不处理快捷键
+    if (this.isInputFocused()) {
+      return;
+    }
+    
+    const key = event.key.toLowerCase();
+    const { ctrlKey, metaKey, shiftKey, altKey } = event;
+
+    // 数字键1~9调出视窗书签，Shift+数字键将当前视窗保存为书签
+    const slot = getBookmarkSlot(event);
+    if (slot !== null && !ctrlKey && !metaKey && !altKey) {
+      event.preventDefault();
+      if (shiftKey) {
+        this.handleSaveBookmark(slot);
+      } else {
+        this.handleRecallBookmark(slot);
+      }
+      return;
+    }
+    
+    // 处理不同的按键组合
+    switch (key) {
+      case 'r':
+        if (ctrlKey || metaKey) {
+          event.preventDefault();
+          this.handleResetViewport();
+        }
+        break;
+
+      case 'z':
+        if (ctrlKey || metaKey) {
+          event.preventDefault();
+          if (shiftKey) {
+            this.handleRedo();
+          } else {
+            this.handleUndo();
+          }
+        }
+        break;
+        
+      case '0':
+        event.preventDefault();
+        this.handleResetViewport();
+        break;
+        
+      case '=':
+      case '+':
+        event.preventDefault();
+        this.handleZoomIn();
+        break;
+        
+      case '-':
+        event.preventDefault();
+        this.handleZoomOut();
+        break;
+
+      case 'delete':
+      case 'backspace':
+        if (this.handleDeleteVertex()) {
+          event.preventDefault();
+        }
+        break;
+
+      case 'm':
+        if (!ctrlKey && !metaKey && !altKey && this.controllers.measureTool) {
+          event.preventDefault();
+          this.controllers.measureTool.toggle();
+        }
+        break;
+
+      case 'p':
+        if (!ctrlKey && !metaKey && !altKey && this.handlePinMeasurement()) {
+          event.preventDefault();
+        }
+        break;
+
+      case 'escape':
+        if (this.handleCancelDrawing()) {
+          event.preventDefault();
+        }
+        break;
+        
+      case 'arrowup':
+        event.preventDefault();
+        this.handlePan(0, shiftKey ? -50 : -10);
+        break;
+        
+      case 'arrowdown':
+        event.preventDefault();
+        this.handlePan(0, shiftKey ? 50 : 10);
+        break;
+        
+      case 'arrowleft':
+        event.preventDefault();
+        this.handlePan(shiftKey ? -50 : -10, 0);
+        break;
+        
+      case 'arrowright':
+        event.preventDefault();
+        this.handlePan(shiftKey ? 50 : 10, 0);
+        break;
+    }
+  }
+
+  /**
+   * 检查是否有输入框获得焦点
+   * @returns {boolean} 是否有输入框焦点
+   */
+  isInputFocused() {
+    const activeElement = document.activeElement;
+    const inputTags = ['INPUT', 'TEXTAREA', 'SELECT'];
+    const isContentEditable = activeElement.contentEditable === 'true';
+    
+    return inputTags.includes(activeElement.tagName) || isContentEditable;
+  }
+
+  /**
+   * 处理重置视窗快捷键
+   */
+  handleResetViewport() {
+    if (this.controllers.viewport) {
+      this.controllers.viewport.reset();
+    }
+  }
+
+  /**
+   * 处理放大快捷键
+   */
+  handleZoomIn() {
+    if (this.controllers.viewport) {
+      this.controllers.viewport.zoomIn();
+    }
+  }
+
+  /**
+   * 处理缩小快捷键
+   */
+  handleZoomOut() {
+    if (this.controllers.viewport) {
+      this.controllers.viewport.zoomOut();
+    }
+  }
+
+  /**
+   * 处理撤销快捷键
+   */
+  handleUndo() {
+    if (this.controllers.history) {
+      this.controllers.history.undo();
+    }
+  }
+
+  /**
+   * 处理重做快捷键
+   */
+  handleRedo() {
+    if (this.controllers.history) {
+      this.controllers.history.redo();
+    }
+  }
+
+  /**
+   * 处理删除顶点快捷键（仅在轮廓编辑模式下生效）
+   * @returns {boolean} 是否删除了顶点
+   */
+  handleDeleteVertex() {
+    if (this.controllers.vertexEditor) {
+      return this.controllers.vertexEditor.deleteSelectedVertex();
+    }
+    return false;
+  }
+
+  /**
+   * 处理取消绘制快捷键（仅在区域绘制、标定或测量模式下生效）
+   * @returns {boolean} 是否取消了正在绘制的图形、已选的标定点或当前测量
+   */
+  handleCancelDrawing() {
+    const { drawingTool, calibrationTool, measureTool } = this.controllers;
+    return [drawingTool, calibrationTool, measureTool].some(tool => !!tool && tool.cancel());
+  }
+
+  /**
+   * 处理固定测量快捷键（仅在测量模式下生效）
+   * @returns {boolean} 是否固定了测量
+   */
+  handlePinMeasurement() {
+    const { measureTool } = this.controllers;
+    if (measureTool && measureTool.isActive()) {
+      return !!measureTool.pin();
+    }
+    return false;
+  }
+
+  /**
+   * 处理平移快捷键
+   * @param {number} deltaX - X轴移动距离
+   * @param {number} deltaY - Y轴移动距离
+   */
+  handlePan(deltaX, deltaY) {
+    if (this.controllers.viewport) {
+      this.controllers.viewport.pan(deltaX, deltaY);
+    }
+  }
+
+  /**
+   * 处理调出书签快捷键
+   * @param {number} slot - 书签编号 1~9
+   */
+  handleRecallBookmark(slot) {
+    if (this.controllers.bookmarks) {
+      this.controllers.bookmarks.recall(slot);
+    }
+  }
+
+  /**
+   * 处理保存书签快捷键，覆盖已有书签时保留其名称
+   * @param {number} slot - 书签编号 1~9
+   */
+  handleSaveBookmark(slot) {
+    if (this.controllers.bookmarks) {
+      const existing = this.controllers.bookmarks.get(slot);
+      this.controllers.bookmarks.save(existing ? existing.name : null, slot);
+    }
+  }
+
+  /**
+   * 添加自定义快捷键
+   * @param {string} key - 按键
+   * @param {Function} handler - 处理函数
+   * @param {Object} modifiers - 修饰键 {ctrl, shift, alt}
+   */
+  addShortcut(key, handler, modifiers = {}) {
+    const originalHandler = this.handleKeyDown.bind(this);
+    
+    const customHandler = (event) => {
+      if (this.isInputFocused()) return;
+      
+      const eventKey = event.key.toLowerCase();
+      const { ctrlKey, shiftKey, altKey } = event;
+      
+      if (eventKey === key.toLowerCase()) {
+        const ctrlMatch = modifiers.ctrl ? ctrlKey : !ctrlKey;
+        const shiftMatch = modifiers.shift ? shiftKey : !shiftKey;
+        const altMatch = modifiers.alt ? altKey : !altKey;
+        
+        if (ctrlMatch && shiftMatch && altMatch) {
+          event.preventDefault();
+          handler(event);
+          return;
+        }
+      }
+      
+      // 如果不匹配，继续执行原始处理器
+      originalHandler(event);
+    };
+    
+    // 替换当前的事件监听器
+    this.removeEventListeners();
+    document.addEventListener('keydown', customHandler);
+    
+    this.eventListeners.push({
+      element: document,
+      event: 'keydown',
+      handler: customHandler
+    });
+  }
+
+  /**
+   * 移除所有事件监听器
+   */
+  removeEventListeners() {
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventListeners = [];
+  }
+
+  /**
+   * 销毁键盘处理器
+   */
+  destroy() {
+    this.removeEventListeners();
+    this.controllers = null;
+  }
+
+  /**
+   * 获取快捷键帮助信息
+   * @returns {Array} 快捷键列表
+   */
+  getShortcutHelp() {
+    return [
+      { key: 'Ctrl+Z', description: '撤销' },
+      { key: 'Ctrl+Shift+Z', description: '重做' },
+      { key: '0', description: '重置视窗' },
+      { key: 'Ctrl+R', description: '重置视窗' },
+      { key: '+/=', description: '放大视窗' },
+      { key: '-', description: '缩小视窗' },
+      { key: 'Delete', description: '删除选中的厂区顶点（轮廓编辑模式）' },
+      { key: 'Esc', description: '取消正在绘制的区域（区域绘制模式）、已选的标定点（标定模式）或当前测量（测量模式）' },
+      { key: 'M', description: '进入/退出测量模式' },
+      { key: 'P', description: '固定当前测量（测量模式）' },
+      { key: '方向键', description: '平移视窗' },
+      { key: 'Shift+方向键', description: '快速平移视窗' },
+      { key: '1~9', description: '定位到视窗书签' },
+      { key: 'Shift+1~9', description: '将当前视窗保存为书签' }
+    ];
+  }
+}
+
+/**
+ * 按键对应的书签编号（主键盘或小键盘的数字1~9）
+ * Shift+数字键在不同键盘布局下 key 不同，因此按 code 判断
+ * @param {KeyboardEvent} event - 键盘事件
+ * @returns {number|null} 书签编号，不是数字键1~9时为 null
+ */
+function getBookmarkSlot(event) {
+  const match = /^(?:Digit|Numpad)([1-9])$/.exec(event.code || '');
+  if (match) return Number(match[1]);
+  return /^[1-9]$/.test(event.key) ? Number(event.key) : null;
+} 
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * PNG导出器
+ * 按任意DPI分块渲染舞台，再拼接为一张大图，用于打印海报尺寸的厂区平面图
+ * 每个分块通过 renderer.generateTexture 渲染、renderer.extract 读取，
+ * 分块尺寸不超过GPU最大纹理尺寸
+ * 导出期间暂停视窗裁剪和细节层次（LODRenderer），导出内容始终完整绘制
+ * 场景已标定时在左下角附加实际长度比例尺
+ */
+
+import { APP_CONFIG, EXPORT_CONFIG, CALIBRATION_CONFIG } from '../utils/constants.js';
+import { formatColor } from '../scene/SceneSchema.js';
+import { getScaleBar } from '../utils/units.js';
+
+export class PngExporter {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {LODRenderer} lodRenderer - 细节层次渲染器，可选
+   */
+  constructor(app, stateManager, lodRenderer = null) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.lodRenderer = lodRenderer;
+  }
+
+  /**
+   * 导出为PNG
+   * @param {Object} options - 导出选项，见 exportCanvas
+   * @returns {Promise<Blob>} PNG文件内容
+   */
+  async export(options = {}) {
+    const canvas = this.exportCanvas(options);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('PNG编码失败，图片尺寸可能超出浏览器限制'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * 分块渲染并拼接为画布
+   * @param {Object} options - 导出选项
+   * @param {number} options.dpi - 输出DPI，默认300；舞台坐标1单位按 SCREEN_DPI 换算
+   * @param {string} options.mode - 'viewport' 当前视窗 | 'scene' 整个场景
+   * @param {number} options.backgroundColor - 背景色，默认 APP_CONFIG.DEFAULT_BACKGROUND_COLOR
+   * @param {boolean} options.transparent - 是否透明背景（忽略 backgroundColor）
+   * @param {number} options.padding - 四周留白（舞台坐标）
+   * @param {number} options.tileSize - 分块最大边长（像素）
+   * @param {boolean} options.scaleBar - 场景已标定时是否绘制比例尺，默认 true
+   * @returns {HTMLCanvasElement} 拼接后的画布
+   */
+  exportCanvas(options = {}) {
+    const {
+      dpi = EXPORT_CONFIG.PNG_DEFAULT_DPI,
+      mode = EXPORT_CONFIG.DEFAULT_MODE,
+      backgroundColor = APP_CONFIG.DEFAULT_BACKGROUND_COLOR,
+      transparent = false,
+      padding = EXPORT_CONFIG.SCENE_PADDING,
+      tileSize = EXPORT_CONFIG.PNG_TILE_SIZE,
+      scaleBar = true
+    } = options;
+
+    if (!EXPORT_CONFIG.MODES.includes(mode)) {
+      throw new Error(`未知的导出范围: ${mode}`);
+    }
+    if (!(dpi > 0)) {
+      throw new Error(`无效的DPI: ${dpi}`);
+    }
+
+    const stage = this.app.stage;
+
+    // 视窗外的单元和过小的建筑也需要导出
+    if (this.lodRenderer) {
+      this.lodRenderer.suspend();
+    }
+
+    // 编辑器覆盖层（顶点手柄、绘制预览、PBS标签等）不参与导出，也不计入场景范围
+    const overlays = this.collectOverlays(stage);
+    overlays.forEach(overlay => { overlay.visible = false; });
+
+    try {
+      const { region, pixelsPerUnit } = this.getRegion(mode, dpi, padding);
+      const width = Math.ceil(region.width * pixelsPerUnit);
+      const height = Math.ceil(region.height * pixelsPerUnit);
+      if (width <= 0 || height <= 0) {
+        throw new Error('导出区域为空');
+      }
+      if (width > EXPORT_CONFIG.PNG_MAX_CANVAS_SIZE || height > EXPORT_CONFIG.PNG_MAX_CANVAS_SIZE) {
+        throw new Error(`导出尺寸 ${width} x ${height} 超出浏览器画布限制，请降低DPI`);
+      }
+
+      const output = document.createElement('canvas');
+      output.width = width;
+      output.height = height;
+      const context = output.getContext('2d');
+      if (!transparent) {
+        context.fillStyle = formatColor(backgroundColor);
+        context.fillRect(0, 0, width, height);
+      }
+
+      const tileCount = this.renderTiles(region, pixelsPerUnit, width, height, tileSize, context);
+      if (scaleBar) {
+        // 厂区统一缩放，场景坐标1单位 = 厂区缩放个舞台单位
+        const mainFactory = this.stateManager.get('factoryGraphic');
+        this.drawScaleBar(context, width, height, pixelsPerUnit * (mainFactory ? mainFactory.scale.x : 1));
+      }
+      console.log(`PNG导出完成: ${width} x ${height} 像素，${dpi} DPI，共 ${tileCount} 个分块`);
+
+      return output;
+    } finally {
+      overlays.forEach(overlay => { overlay.visible = true; });
+      if (this.lodRenderer) {
+        this.lodRenderer.resume();
+      }
+      if (!this.app.autoStart) {
+        this.app.render();
+      }
+    }
+  }
+
+  /**
+   * 计算导出区域（舞台坐标）和每单位对应的输出像素数
+   * @param {string} mode - 'viewport' | 'scene'
+   * @param {number} dpi - 输出DPI
+   * @param {number} padding - 四周留白（舞台坐标）
+   * @returns {Object} { region: {x, y, width, height}, pixelsPerUnit }
+   */
+  getRegion(mode, dpi, padding) {
+    let region;
+    let pixelsPerUnit = dpi / EXPORT_CONFIG.SCREEN_DPI;
+
+    if (mode === 'viewport') {
+      const viewport = this.stateManager.get('viewport');
+      region = {
+        x: -viewport.x / viewport.scale,
+        y: -viewport.y / viewport.scale,
+        width: this.app.screen.width / viewport.scale,
+        height: this.app.screen.height / viewport.scale
+      };
+      // 视窗模式保持屏幕上看到的缩放
+      pixelsPerUnit *= viewport.scale;
+    } else {
+      const bounds = this.app.stage.getLocalBounds();
+      region = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+    }
+
+    return {
+      region: {
+        x: region.x - padding,
+        y: region.y - padding,
+        width: region.width + padding * 2,
+        height: region.height + padding * 2
+      },
+      pixelsPerUnit
+    };
+  }
+
+  /**
+   * 逐块渲染导出区域
+   * 临时把舞台挂到导出根容器下，用舞台变换实现任意缩放；
+   * 分块区域以输出像素为单位，避免 generateTexture 对非整数区域取整造成拼缝
+   * @param {Object} region - 导出区域（舞台坐标）
+   * @param {number} pixelsPerUnit - 每单位对应的输出像素数
+   * @param {number} width - 输出宽度（像素）
+   * @param {number} height - 输出高度（像素）
+   * @param {number} tileSize - 分块最大边长（像素）
+   * @param {CanvasRenderingContext2D} context - 输出画布上下文
+   * @returns {number} 分块数量
+   */
+  renderTiles(region, pixelsPerUnit, width, height, tileSize, context) {
+    const stage = this.app.stage;
+    const exportRoot = new PIXI.Container();
+    const savedPosition = { x: stage.x, y: stage.y };
+    const savedScale = { x: stage.scale.x, y: stage.scale.y };
+    const tile = Math.max(1, Math.min(tileSize, this.getMaxTextureSize()));
+    let tileCount = 0;
+
+    try {
+      exportRoot.addChild(stage);
+      stage.scale.set(pixelsPerUnit);
+      stage.position.set(-region.x * pixelsPerUnit, -region.y * pixelsPerUnit);
+
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const frame = new PIXI.Rectangle(x, y, Math.min(tile, width - x), Math.min(tile, height - y));
+          this.renderTile(exportRoot, frame, context);
+          tileCount++;
+        }
+      }
+    } finally {
+      exportRoot.removeChild(stage);
+      exportRoot.destroy();
+      stage.position.set(savedPosition.x, savedPosition.y);
+      stage.scale.set(savedScale.x, savedScale.y);
+    }
+
+    return tileCount;
+  }
+
+  /**
+   * 渲染单个分块并绘制到输出画布
+   * @param {PIXI.Container} root - 导出根容器
+   * @param {PIXI.Rectangle} frame - 分块区域（输出像素坐标）
+   * @param {CanvasRenderingContext2D} context - 输出画布上下文
+   */
+  renderTile(root, frame, context) {
+    const renderer = this.app.renderer;
+    const texture = renderer.generateTexture({
+      target: root,
+      frame,
+      resolution: 1,
+      clearColor: [0, 0, 0, 0]
+    });
+
+    try {
+      const tileCanvas = renderer.extract.canvas(texture);
+      context.drawImage(tileCanvas, frame.x, frame.y);
+    } finally {
+      texture.destroy(true);
+    }
+  }
+
+  /**
+   * 在输出画布左下角绘制比例尺，场景未标定时不绘制
+   * @param {CanvasRenderingContext2D} context - 输出画布上下文
+   * @param {number} width - 输出宽度（像素）
+   * @param {number} height - 输出高度（像素）
+   * @param {number} pixelsPerSceneUnit - 场景坐标1单位对应的输出像素数
+   */
+  drawScaleBar(context, width, height, pixelsPerSceneUnit) {
+    const config = CALIBRATION_CONFIG;
+    const bar = getScaleBar(this.stateManager.get('calibration'), pixelsPerSceneUnit,
+      width * config.SCALE_BAR_MAX_RATIO);
+    if (!bar) return;
+
+    const short = Math.min(width, height);
+    const tick = short * config.SCALE_BAR_TICK_RATIO;
+    const x = short * config.SCALE_BAR_MARGIN_RATIO;
+    const y = height - short * config.SCALE_BAR_MARGIN_RATIO;
+    const color = formatColor(config.SCALE_BAR_COLOR);
+
+    context.save();
+    context.strokeStyle = color;
+    context.lineWidth = tick / 4;
+    context.beginPath();
+    context.moveTo(x, y - tick);
+    context.lineTo(x, y);
+    context.lineTo(x + bar.length, y);
+    context.lineTo(x + bar.length, y - tick);
+    context.stroke();
+    context.fillStyle = color;
+    context.font = `${short * config.SCALE_BAR_FONT_RATIO}px sans-serif`;
+    context.fillText(bar.label, x, y - tick * 1.5);
+    context.restore();
+  }
+
+  /**
+   * 查询GPU支持的最大纹理尺寸
+   * @returns {number} 最大纹理边长（像素）
+   */
+  getMaxTextureSize() {
+    const renderer = this.app.renderer;
+    if (renderer.gl) {
+      return renderer.gl.getParameter(renderer.gl.MAX_TEXTURE_SIZE);
+    }
+    if (renderer.gpu && renderer.gpu.device) {
+      return renderer.gpu.device.limits.maxTextureDimension2D;
+    }
+    return EXPORT_CONFIG.PNG_FALLBACK_MAX_TEXTURE_SIZE;
+  }
+
+  /**
+   * 收集当前可见的编辑器覆盖层
+   * @param {PIXI.Container} container - 根容器
+   * @returns {Array} 覆盖层数组
+   */
+  collectOverlays(container) {
+    const overlays = [];
+    const visit = node => {
+      node.children.forEach(child => {
+        if (child.isEditorOverlay && child.visible) {
+          overlays.push(child);
+        } else if (child.children && child.children.length > 0) {
+          visit(child);
+        }
+      });
+    };
+    visit(container);
+    return overlays;
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * SVG导出器
+ * 将舞台上的厂区轮廓、内部建筑、区域、PBS单元和中心点标记导出为SVG矢量图
+ * 几何数据直接读取 factoryData / pbsData / zoneData，变换读取图形对象，
+ * 与各渲染器绘制的图形保持一致
+ * 场景已标定时在左下角附加实际长度比例尺
+ */
+
+import { GRAPHICS_CONFIG, ZONE_CONFIG, EXPORT_CONFIG, CALIBRATION_CONFIG } from '../utils/constants.js';
+import { formatColor } from '../scene/SceneSchema.js';
+import { getScaleBar } from '../utils/units.js';
+
+export class SvgExporter {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(app, stateManager) {
+    this.app = app;
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * 导出为SVG字符串
+   * @param {Object} options - 导出选项
+   * @param {string} options.mode - 'viewport' 仅导出当前视窗；'scene' 导出整个场景
+   * @param {number} options.padding - 整个场景导出时四周留白（舞台坐标）
+   * @param {number|null} options.backgroundColor - 背景色，为 null 时背景透明
+   * @param {boolean} options.scaleBar - 场景已标定时是否绘制比例尺，默认 true
+   * @returns {string} SVG文档
+   */
+  export(options = {}) {
+    const {
+      mode = EXPORT_CONFIG.DEFAULT_MODE,
+      padding = EXPORT_CONFIG.SCENE_PADDING,
+      backgroundColor = null,
+      scaleBar = true
+    } = options;
+
+    if (!EXPORT_CONFIG.MODES.includes(mode)) {
+      throw new Error(`未知的导出范围: ${mode}`);
+    }
+
+    const factories = this.stateManager.getFactoryGraphics().filter(Boolean);
+    const content = [
+      ...factories.map(factory => this.exportFactory(factory)),
+      ...this.exportCenterDots()
+    ];
+
+    // 场景坐标1单位对应的输出长度：厂区统一缩放，视窗模式再乘以视窗缩放
+    const mainFactory = this.stateManager.get('factoryGraphic');
+    let outputPerSceneUnit = mainFactory ? mainFactory.scale.x : 1;
+
+    let viewBox;
+    let body;
+    if (mode === 'viewport') {
+      outputPerSceneUnit *= this.app.stage.scale.x;
+      // 视窗：画布区域即输出区域，内容套上舞台（视窗）变换
+      viewBox = { x: 0, y: 0, width: this.app.screen.width, height: this.app.screen.height };
+      body = [`<g transform="${toSvgMatrix(getLocalMatrix(this.app.stage))}">`, ...content, '</g>'];
+    } else {
+      // 整个场景：输出区域为所有内容的包围盒（舞台坐标），不受当前视窗影响
+      const bounds = this.getSceneBounds(factories);
+      if (!bounds) {
+        throw new Error('场景为空，无法导出');
+      }
+      viewBox = {
+        x: bounds.minX - padding,
+        y: bounds.minY - padding,
+        width: bounds.maxX - bounds.minX + padding * 2,
+        height: bounds.maxY - bounds.minY + padding * 2
+      };
+      body = content;
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(viewBox.width)}" height="${fmt(viewBox.height)}" ` +
+        `viewBox="${fmt(viewBox.x)} ${fmt(viewBox.y)} ${fmt(viewBox.width)} ${fmt(viewBox.height)}">`
+    ];
+    if (backgroundColor !== null && backgroundColor !== undefined) {
+      lines.push(`<rect x="${fmt(viewBox.x)}" y="${fmt(viewBox.y)}" width="${fmt(viewBox.width)}" ` +
+        `height="${fmt(viewBox.height)}" fill="${formatColor(backgroundColor)}"/>`);
+    }
+    lines.push(...body);
+    if (scaleBar) {
+      lines.push(...this.exportScaleBar(viewBox, outputPerSceneUnit));
+    }
+    lines.push('</svg>');
+
+    console.log(`SVG导出完成: ${mode === 'viewport' ? '当前视窗' : '整个场景'}，共 ${factories.length} 个厂区`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 导出单个厂区（轮廓、建筑及其子图形）
+   * 子图形按舞台上的顺序输出，保持相同的遮挡关系
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {string} SVG片段
+   */
+  exportFactory(factory) {
+    const data = factory.factoryData;
+    if (!data) {
+      throw new Error('厂区图形缺少 factoryData，无法导出');
+    }
+
+    const attrs = data.id ? ` id="${escapeXml(data.id)}"` : '';
+    const parts = [`<g${attrs} transform="${toSvgMatrix(getLocalMatrix(factory))}"${opacityAttr(factory)}>`];
+
+    // 轮廓（与 FactoryRenderer.drawFactory 一致）
+    parts.push(`<polygon points="${toSvgPoints(data.points)}" fill="${formatColor(data.color)}"` +
+      `${strokeAttrs(data.strokeWidth, data.strokeColor)}/>`);
+
+    // 内部建筑（与 FactoryRenderer.drawFactoryDetails 一致）
+    data.buildings.forEach(building => {
+      const {
+        x, y, width, height, fillColor,
+        strokeWidth = GRAPHICS_CONFIG.BUILDING_STROKE_WIDTH,
+        strokeColor = GRAPHICS_CONFIG.BUILDING_STROKE_COLOR
+      } = building;
+      parts.push(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(width)}" height="${fmt(height)}" ` +
+        `fill="${formatColor(fillColor)}"${strokeAttrs(strokeWidth, strokeColor)}/>`);
+    });
+
+    factory.children.forEach(child => {
+      if (!child.visible || child.isEditorOverlay) return;
+      if (child.isZone) {
+        parts.push(this.exportZone(child));
+      } else if (child.isPBS) {
+        parts.push(this.exportUnit(child));
+      }
+    });
+
+    parts.push('</g>');
+    return parts.join('\n');
+  }
+
+  /**
+   * 导出区域（与 PolygonRenderer.createZone 一致）
+   * @param {PIXI.Graphics} zone - 区域图形对象
+   * @returns {string} SVG片段
+   */
+  exportZone(zone) {
+    const { id, color, points } = zone.zoneData;
+    const attrs = id ? ` id="${escapeXml(id)}"` : '';
+    return `<polygon${attrs} points="${toSvgPoints(points)}" transform="${toSvgMatrix(getLocalMatrix(zone))}" ` +
+      `fill="${formatColor(color)}"${strokeAttrs(ZONE_CONFIG.STROKE_WIDTH, color)}${opacityAttr(zone)}/>`;
+  }
+
+  /**
+   * 导出PBS单元（与 PBSRenderer.createUnit 一致）
+   * @param {PIXI.Graphics} unit - PBS图形对象
+   * @returns {string} SVG片段
+   */
+  exportUnit(unit) {
+    const { id, color, shape, size, points } = unit.pbsData;
+    const attrs = `${id ? ` id="${escapeXml(id)}"` : ''} transform="${toSvgMatrix(getLocalMatrix(unit))}" ` +
+      `fill="${formatColor(color)}"${opacityAttr(unit)}`;
+
+    if (shape === 'rect') {
+      return `<rect${attrs} x="${fmt(-size / 2)}" y="${fmt(-size / 2)}" width="${fmt(size)}" height="${fmt(size)}"/>`;
+    }
+    if (shape === 'polygon' && points) {
+      return `<polygon${attrs} points="${toSvgPoints(points)}"/>`;
+    }
+    // 圆形及未知形状（PBSRenderer 默认绘制圆形）
+    return `<circle${attrs} cx="0" cy="0" r="${fmt(size)}"/>`;
+  }
+
+  /**
+   * 导出舞台上显示的中心点标记（质心、几何中心）
+   * @returns {Array} SVG片段数组
+   */
+  exportCenterDots() {
+    const state = this.stateManager.getState();
+    const dots = [
+      { dot: state.showingCenter ? state.centerDot : null, color: EXPORT_CONFIG.CENTER_DOT_COLOR },
+      { dot: state.showingGeometricCenter ? state.geometricCenterDot : null, color: EXPORT_CONFIG.GEOMETRIC_CENTER_DOT_COLOR }
+    ];
+
+    return dots
+      .filter(({ dot }) => dot && dot.visible !== false)
+      .map(({ dot, color }) => `<circle cx="${fmt(dot.x)}" cy="${fmt(dot.y)}" r="${fmt(GRAPHICS_CONFIG.CENTER_DOT_RADIUS)}" ` +
+        `fill="${formatColor(color)}"${strokeAttrs(GRAPHICS_CONFIG.STROKE_WIDTH, EXPORT_CONFIG.CENTER_DOT_STROKE_COLOR)}/>`);
+  }
+
+  /**
+   * 导出比例尺（输出区域坐标），场景未标定时为空
+   * @param {Object} viewBox - 输出区域 {x, y, width, height}
+   * @param {number} outputPerSceneUnit - 场景坐标1单位对应的输出长度
+   * @returns {Array} SVG片段数组
+   */
+  exportScaleBar(viewBox, outputPerSceneUnit) {
+    const config = CALIBRATION_CONFIG;
+    const bar = getScaleBar(this.stateManager.get('calibration'), outputPerSceneUnit,
+      viewBox.width * config.SCALE_BAR_MAX_RATIO);
+    if (!bar) return [];
+
+    const short = Math.min(viewBox.width, viewBox.height);
+    const tick = short * config.SCALE_BAR_TICK_RATIO;
+    const fontSize = short * config.SCALE_BAR_FONT_RATIO;
+    const x = viewBox.x + short * config.SCALE_BAR_MARGIN_RATIO;
+    const y = viewBox.y + viewBox.height - short * config.SCALE_BAR_MARGIN_RATIO;
+    const color = formatColor(config.SCALE_BAR_COLOR);
+
+    return [
+      '<g id="scale-bar">',
+      `<path d="M ${fmt(x)} ${fmt(y - tick)} V ${fmt(y)} H ${fmt(x + bar.length)} V ${fmt(y - tick)}" ` +
+        `fill="none" stroke="${color}" stroke-width="${fmt(tick / 4)}"/>`,
+      `<text x="${fmt(x)}" y="${fmt(y - tick * 1.5)}" font-size="${fmt(fontSize)}" fill="${color}">${escapeXml(bar.label)}</text>`,
+      '</g>'
+    ];
+  }
+
+  /**
+   * 计算整个场景在舞台坐标下的包围盒
+   * @param {Array} factories - 厂区图形数组
+   * @returns {Object|null} {minX, minY, maxX, maxY}
+   */
+  getSceneBounds(factories) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const include = (matrix, points) => {
+      points.forEach(p => {
+        const x = matrix.a * p.x + matrix.c * p.y + matrix.tx;
+        const y = matrix.b * p.x + matrix.d * p.y + matrix.ty;
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+      });
+    };
+
+    factories.forEach(factory => {
+      const data = factory.factoryData;
+      const matrix = getLocalMatrix(factory);
+      include(matrix, data.points);
+      data.buildings.forEach(b => include(matrix, rectCorners(b.x, b.y, b.width, b.height)));
+
+      factory.children.forEach(child => {
+        if (!child.visible || child.isEditorOverlay) return;
+        const childMatrix = multiply(matrix, getLocalMatrix(child));
+        if (child.isZone) {
+          include(childMatrix, child.zoneData.points);
+        } else if (child.isPBS) {
+          const { shape, size, points } = child.pbsData;
+          if (shape === 'polygon' && points) {
+            include(childMatrix, points);
+          } else {
+            const half = shape === 'rect' ? size / 2 : size;
+            include(childMatrix, rectCorners(-half, -half, half * 2, half * 2));
+          }
+        }
+      });
+    });
+
+    return bounds.minX === Infinity ? null : bounds;
+  }
+
+  /**
+   * 导出当前视窗或整个场景为SVG Blob
+   * @param {Object} options - 同 export()
+   * @returns {Blob} SVG文件内容
+   */
+  toBlob(options = {}) {
+    return new Blob([this.export(options)], { type: 'image/svg+xml;charset=utf-8' });
+  }
+}
+
+/**
+ * 计算显示对象相对父容器的变换矩阵
+ * 与 PixiJS 一致：先平移 -pivot，再缩放、旋转，最后平移到 position
+ * @param {PIXI.Container} obj - 显示对象
+ * @returns {Object} 矩阵 {a, b, c, d, tx, ty}
+ */
+function getLocalMatrix(obj) {
+  const sx = obj.scale ? obj.scale.x : 1;
+  const sy = obj.scale ? obj.scale.y : 1;
+  const px = obj.pivot ? obj.pivot.x : 0;
+  const py = obj.pivot ? obj.pivot.y : 0;
+  const cos = Math.cos(obj.rotation || 0);
+  const sin = Math.sin(obj.rotation || 0);
+
+  const a = cos * sx;
+  const b = sin * sx;
+  const c = -sin * sy;
+  const d = cos * sy;
+
+  return {
+    a, b, c, d,
+    tx: obj.x - (a * px + c * py),
+    ty: obj.y - (b * px + d * py)
+  };
+}
+
+/**
+ * 矩阵相乘 m1 · m2（先应用 m2）
+ */
+function multiply(m1, m2) {
+  return {
+    a: m1.a * m2.a + m1.c * m2.b,
+    b: m1.b * m2.a + m1.d * m2.b,
+    c: m1.a * m2.c + m1.c * m2.d,
+    d: m1.b * m2.c + m1.d * m2.d,
+    tx: m1.a * m2.tx + m1.c * m2.ty + m1.tx,
+    ty: m1.b * m2.tx + m1.d * m2.ty + m1.ty
+  };
+}
+
+/**
+ * 矩形的四个角点
+ */
+function rectCorners(x, y, width, height) {
+  return [
+    { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+  ];
+}
+
+/**
+ * 矩阵格式化为SVG transform属性值
+ */
+function toSvgMatrix(m) {
+  return `matrix(${[m.a, m.b, m.c, m.d, m.tx, m.ty].map(fmt).join(' ')})`;
+}
+
+/**
+ * 顶点数组格式化为SVG points属性值
+ */
+function toSvgPoints(points) {
+  return points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ');
+}
+
+/**
+ * 描边属性，宽度为0时不描边
+ */
+function strokeAttrs(width, color) {
+  return width > 0 ? ` stroke="${formatColor(color)}" stroke-width="${fmt(width)}"` : '';
+}
+
+/**
+ * 透明度属性，不透明时省略
+ */
+function opacityAttr(obj) {
+  return obj.alpha !== undefined && obj.alpha < 1 ? ` opacity="${fmt(obj.alpha)}"` : '';
+}
+
+/**
+ * 数值格式化，去掉浮点误差和多余的0
+ */
+function fmt(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * 转义XML特殊字符
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,118 @@
+/**
+ * PBS间距冲突渲染器
+ * 为存在间距冲突的单元绘制红色的间距圈（半径 = 单元外接圆半径 + 要求的最小间距）：
+ * - 每次渲染前（renderer 的 prerender 阶段）先让 ClearanceEngine 增量检查变化的单元，再重绘
+ *   拖拽过程中间距圈随单元移动实时更新
+ * - 线宽按屏幕像素计算，不随缩放变化
+ * 覆盖层标记为编辑器覆盖层，不参与导出
+ */
+
+import { CLEARANCE_CONFIG } from '../utils/constants.js';
+import { keepAboveFactories } from '../utils/layers.js';
+
+export class ClearanceRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ClearanceEngine} engine - 间距检查引擎
+   */
+  constructor(app, stateManager, engine) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.engine = engine;
+
+    this.layer = new PIXI.Graphics();
+    this.layer.isEditorOverlay = true;
+    this.app.stage.addChild(this.layer);
+
+    // 上一帧是否绘制了内容，用于避免无冲突时重复清空
+    this.hasRings = false;
+
+    this.app.renderer.runners.prerender.add(this);
+    this.render();
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    this.update();
+  }
+
+  /**
+   * 同步间距检查结果并重绘间距圈
+   */
+  update() {
+    keepAboveFactories(this.layer, this.app.stage, this.stateManager.getFactoryGraphics());
+
+    const violations = this.engine.refresh();
+    if (violations.length === 0 && !this.hasRings) return;
+
+    this.layer.clear();
+    this.hasRings = violations.length > 0;
+
+    const units = new Map();
+    violations.forEach(({ a, b, required }) => {
+      units.set(a, Math.max(units.get(a) || 0, required));
+      units.set(b, Math.max(units.get(b) || 0, required));
+    });
+
+    const pixel = 1 / this.stateManager.get('viewport').scale;
+    units.forEach((required, unit) => {
+      if (!unit.parent || !unit.visible) return;
+      this.drawRing(unit, required);
+    });
+    this.layer.stroke({
+      width: CLEARANCE_CONFIG.RING_LINE_WIDTH * pixel,
+      color: CLEARANCE_CONFIG.RING_COLOR,
+      alpha: CLEARANCE_CONFIG.RING_ALPHA
+    });
+  }
+
+  /**
+   * 绘制单个单元的间距圈（舞台坐标）
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @param {number} required - 要求的最小间距（厂区坐标）
+   */
+  drawRing(unit, required) {
+    const center = this.app.stage.toLocal(unit.toGlobal(new PIXI.Point(0, 0)));
+    const radius = (getBoundingRadius(unit.pbsData) + required) * unit.parent.scale.x;
+    this.layer.circle(center.x, center.y, radius);
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁间距冲突渲染器
+   */
+  destroy() {
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy();
+  }
+}
+
+/**
+ * 单元外接圆半径（单元本地坐标）
+ * @param {Object} pbsData - 单元数据
+ * @returns {number}
+ */
+function getBoundingRadius({ shape, size, points }) {
+  if (shape === 'rect') return size * Math.SQRT1_2;
+  if (shape === 'polygon' && points && points.length > 0) {
+    return Math.max(...points.map(p => Math.hypot(p.x, p.y)));
+  }
+  return size;
+}
@@ -4,7 +4,7 @@
  */
 
 import { calculateGeometricCenter } from '../utils/geometry.js';
-import { GRAPHICS_CONFIG, APP_CONFIG } from '../utils/constants.js';
+import { GRAPHICS_CONFIG, APP_CONFIG, CONTAINMENT_CONFIG } from '../utils/constants.js';
 import { PBSRenderer } from './PBSRenderer.js';
 
 export class FactoryRenderer {
@@ -26,11 +26,17 @@ export class FactoryRenderer {
    */
   create(options = {}) {
     const {
+      id = null,
+      name = null,
       points = GRAPHICS_CONFIG.FACTORY_POINTS,
-      color = 0x8B4513,
+      color = GRAPHICS_CONFIG.FACTORY_FILL_COLOR,
       strokeWidth = GRAPHICS_CONFIG.STROKE_WIDTH,
-      strokeColor = 0x000000,
+      strokeColor = GRAPHICS_CONFIG.FACTORY_STROKE_COLOR,
+      containment = CONTAINMENT_CONFIG.DEFAULT_RULE,
+      buildings = GRAPHICS_CONFIG.FACTORY_BUILDINGS,
       includePBS = true,
+      pbsData = GRAPHICS_CONFIG.PBS_DATA,
+      autoFit = true,
       position = null
     } = options;
 
@@ -40,8 +46,21 @@ export class FactoryRenderer {
     // 创建厂区图形容器
     const factory = new PIXI.Graphics();
     
+    // 标记为厂区并保存厂区数据，便于导出和编辑
+    factory.isFactory = true;
+    factory.factoryData = {
+      id,
+      name,
+      points: points.map(p => ({ x: p.x, y: p.y })),
+      color,
+      strokeWidth,
+      strokeColor,
+      containment,
+      buildings: buildings.map(b => ({ ...b }))
+    };
+
     // 绘制厂区形状
-    this.drawFactory(factory, points, color, strokeWidth, strokeColor);
+    this.drawFactory(factory, points, color, strokeWidth, strokeColor, buildings);
     
     // 设置旋转中心点为几何中心
     factory.pivot.set(factoryCenter.x, factoryCenter.y);
@@ -52,12 +71,14 @@ export class FactoryRenderer {
     
     // 创建并添加PBS单元
     if (includePBS) {
-      const pbsUnits = this.pbsRenderer.createUnits();
+      const pbsUnits = this.pbsRenderer.createUnits(pbsData);
       this.pbsRenderer.addToContainer(factory, pbsUnits);
     }
     
-    // 缩放和居中
-    this.scaleAndCenter(factory);
+    // 缩放和居中（多厂区场景由 layoutFactories 统一布局）
+    if (autoFit) {
+      this.scaleAndCenter(factory);
+    }
     
     // 设置位置
     if (position) {
@@ -77,8 +98,9 @@ export class FactoryRenderer {
    * @param {number} fillColor - 填充颜色
    * @param {number} strokeWidth - 描边宽度
    * @param {number} strokeColor - 描边颜色
+   * @param {Array} buildings - 内部建筑数组，默认使用配置中的数据
    */
-  drawFactory(graphics, points, fillColor, strokeWidth, strokeColor) {
+  drawFactory(graphics, points, fillColor, strokeWidth, strokeColor, buildings = GRAPHICS_CONFIG.FACTORY_BUILDINGS) {
     if (!points || points.length < 3) {
       console.error('厂区至少需要3个顶点');
       return;
@@ -102,34 +124,46 @@ export class FactoryRenderer {
       graphics.stroke({ width: strokeWidth, color: strokeColor });
     }
     
-    // 绘制厂区内部细节（办公楼、车间等）
-    this.drawFactoryDetails(graphics);
+    // 绘制厂区内部细节（办公楼、车间等），跳过因细节层次被隐藏的建筑
+    const hidden = graphics.hiddenBuildings;
+    this.drawFactoryDetails(graphics, hidden && buildings ? buildings.filter(b => !hidden.has(b)) : buildings);
+  }
+
+  /**
+   * 按 factoryData 重绘厂区轮廓和建筑
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   */
+  redraw(factory) {
+    if (!factory || !factory.factoryData) return;
+    const data = factory.factoryData;
+    this.drawFactory(factory, data.points, data.color, data.strokeWidth, data.strokeColor, data.buildings);
   }
 
   /**
    * 绘制厂区内部细节
    * @param {PIXI.Graphics} graphics - 图形对象
+   * @param {Array} buildings - 建筑数组 [{x, y, width, height, fillColor, strokeColor?, strokeWidth?}, ...]
    */
-  drawFactoryDetails(graphics) {
-    // 主厂房（深色）
-    graphics.rect(70, 60, 60, 30);
-    graphics.fill(0x654321);
-    graphics.stroke({ width: 1, color: 0x000000 });
-    
-    // 办公楼（浅色）
-    graphics.rect(15, 60, 30, 30);
-    graphics.fill(0xD2B48C);
-    graphics.stroke({ width: 1, color: 0x000000 });
-    
-    // 仓库（中等色调）
-    graphics.rect(80, 120, 50, 25);
-    graphics.fill(0xA0522D);
-    graphics.stroke({ width: 1, color: 0x000000 });
-    
-    // 烟囱（深灰色矩形）
-    graphics.rect(170, 20, 10, 50);
-    graphics.fill(0x696969);
-    graphics.stroke({ width: 1, color: 0x000000 });
+  drawFactoryDetails(graphics, buildings = GRAPHICS_CONFIG.FACTORY_BUILDINGS) {
+    if (!buildings) return;
+
+    buildings.forEach(building => {
+      const {
+        x,
+        y,
+        width,
+        height,
+        fillColor,
+        strokeWidth = GRAPHICS_CONFIG.BUILDING_STROKE_WIDTH,
+        strokeColor = GRAPHICS_CONFIG.BUILDING_STROKE_COLOR
+      } = building;
+
+      graphics.rect(x, y, width, height);
+      graphics.fill(fillColor);
+      if (strokeWidth > 0) {
+        graphics.stroke({ width: strokeWidth, color: strokeColor });
+      }
+    });
   }
 
   /**
@@ -171,6 +205,84 @@ export class FactoryRenderer {
     return { scale, x: graphic.x, y: graphic.y };
   }
 
+  /**
+   * 更新厂区轮廓并重绘
+   * 重新计算几何中心作为旋转点，同时补偿位置，使厂区在屏幕上保持不动
+   * @param {PIXI.Graphics} factory - 厂区图形对象（需包含 factoryData）
+   * @param {Array} points - 新的顶点数组
+   */
+  updateOutline(factory, points) {
+    if (!factory || !factory.factoryData) return;
+    if (!points || points.length < 3) {
+      console.error('厂区至少需要3个顶点');
+      return;
+    }
+
+    const data = factory.factoryData;
+    data.points = points.map(p => ({ x: p.x, y: p.y }));
+
+    this.drawFactory(factory, data.points, data.color, data.strokeWidth, data.strokeColor, data.buildings);
+
+    // 旋转点移动 d 时，位置需要移动 R·S·d 才能保持本地坐标的屏幕位置不变
+    const oldPivot = { x: factory.pivot.x, y: factory.pivot.y };
+    const newPivot = calculateGeometricCenter(data.points);
+    const dx = (newPivot.x - oldPivot.x) * factory.scale.x;
+    const dy = (newPivot.y - oldPivot.y) * factory.scale.y;
+    const cos = Math.cos(factory.rotation);
+    const sin = Math.sin(factory.rotation);
+
+    factory.pivot.set(newPivot.x, newPivot.y);
+    factory.x += dx * cos - dy * sin;
+    factory.y += dx * sin + dy * cos;
+  }
+
+  /**
+   * 统一布局多个厂区
+   * 所有厂区使用同一缩放比例，保证场景坐标在各厂区之间一致，
+   * 整体轮廓包围盒居中于容器
+   * @param {Array} factories - 厂区图形数组（需包含 factoryData）
+   * @param {number} containerRatio - 容器比例，默认0.9
+   * @returns {Object|null} 布局结果 {scale, offsetX, offsetY}
+   */
+  layoutFactories(factories, containerRatio = GRAPHICS_CONFIG.CONTAINER_SCALE_RATIO) {
+    if (!factories || factories.length === 0 || !this.app) return null;
+
+    // 计算所有厂区轮廓的整体包围盒（场景坐标）
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    factories.forEach(factory => {
+      factory.factoryData.points.forEach(p => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      });
+    });
+
+    const containerWidth = this.app.screen.width;
+    const containerHeight = this.app.screen.height;
+    const sceneWidth = Math.max(maxX - minX, 1);
+    const sceneHeight = Math.max(maxY - minY, 1);
+
+    const scale = Math.min(
+      (containerWidth * containerRatio) / sceneWidth,
+      (containerHeight * containerRatio) / sceneHeight
+    );
+
+    // 场景坐标 (sx, sy) 映射到 (offsetX + sx * scale, offsetY + sy * scale)
+    const offsetX = containerWidth / 2 - (minX + sceneWidth / 2) * scale;
+    const offsetY = containerHeight / 2 - (minY + sceneHeight / 2) * scale;
+
+    factories.forEach(factory => {
+      factory.scale.set(scale);
+      factory.x = offsetX + factory.pivot.x * scale;
+      factory.y = offsetY + factory.pivot.y * scale;
+    });
+
+    console.log(`${factories.length} 个厂区布局完成: 缩放比例=${scale.toFixed(3)}`);
+
+    return { scale, offsetX, offsetY };
+  }
+
   /**
    * 重置厂区到初始状态
    * @param {PIXI.Graphics} factory - 厂区图形对象
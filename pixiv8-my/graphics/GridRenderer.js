@@ -0,0 +1,180 @@
+/**
+ * 网格渲染器
+ * 在所有厂区之下绘制参考网格（StateManager 的 grid.visible 为 true 时显示）：
+ * - 网格与主厂区本地坐标对齐（随厂区的位置、缩放和旋转变换），线条落在吸附位置上
+ * - 次网格线间距为吸附间距的 1/2/5 × 10 的整数次幂倍，保证屏幕间距不小于 MIN_SPACING；
+ *   每隔 MAJOR_EVERY 条画一条主网格线，缩放视窗时间距随之切换
+ * - 只绘制屏幕可见范围内的线条，线宽按屏幕像素保持不变
+ * 覆盖层标记为编辑器覆盖层，不参与导出；设置或视窗变化后在下次渲染前（prerender 阶段）重绘
+ */
+
+import { GRID_CONFIG } from '../utils/constants.js';
+
+export class GridRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {SnapService} snapService - 吸附服务，提供吸附间距
+   */
+  constructor(app, stateManager, snapService) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.snapService = snapService;
+
+    this.layer = new PIXI.Graphics();
+    this.layer.isEditorOverlay = true;
+    this.layer.visible = this.stateManager.get('grid').visible;
+    this.app.stage.addChildAt(this.layer, 0);
+
+    // 上次绘制时主厂区的变换，厂区重新布局后需要重绘
+    this.lastTransform = null;
+    this.dirty = true;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.dirty = true;
+      }
+      if (newState.grid !== oldState.grid || newState.calibration !== oldState.calibration) {
+        this.layer.visible = newState.grid.visible;
+        this.dirty = true;
+        this.render();
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+
+    const stage = this.app.stage;
+    if (this.layer.parent !== stage || stage.getChildIndex(this.layer) !== 0) {
+      stage.addChildAt(this.layer, 0);
+    }
+    if (!this.layer.visible) return;
+
+    const factory = this.stateManager.get('factoryGraphic');
+    const transform = factory && !factory.destroyed
+      ? [factory.x, factory.y, factory.scale.x, factory.scale.y, factory.pivot.x, factory.pivot.y, factory.rotation].join(',')
+      : null;
+    if (this.dirty || transform !== this.lastTransform) {
+      this.dirty = false;
+      this.lastTransform = transform;
+      this.update(factory);
+    }
+  }
+
+  /**
+   * 按主厂区的变换和当前视窗重绘网格
+   * @param {PIXI.Container|null} factory - 主厂区
+   */
+  update(factory) {
+    this.layer.clear();
+    if (!factory || factory.destroyed) return;
+
+    // 与主厂区使用相同的变换，在厂区本地坐标中绘制
+    this.layer.x = factory.x;
+    this.layer.y = factory.y;
+    this.layer.scale.set(factory.scale.x, factory.scale.y);
+    this.layer.pivot.set(factory.pivot.x, factory.pivot.y);
+    this.layer.rotation = factory.rotation;
+
+    const pitch = this.snapService.getPitch();
+    const pixelsPerUnit = factory.scale.x * this.stateManager.get('viewport').scale;
+    if (!(pitch > 0) || !(pixelsPerUnit > 0)) return;
+
+    const minor = getMinorSpacing(pitch, pixelsPerUnit);
+    const major = minor * GRID_CONFIG.MAJOR_EVERY;
+    const bounds = this.getVisibleBounds(factory);
+    const width = GRID_CONFIG.LINE_WIDTH / pixelsPerUnit;
+
+    // 先画次网格线，再画主网格线，主网格线位置上不重复画次网格线
+    this.drawLines(bounds, minor, GRID_CONFIG.MAJOR_EVERY);
+    this.layer.stroke({ width, color: GRID_CONFIG.MINOR_COLOR, alpha: GRID_CONFIG.MINOR_ALPHA });
+    this.drawLines(bounds, major, null);
+    this.layer.stroke({ width, color: GRID_CONFIG.MAJOR_COLOR, alpha: GRID_CONFIG.MAJOR_ALPHA });
+  }
+
+  /**
+   * 在可见范围内添加一组等间距的横线和竖线路径
+   * @param {Object} bounds - 可见范围（厂区本地坐标） {minX, minY, maxX, maxY}
+   * @param {number} spacing - 间距
+   * @param {number|null} skipEvery - 跳过序号为该值整数倍的线，为空时不跳过
+   */
+  drawLines(bounds, spacing, skipEvery) {
+    const isSkipped = i => skipEvery !== null && i % skipEvery === 0;
+
+    for (let i = Math.ceil(bounds.minX / spacing); i * spacing <= bounds.maxX; i++) {
+      if (isSkipped(i)) continue;
+      this.layer.moveTo(i * spacing, bounds.minY);
+      this.layer.lineTo(i * spacing, bounds.maxY);
+    }
+    for (let i = Math.ceil(bounds.minY / spacing); i * spacing <= bounds.maxY; i++) {
+      if (isSkipped(i)) continue;
+      this.layer.moveTo(bounds.minX, i * spacing);
+      this.layer.lineTo(bounds.maxX, i * spacing);
+    }
+  }
+
+  /**
+   * 屏幕可见范围在主厂区本地坐标中的包围盒（厂区可能旋转）
+   * @param {PIXI.Container} factory - 主厂区
+   * @returns {Object} {minX, minY, maxX, maxY}
+   */
+  getVisibleBounds(factory) {
+    const { width, height } = this.app.screen;
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+      .map(([x, y]) => factory.toLocal(new PIXI.Point(x, y)));
+    return {
+      minX: Math.min(...corners.map(p => p.x)),
+      minY: Math.min(...corners.map(p => p.y)),
+      maxX: Math.max(...corners.map(p => p.x)),
+      maxY: Math.max(...corners.map(p => p.y))
+    };
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁网格渲染器
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy();
+  }
+}
+
+/**
+ * 计算次网格线间距：吸附间距的 1、2、5 × 10 的整数次幂倍中，屏幕间距不小于 MIN_SPACING 的最小值
+ * 放大时不细分到吸附间距以下，保证网格线都落在吸附位置上
+ * @param {number} pitch - 吸附间距（厂区本地坐标）
+ * @param {number} pixelsPerUnit - 厂区本地坐标1单位对应的屏幕像素
+ * @returns {number} 次网格线间距（厂区本地坐标）
+ */
+function getMinorSpacing(pitch, pixelsPerUnit) {
+  const minMultiple = GRID_CONFIG.MIN_SPACING / (pitch * pixelsPerUnit);
+  if (minMultiple <= 1) return pitch;
+
+  const base = Math.pow(10, Math.floor(Math.log10(minMultiple)));
+  return pitch * [1, 2, 5, 10].map(step => step * base).find(value => value >= minMultiple);
+}
@@ -0,0 +1,528 @@
+/**
+ * 视窗裁剪和细节层次渲染器
+ * 按视窗状态决定PBS单元和厂区建筑的绘制方式，减少大场景的绘制开销：
+ * - 裁剪：只有与可见区域（ViewportController.getVisibleWorldRect）相交的单元保持 renderable，
+ *   可见单元通过 UnitIndex 查询，不遍历全部单元
+ * - 细节层次：按厂区的缩放级别（视窗缩放 × 厂区缩放）分为三档
+ *   full 正常绘制单元；dot 单元显示为单像素点，绘制在每个厂区内的细节图层中；
+ *   cluster 单元按网格聚合，每个聚合显示为一个标记，标注单元数量，填充为数量最多的单元颜色，
+ *   点击标记时放大到该聚合的范围（由 ViewportController 通过 getClusterAtPoint 查询）
+ *   后两档单元本身不绘制
+ * - 聚合网格的单元格大小只随缩放级别跨过2的幂而变化，平移和小幅缩放时聚合保持不变，
+ *   单元移动或修改后重新聚合
+ * - 屏幕尺寸过小的建筑不绘制（FactoryRenderer 跳过 hiddenBuildings 中的建筑）
+ * 裁剪只修改 renderable，不修改 visible，命中检测和框选不受影响
+ * 视窗、场景或单元变化后，在下一次渲染前（renderer 的 prerender 阶段）重新计算
+ */
+
+import { LOD_CONFIG } from '../utils/constants.js';
+import { keepAboveFactories } from '../utils/layers.js';
+
+export class LODRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器，用于计算可见区域
+   * @param {UnitIndex} unitIndex - PBS单元空间索引
+   * @param {FactoryRenderer} factoryRenderer - 厂区渲染器，用于重绘建筑
+   */
+  constructor(app, stateManager, viewportController, unitIndex, factoryRenderer) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+    this.unitIndex = unitIndex;
+    this.factoryRenderer = factoryRenderer;
+
+    // 厂区 -> 细节图层（点/聚合标记，厂区本地坐标）
+    this.layers = new Map();
+    // 厂区 -> 当前细节层次 'full' | 'dot' | 'cluster'
+    this.tiers = new Map();
+    // 当前 renderable 的PBS单元
+    this.shown = new Set();
+    // 厂区 -> { level, clusters }，按聚合级别缓存的聚合结果
+    this.clusterCache = new Map();
+
+    // 聚合标记图层（舞台坐标），标记按 1 / viewport.scale 反向缩放，保持相同的屏幕尺寸
+    this.badgeLayer = new PIXI.Container();
+    this.badgeLayer.isClusterLayer = true;
+    this.app.stage.addChild(this.badgeLayer);
+    // 聚合标记对象池
+    this.badges = [];
+    // 当前显示的聚合 [{ cluster, position, radius }]，position 为舞台坐标，radius 为屏幕像素
+    this.visibleClusters = [];
+
+    // 下一次更新是否需要先将全部单元设为不绘制（场景变化后）
+    this.needsFullPass = true;
+    this.dirty = true;
+    this.suspended = false;
+    this.screenSize = { width: 0, height: 0 };
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.needsFullPass = true;
+        this.dirty = true;
+        this.clusterCache.clear();
+      } else if (newState.lastUnitMove !== oldState.lastUnitMove ||
+                 newState.lastUnitEdit !== oldState.lastUnitEdit) {
+        this.dirty = true;
+        this.clusterCache.clear();
+      } else if (newState.viewport !== oldState.viewport) {
+        this.dirty = true;
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    if (this.suspended) return;
+
+    const { width, height } = this.app.screen;
+    if (width !== this.screenSize.width || height !== this.screenSize.height) {
+      this.screenSize = { width, height };
+      this.dirty = true;
+    }
+    if (this.dirty) {
+      this.update();
+    }
+  }
+
+  /**
+   * 重新计算所有厂区的裁剪和细节层次
+   */
+  update() {
+    this.dirty = false;
+    const stage = this.app.stage;
+    const factories = this.stateManager.getFactoryGraphics().filter(factory => !factory.destroyed);
+
+    if (this.needsFullPass) {
+      this.needsFullPass = false;
+      this.removeStaleLayers(factories);
+      factories.forEach(factory => {
+        factory.children.forEach(child => {
+          if (child.isPBS) {
+            child.renderable = false;
+          }
+        });
+      });
+      this.shown.clear();
+    }
+
+    const { scale } = this.stateManager.get('viewport');
+    const margin = LOD_CONFIG.CULL_MARGIN / scale;
+    const visible = this.viewportController.getVisibleWorldRect();
+    const rect = {
+      x: visible.x - margin,
+      y: visible.y - margin,
+      width: visible.width + margin * 2,
+      height: visible.height + margin * 2
+    };
+    const shown = new Set();
+    const clusters = [];
+
+    factories.forEach(factory => {
+      const zoom = scale * factory.scale.x;
+      const tier = getTier(zoom);
+      this.tiers.set(factory, tier);
+      this.updateBuildings(factory, zoom);
+
+      const layer = this.getLayer(factory);
+      layer.clear();
+
+      const units = this.unitIndex.queryStageRect(factory, rect, stage).filter(unit => unit.visible);
+      if (tier === 'full') {
+        units.forEach(unit => shown.add(unit));
+      } else if (tier === 'dot') {
+        this.drawDots(layer, units, zoom);
+      } else {
+        clusters.push(...this.getVisibleClusters(factory, zoom, rect));
+      }
+    });
+
+    keepAboveFactories(this.badgeLayer, stage, factories);
+    this.drawBadges(clusters, scale);
+
+    this.shown.forEach(unit => {
+      if (!shown.has(unit) && !unit.destroyed) {
+        unit.renderable = false;
+      }
+    });
+    shown.forEach(unit => {
+      unit.renderable = true;
+    });
+    this.shown = shown;
+  }
+
+  /**
+   * 将单元绘制为单像素点，同色的点合并为一次填充
+   * @param {PIXI.Graphics} layer - 细节图层
+   * @param {Array} units - 可见区域内的单元
+   * @param {number} zoom - 缩放级别
+   */
+  drawDots(layer, units, zoom) {
+    const size = LOD_CONFIG.DOT_SIZE / zoom;
+    const byColor = new Map();
+    units.forEach(unit => {
+      const color = unit.pbsData.color;
+      if (!byColor.has(color)) {
+        byColor.set(color, []);
+      }
+      byColor.get(color).push(unit);
+    });
+
+    byColor.forEach((group, color) => {
+      group.forEach(unit => layer.rect(unit.x - size / 2, unit.y - size / 2, size, size));
+      layer.fill(color);
+    });
+  }
+
+  /**
+   * 获取厂区中与可见区域相交的聚合
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {number} zoom - 缩放级别
+   * @param {Object} rect - 可见区域（舞台坐标） {x, y, width, height}
+   * @returns {Array} [{ cluster, position }]，position 为聚合中心的舞台坐标
+   */
+  getVisibleClusters(factory, zoom, rect) {
+    const stage = this.app.stage;
+    const results = [];
+
+    this.getClusters(factory, zoom).forEach(cluster => {
+      const position = stage.toLocal(new PIXI.Point(cluster.x, cluster.y), factory);
+      if (position.x >= rect.x && position.x <= rect.x + rect.width &&
+          position.y >= rect.y && position.y <= rect.y + rect.height) {
+        results.push({ cluster, position });
+      }
+    });
+    return results;
+  }
+
+  /**
+   * 获取（必要时计算）厂区在当前聚合级别下的全部聚合
+   * 聚合级别为 floor(log2(zoom))，网格单元格边长为 CLUSTER_CELL_SIZE / 2^级别（厂区本地坐标），
+   * 屏幕上为 CLUSTER_CELL_SIZE ~ 2 * CLUSTER_CELL_SIZE 像素
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {number} zoom - 缩放级别
+   * @returns {Array} 聚合数组，见 computeClusters
+   */
+  getClusters(factory, zoom) {
+    const level = Math.floor(Math.log2(zoom));
+    let cached = this.clusterCache.get(factory);
+    if (!cached || cached.level !== level) {
+      cached = { level, clusters: this.computeClusters(factory, LOD_CONFIG.CLUSTER_CELL_SIZE / 2 ** level) };
+      this.clusterCache.set(factory, cached);
+    }
+    return cached.clusters;
+  }
+
+  /**
+   * 按网格聚合厂区中的可见单元（厂区本地坐标）
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {number} cellSize - 单元格边长
+   * @returns {Array} 聚合 [{ factory, x, y, count, color, bounds, units }]
+   *   x/y 为单元中心的平均位置，color 为数量最多的单元颜色，bounds 为单元包围盒的并集 {minX, minY, maxX, maxY}
+   */
+  computeClusters(factory, cellSize) {
+    const cells = new Map();
+
+    factory.children.forEach(unit => {
+      if (!unit.isPBS || !unit.visible || unit.destroyed) return;
+
+      const key = `${Math.floor(unit.x / cellSize)},${Math.floor(unit.y / cellSize)}`;
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = { sumX: 0, sumY: 0, units: [], colors: new Map(), bounds: null };
+        cells.set(key, cell);
+      }
+      cell.sumX += unit.x;
+      cell.sumY += unit.y;
+      cell.units.push(unit);
+      cell.colors.set(unit.pbsData.color, (cell.colors.get(unit.pbsData.color) || 0) + 1);
+
+      const bounds = this.unitIndex.getBounds(unit);
+      cell.bounds = cell.bounds
+        ? {
+            minX: Math.min(cell.bounds.minX, bounds.minX),
+            minY: Math.min(cell.bounds.minY, bounds.minY),
+            maxX: Math.max(cell.bounds.maxX, bounds.maxX),
+            maxY: Math.max(cell.bounds.maxY, bounds.maxY)
+          }
+        : { ...bounds };
+    });
+
+    return [...cells.values()].map(({ sumX, sumY, units, colors, bounds }) => ({
+      factory,
+      x: sumX / units.length,
+      y: sumY / units.length,
+      count: units.length,
+      color: getDominantColor(colors),
+      bounds,
+      units
+    }));
+  }
+
+  /**
+   * 绘制聚合标记，复用对象池中的标记，多余的标记隐藏
+   * @param {Array} entries - 可见的聚合 [{ cluster, position }]
+   * @param {number} scale - 视窗缩放
+   */
+  drawBadges(entries, scale) {
+    this.visibleClusters = entries.map(({ cluster, position }, i) => {
+      const badge = this.badges[i] || this.createBadge();
+      const radius = Math.min(
+        LOD_CONFIG.CLUSTER_MAX_RADIUS,
+        LOD_CONFIG.CLUSTER_MIN_RADIUS + Math.log2(cluster.count)
+      );
+
+      badge.visible = true;
+      badge.position.set(position.x, position.y);
+      badge.scale.set(1 / scale);
+      badge.circle
+        .clear()
+        .circle(0, 0, radius)
+        .fill({ color: cluster.color, alpha: LOD_CONFIG.CLUSTER_ALPHA })
+        .stroke({ width: LOD_CONFIG.CLUSTER_STROKE_WIDTH, color: LOD_CONFIG.CLUSTER_STROKE_COLOR });
+      const text = formatCount(cluster.count);
+      if (badge.label.text !== text) {
+        badge.label.text = text;
+      }
+
+      return { cluster, position, radius };
+    });
+
+    for (let i = entries.length; i < this.badges.length; i++) {
+      this.badges[i].visible = false;
+    }
+  }
+
+  /**
+   * 创建聚合标记并加入对象池
+   * @returns {PIXI.Container} 标记，包含 circle（圆形底）和 label（数量）
+   */
+  createBadge() {
+    const badge = new PIXI.Container();
+    badge.circle = new PIXI.Graphics();
+    badge.label = new PIXI.Text({
+      text: '',
+      style: {
+        fontFamily: LOD_CONFIG.CLUSTER_FONT_FAMILY,
+        fontSize: LOD_CONFIG.CLUSTER_FONT_SIZE,
+        fill: LOD_CONFIG.CLUSTER_TEXT_COLOR,
+        stroke: { color: LOD_CONFIG.CLUSTER_TEXT_STROKE_COLOR, width: LOD_CONFIG.CLUSTER_TEXT_STROKE_WIDTH }
+      }
+    });
+    badge.label.anchor.set(0.5, 0.5);
+    badge.addChild(badge.circle, badge.label);
+
+    this.badgeLayer.addChild(badge);
+    this.badges.push(badge);
+    return badge;
+  }
+
+  /**
+   * 查询指定点处的聚合标记，上层（后绘制）的标记优先
+   * @param {Object} point - 舞台坐标 {x, y}
+   * @returns {Object|null} 聚合，见 computeClusters
+   */
+  getClusterAtPoint(point) {
+    if (this.suspended) return null;
+
+    const { scale } = this.stateManager.get('viewport');
+    for (let i = this.visibleClusters.length - 1; i >= 0; i--) {
+      const { cluster, position, radius } = this.visibleClusters[i];
+      if (Math.hypot(point.x - position.x, point.y - position.y) <= radius / scale) {
+        return cluster;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取聚合在舞台坐标中的范围（厂区可能旋转）
+   * @param {Object} cluster - 聚合，见 computeClusters
+   * @returns {Object} 矩形（舞台坐标） {x, y, width, height}
+   */
+  getClusterBounds(cluster) {
+    const { factory, bounds } = cluster;
+    const corners = [
+      [bounds.minX, bounds.minY], [bounds.maxX, bounds.minY],
+      [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY]
+    ].map(([x, y]) => this.app.stage.toLocal(new PIXI.Point(x, y), factory));
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  /**
+   * 隐藏屏幕尺寸过小的建筑，隐藏集合变化时重绘厂区
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {number} zoom - 缩放级别
+   */
+  updateBuildings(factory, zoom) {
+    const buildings = (factory.factoryData && factory.factoryData.buildings) || [];
+    const hidden = buildings.filter(b => Math.min(b.width, b.height) * zoom < LOD_CONFIG.BUILDING_MIN_SIZE);
+    const current = factory.hiddenBuildings;
+
+    if (current ? current.size === hidden.length && hidden.every(b => current.has(b)) : hidden.length === 0) return;
+
+    factory.hiddenBuildings = hidden.length > 0 ? new Set(hidden) : null;
+    this.factoryRenderer.redraw(factory);
+  }
+
+  /**
+   * 获取厂区的细节层次
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {string} 'full' | 'dot' | 'cluster'
+   */
+  getTier(factory) {
+    return this.tiers.get(factory) || 'full';
+  }
+
+  /**
+   * 获取（必要时创建）厂区的细节图层，保持在厂区子元素的最上层
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @returns {PIXI.Graphics} 细节图层
+   */
+  getLayer(factory) {
+    let layer = this.layers.get(factory);
+    if (!layer || layer.destroyed) {
+      layer = new PIXI.Graphics();
+      layer.isLODLayer = true;
+      layer.isEditorOverlay = true;
+      this.layers.set(factory, layer);
+    }
+    if (layer.parent !== factory || factory.children[factory.children.length - 1] !== layer) {
+      factory.addChild(layer);
+    }
+    return layer;
+  }
+
+  /**
+   * 移除已不在场景中的厂区的细节图层
+   * @param {Array} factories - 当前场景中的厂区
+   */
+  removeStaleLayers(factories) {
+    const current = new Set(factories);
+    this.layers.forEach((layer, factory) => {
+      if (current.has(factory)) return;
+      if (!layer.destroyed) {
+        if (layer.parent) {
+          layer.parent.removeChild(layer);
+        }
+        layer.destroy();
+      }
+      this.layers.delete(factory);
+      this.tiers.delete(factory);
+    });
+  }
+
+  /**
+   * 暂停裁剪和细节层次，恢复所有单元和建筑的完整绘制（如导出高分辨率图片时）
+   */
+  suspend() {
+    if (this.suspended) return;
+    this.suspended = true;
+
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed) return;
+      factory.children.forEach(child => {
+        if (child.isPBS) {
+          child.renderable = true;
+        }
+      });
+      if (factory.hiddenBuildings) {
+        factory.hiddenBuildings = null;
+        this.factoryRenderer.redraw(factory);
+      }
+    });
+    this.layers.forEach(layer => {
+      if (!layer.destroyed) {
+        layer.visible = false;
+      }
+    });
+    this.badgeLayer.visible = false;
+  }
+
+  /**
+   * 恢复裁剪和细节层次，下一次渲染前重新计算
+   */
+  resume() {
+    if (!this.suspended) return;
+    this.suspended = false;
+
+    this.layers.forEach(layer => {
+      if (!layer.destroyed) {
+        layer.visible = true;
+      }
+    });
+    this.badgeLayer.visible = true;
+    this.needsFullPass = true;
+    this.dirty = true;
+  }
+
+  /**
+   * 销毁细节层次渲染器，恢复完整绘制
+   */
+  destroy() {
+    this.suspend();
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.removeStaleLayers([]);
+    this.clusterCache.clear();
+    this.visibleClusters = [];
+    this.badges = [];
+    if (this.badgeLayer.parent) {
+      this.badgeLayer.parent.removeChild(this.badgeLayer);
+    }
+    this.badgeLayer.destroy({ children: true });
+  }
+}
+
+/**
+ * 按缩放级别确定细节层次
+ * @param {number} zoom - 缩放级别
+ * @returns {string} 'full' | 'dot' | 'cluster'
+ */
+function getTier(zoom) {
+  if (zoom >= LOD_CONFIG.DOT_ZOOM) return 'full';
+  if (zoom >= LOD_CONFIG.CLUSTER_ZOOM) return 'dot';
+  return 'cluster';
+}
+
+/**
+ * 数量最多的颜色
+ * @param {Map} colors - 颜色 -> 数量
+ * @returns {number} 颜色
+ */
+function getDominantColor(colors) {
+  let dominant = null;
+  let max = 0;
+  colors.forEach((count, color) => {
+    if (count > max) {
+      dominant = color;
+      max = count;
+    }
+  });
+  return dominant;
+}
+
+/**
+ * 聚合标记上显示的数量，超过1000时缩写为 k
+ * @param {number} count - 数量
+ * @returns {string}
+ */
+function formatCount(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+}
@@ -0,0 +1,275 @@
+/**
+ * PBS标签渲染器
+ * 在每个PBS单元下方显示名称（未命名时显示ID）：
+ * - 标签位于舞台顶层的独立容器中，不随单元旋转，也不参与PBS命中检测
+ * - 标签按 1 / viewport.scale 反向缩放，在任何缩放级别下保持相同的屏幕尺寸
+ * - 标签重叠时按优先级隐藏：选中的单元 > 已命名单元 > 屏幕尺寸较大的单元
+ * - 被视窗裁剪或以细节层次显示的单元（renderable 为 false，见 LODRenderer）不显示标签
+ * 每次渲染前（renderer 的 prerender 阶段）同步位置，拖拽、撤销等操作无需单独通知
+ * 标签层是编辑器覆盖层，PNG/SVG 导出均不包含标签
+ */
+
+import { LABEL_CONFIG } from '../utils/constants.js';
+
+export class LabelRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(app, stateManager) {
+    this.app = app;
+    this.stateManager = stateManager;
+
+    // 标签图层，始终保持在舞台最上层；标签按屏幕视窗布局，不参与导出
+    this.layer = new PIXI.Container();
+    this.layer.isEditorOverlay = true;
+    this.layer.visible = this.stateManager.get('showLabels');
+    this.app.stage.addChild(this.layer);
+
+    // PBS单元 -> 标签文本
+    this.labels = new Map();
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.showLabels !== oldState.showLabels) {
+        this.layer.visible = newState.showLabels;
+        this.render();
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+    this.render();
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * 导出等离屏渲染不更新标签（导出时标签层被隐藏）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    this.update();
+  }
+
+  /**
+   * 同步标签文本、位置、缩放和可见性
+   */
+  update() {
+    const stage = this.app.stage;
+    if (this.layer.parent !== stage || stage.children[stage.children.length - 1] !== this.layer) {
+      // 场景加载后新厂区会添加到舞台末尾，重新置顶
+      stage.addChild(this.layer);
+    }
+
+    const units = this.collectUnits();
+    this.removeStaleLabels(units);
+    if (!this.layer.visible) return;
+
+    const viewport = this.stateManager.get('viewport');
+    const selectedUnits = new Set(this.stateManager.get('selectedUnits'));
+    const screen = this.app.screen;
+    const entries = [];
+
+    units.forEach((unit, index) => {
+      if (!unit.renderable) {
+        const culled = this.labels.get(unit);
+        if (culled) {
+          culled.visible = false;
+        }
+        return;
+      }
+
+      const label = this.getLabel(unit);
+      if (!label) return;
+
+      // 在屏幕坐标中布局，再换算回舞台坐标
+      const center = unit.toGlobal(new PIXI.Point(0, 0));
+      const radius = unit.pbsData.size * unit.parent.scale.x * viewport.scale;
+      const anchor = new PIXI.Point(center.x, center.y + radius + LABEL_CONFIG.OFFSET);
+      const position = stage.toLocal(anchor);
+      label.position.set(position.x, position.y);
+      label.scale.set(1 / viewport.scale);
+
+      const bounds = label.getLocalBounds();
+      const rect = {
+        x: anchor.x + bounds.x - LABEL_CONFIG.PADDING,
+        y: anchor.y + bounds.y - LABEL_CONFIG.PADDING,
+        width: bounds.width + LABEL_CONFIG.PADDING * 2,
+        height: bounds.height + LABEL_CONFIG.PADDING * 2
+      };
+
+      // 屏幕外的标签直接隐藏，不参与碰撞检测
+      if (rect.x > screen.width || rect.y > screen.height ||
+          rect.x + rect.width < 0 || rect.y + rect.height < 0) {
+        label.visible = false;
+        return;
+      }
+
+      entries.push({
+        label,
+        rect,
+        index,
+        selected: selectedUnits.has(unit),
+        named: !!unit.pbsData.name,
+        radius
+      });
+    });
+
+    entries.sort((a, b) =>
+      (b.selected - a.selected) ||
+      (b.named - a.named) ||
+      (b.radius - a.radius) ||
+      (a.index - b.index));
+
+    this.resolveCollisions(entries);
+  }
+
+  /**
+   * 按优先级顺序放置标签，与已放置标签重叠的标签被隐藏
+   * 已放置的标签登记到均匀网格中，只与相邻单元格内的标签比较
+   * @param {Array} entries - 按优先级排序的 { label, rect }
+   */
+  resolveCollisions(entries) {
+    const cellSize = LABEL_CONFIG.GRID_CELL_SIZE;
+    const grid = new Map();
+
+    entries.forEach(({ label, rect }) => {
+      const minX = Math.floor(rect.x / cellSize);
+      const maxX = Math.floor((rect.x + rect.width) / cellSize);
+      const minY = Math.floor(rect.y / cellSize);
+      const maxY = Math.floor((rect.y + rect.height) / cellSize);
+
+      let overlaps = false;
+      for (let cx = minX; cx <= maxX && !overlaps; cx++) {
+        for (let cy = minY; cy <= maxY && !overlaps; cy++) {
+          const cell = grid.get(`${cx},${cy}`);
+          overlaps = !!cell && cell.some(placed => rectsOverlap(placed, rect));
+        }
+      }
+
+      label.visible = !overlaps;
+      if (overlaps) return;
+
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+          const key = `${cx},${cy}`;
+          if (!grid.has(key)) {
+            grid.set(key, []);
+          }
+          grid.get(key).push(rect);
+        }
+      }
+    });
+  }
+
+  /**
+   * 收集场景中所有厂区下的PBS单元
+   * @returns {Array} PBS单元数组
+   */
+  collectUnits() {
+    const units = [];
+    this.stateManager.getFactoryGraphics().forEach(factory => {
+      if (factory.destroyed || !factory.visible) return;
+      factory.children.forEach(child => {
+        if (child.isPBS && child.visible && !child.destroyed) {
+          units.push(child);
+        }
+      });
+    });
+    return units;
+  }
+
+  /**
+   * 获取（必要时创建）单元的标签，并同步标签文本
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @returns {PIXI.Text|null} 标签，单元既无名称也无ID时为 null
+   */
+  getLabel(unit) {
+    const text = unit.pbsData.name || unit.pbsData.id;
+    let label = this.labels.get(unit);
+
+    if (!text) {
+      if (label) {
+        label.visible = false;
+      }
+      return null;
+    }
+
+    if (!label) {
+      label = new PIXI.Text({
+        text,
+        style: {
+          fontFamily: LABEL_CONFIG.FONT_FAMILY,
+          fontSize: LABEL_CONFIG.FONT_SIZE,
+          fill: LABEL_CONFIG.FILL_COLOR,
+          stroke: { color: LABEL_CONFIG.STROKE_COLOR, width: LABEL_CONFIG.STROKE_WIDTH }
+        }
+      });
+      label.anchor.set(0.5, 0);
+      this.labels.set(unit, label);
+      this.layer.addChild(label);
+    } else if (label.text !== text) {
+      label.text = text;
+    }
+    return label;
+  }
+
+  /**
+   * 销毁已不在场景中的单元的标签
+   * @param {Array} units - 当前场景中的PBS单元
+   */
+  removeStaleLabels(units) {
+    const current = new Set(units);
+    this.labels.forEach((label, unit) => {
+      if (!current.has(unit)) {
+        this.layer.removeChild(label);
+        label.destroy();
+        this.labels.delete(unit);
+      }
+    });
+  }
+
+  /**
+   * 切换标签显示
+   * @returns {boolean} 切换后是否显示
+   */
+  toggle() {
+    return this.stateManager.toggleLabels();
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁标签渲染器
+   */
+  destroy() {
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.labels.clear();
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy({ children: true });
+  }
+}
+
+/**
+ * 两个矩形是否重叠
+ * @param {Object} a - 矩形 {x, y, width, height}
+ * @param {Object} b - 矩形 {x, y, width, height}
+ * @returns {boolean}
+ */
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width &&
+         a.y < b.y + b.height && b.y < a.y + a.height;
+}
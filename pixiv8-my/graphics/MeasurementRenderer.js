@@ -0,0 +1,274 @@
+/**
+ * 测量渲染器
+ * 绘制已固定的测量（StateManager 的 measurements）和 MeasureTool 正在进行的测量：
+ * - 每段的尺寸线和长度、相邻两段的夹角、总长，三个点以上时首尾相连围成的面积
+ * - 测量点以主厂区本地坐标记录，绘制时换算到舞台坐标，线宽和文字按屏幕像素保持不变
+ * - 场景已标定（StateManager 的 calibration）时长度和面积换算为实际单位
+ * 覆盖层标记为编辑器覆盖层，不参与导出；内容变化后在下次渲染前（prerender 阶段）重绘
+ * 数值标签按绘制顺序复用，平移缩放时只更新文字、位置和缩放，不重新创建文本对象
+ */
+
+import { MEASURE_CONFIG } from '../utils/constants.js';
+import { measurePolyline } from '../utils/geometry.js';
+import { formatLength, formatArea } from '../utils/units.js';
+import { keepAboveFactories } from '../utils/layers.js';
+
+export class MeasurementRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(app, stateManager) {
+    this.app = app;
+    this.stateManager = stateManager;
+
+    this.layer = new PIXI.Container();
+    this.layer.isEditorOverlay = true;
+    this.graphics = new PIXI.Graphics();
+    this.labels = new PIXI.Container();
+    this.layer.addChild(this.graphics, this.labels);
+    this.app.stage.addChild(this.layer);
+
+    // 正在进行的测量 { points, cursor, snap }，由 MeasureTool 设置
+    this.draft = null;
+    // 本次绘制已放置的标签数量
+    this.labelCount = 0;
+    this.dirty = true;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport ||
+          newState.factoryGraphic !== oldState.factoryGraphic) {
+        this.dirty = true;
+      }
+      // 固定/删除测量、切换单位时没有其他渲染触发
+      if (newState.measurements !== oldState.measurements ||
+          newState.calibration !== oldState.calibration) {
+        this.dirty = true;
+        this.render();
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+  }
+
+  /**
+   * 设置正在进行的测量
+   * @param {Object|null} draft - { points, cursor, snap }：已确定的点、跟随指针的点和吸附位置（均为主厂区本地坐标，后两者可为 null）
+   */
+  setDraft(draft) {
+    this.draft = draft;
+    this.dirty = true;
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    keepAboveFactories(this.layer, this.app.stage, this.stateManager.getFactoryGraphics());
+    if (this.dirty) {
+      this.dirty = false;
+      this.update();
+    }
+  }
+
+  /**
+   * 重绘全部测量
+   */
+  update() {
+    this.graphics.clear();
+    this.labelCount = 0;
+
+    const factory = this.stateManager.get('factoryGraphic');
+    if (!factory || factory.destroyed) {
+      this.removeUnusedLabels();
+      return;
+    }
+
+    this.stateManager.get('measurements').forEach(({ points }) => {
+      this.drawMeasurement(factory, points, MEASURE_CONFIG.PINNED_COLOR);
+    });
+
+    if (this.draft) {
+      const { points, cursor, snap } = this.draft;
+      this.drawMeasurement(factory, cursor ? [...points, cursor] : points, MEASURE_CONFIG.LINE_COLOR);
+      if (snap) {
+        const center = this.toStage(factory, snap);
+        this.graphics.circle(center.x, center.y, MEASURE_CONFIG.SNAP_RADIUS * this.getPixelSize());
+        this.graphics.stroke({ width: MEASURE_CONFIG.LINE_WIDTH * this.getPixelSize(), color: MEASURE_CONFIG.SNAP_COLOR });
+      }
+    }
+
+    this.removeUnusedLabels();
+  }
+
+  /**
+   * 绘制一条测量：面积、尺寸线、测量点、夹角和各项数值
+   * @param {PIXI.Graphics} factory - 主厂区
+   * @param {Array} points - 测量点（主厂区本地坐标）
+   * @param {number} color - 颜色
+   */
+  drawMeasurement(factory, points, color) {
+    if (points.length === 0) return;
+
+    const config = MEASURE_CONFIG;
+    const pixel = this.getPixelSize();
+    const calibration = this.stateManager.get('calibration');
+    const stagePoints = points.map(point => this.toStage(factory, point));
+    const { segments, total, angles, area, centroid } = measurePolyline(points);
+
+    if (area !== null) {
+      this.graphics.poly(stagePoints.flatMap(point => [point.x, point.y]));
+      this.graphics.fill({ color, alpha: config.AREA_ALPHA });
+    }
+
+    this.graphics.moveTo(stagePoints[0].x, stagePoints[0].y);
+    stagePoints.slice(1).forEach(point => this.graphics.lineTo(point.x, point.y));
+    this.graphics.stroke({ width: config.LINE_WIDTH * pixel, color });
+
+    stagePoints.forEach(point => {
+      this.graphics.circle(point.x, point.y, config.POINT_RADIUS * pixel);
+      this.graphics.fill(color);
+    });
+
+    // 夹角：在两段之间画弧，数值标在角平分线方向
+    angles.forEach((angle, i) => {
+      const vertex = stagePoints[i + 1];
+      const from = Math.atan2(stagePoints[i].y - vertex.y, stagePoints[i].x - vertex.x);
+      const to = Math.atan2(stagePoints[i + 2].y - vertex.y, stagePoints[i + 2].x - vertex.x);
+      const sweep = normalizeAngle(to - from);
+      // 沿较小的一侧画弧（角度减小的方向为逆时针）
+      const counterclockwise = sweep > Math.PI;
+      const radius = config.ANGLE_RADIUS * pixel;
+      this.graphics.moveTo(vertex.x + Math.cos(from) * radius, vertex.y + Math.sin(from) * radius);
+      this.graphics.arc(vertex.x, vertex.y, radius, from, to, counterclockwise);
+      this.graphics.stroke({ width: config.LINE_WIDTH * pixel / 2, color });
+
+      const middle = from + (counterclockwise ? sweep - 2 * Math.PI : sweep) / 2;
+      const labelRadius = radius * 2;
+      this.addLabel(`${angle.toFixed(config.ANGLE_DECIMALS)}°`,
+        vertex.x + Math.cos(middle) * labelRadius, vertex.y + Math.sin(middle) * labelRadius, color);
+    });
+
+    segments.forEach((length, i) => {
+      const a = stagePoints[i];
+      const b = stagePoints[i + 1];
+      this.addLabel(formatLength(length, calibration, config.DECIMALS), (a.x + b.x) / 2, (a.y + b.y) / 2, color);
+    });
+
+    if (segments.length > 1) {
+      const last = stagePoints[stagePoints.length - 1];
+      this.addLabel(`总长 ${formatLength(total, calibration, config.DECIMALS)}`,
+        last.x, last.y + config.LABEL_OFFSET * pixel, color, 0);
+    }
+
+    if (area !== null) {
+      const center = this.toStage(factory, centroid);
+      this.addLabel(`面积 ${formatArea(area, calibration, config.DECIMALS)}`, center.x, center.y, color);
+    }
+  }
+
+  /**
+   * 放置一个数值标签（舞台坐标），按视窗缩放反向缩放以保持屏幕尺寸
+   * 复用上次绘制中同一顺序的标签，文字或颜色不变时不重新生成文字纹理
+   * @param {string} text - 文字
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {number} color - 描边颜色
+   * @param {number} anchorY - 垂直锚点，默认居中
+   */
+  addLabel(text, x, y, color, anchorY = 0.5) {
+    let label = this.labels.children[this.labelCount];
+    if (!label) {
+      label = new PIXI.Text({
+        text,
+        style: {
+          fontFamily: MEASURE_CONFIG.FONT_FAMILY,
+          fontSize: MEASURE_CONFIG.FONT_SIZE,
+          fill: MEASURE_CONFIG.FONT_COLOR,
+          stroke: { color, width: MEASURE_CONFIG.FONT_STROKE_WIDTH }
+        }
+      });
+      label.strokeColor = color;
+      this.labels.addChild(label);
+    } else {
+      if (label.text !== text) {
+        label.text = text;
+      }
+      if (label.strokeColor !== color) {
+        label.style.stroke = { color, width: MEASURE_CONFIG.FONT_STROKE_WIDTH };
+        label.strokeColor = color;
+      }
+    }
+    this.labelCount++;
+
+    label.anchor.set(0.5, anchorY);
+    label.position.set(x, y);
+    label.scale.set(this.getPixelSize());
+  }
+
+  /**
+   * 销毁本次绘制没有用到的标签（测量被删除或测量点减少时）
+   */
+  removeUnusedLabels() {
+    const unused = this.labels.children.slice(this.labelCount);
+    unused.forEach(label => {
+      this.labels.removeChild(label);
+      label.destroy();
+    });
+  }
+
+  /**
+   * 主厂区本地坐标转换为舞台坐标
+   * @param {PIXI.Graphics} factory - 主厂区
+   * @param {Object} point - 本地坐标 {x, y}
+   * @returns {PIXI.Point} 舞台坐标
+   */
+  toStage(factory, point) {
+    return this.app.stage.toLocal(factory.toGlobal(new PIXI.Point(point.x, point.y)));
+  }
+
+  /**
+   * 一个屏幕像素对应的舞台坐标长度
+   * @returns {number}
+   */
+  getPixelSize() {
+    return 1 / this.stateManager.get('viewport').scale;
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁测量渲染器
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy({ children: true });
+  }
+}
+
+/**
+ * 将弧度归一化到 [0, 2π)
+ * @param {number} angle - 弧度
+ * @returns {number}
+ */
+function normalizeAngle(angle) {
+  const full = Math.PI * 2;
+  return ((angle % full) + full) % full;
+}
@@ -3,7 +3,7 @@
  * 负责创建和管理PBS单元图形
  */
 
-import { GRAPHICS_CONFIG } from '../utils/constants.js';
+import { GRAPHICS_CONFIG, PBS_ATTRIBUTES } from '../utils/constants.js';
 
 export class PBSRenderer {
   constructor(app) {
@@ -16,34 +16,27 @@ export class PBSRenderer {
    * @returns {PIXI.Graphics} PBS图形对象
    */
   createUnit(pbsData) {
-    const { x, y, color, shape, size, points } = pbsData;
+    const { id = null, x, y, color, shape, size, points, rotation = 0, properties = {} } = pbsData;
 
     const pbsGraphic = new PIXI.Graphics();
 
     // 添加PBS标识属性，用于精准识别
     pbsGraphic.isPBS = true;
-    // 保存PBS元数据，便于后续使用
-    pbsGraphic.pbsData = { color, shape, size, points };
-
-    // 根据形状类型绘制
-    if (shape === 'circle') {
-      pbsGraphic.circle(0, 0, size);
-    } else if (shape === 'rect') {
-      pbsGraphic.rect(-size / 2, -size / 2, size, size);
-    } else if (shape === 'polygon' && points) {
-      // 绘制多边形
-      pbsGraphic.poly(points);
-    } else {
-      // 默认绘制圆形
-      pbsGraphic.circle(0, 0, size);
-    }
+    // 保存PBS元数据（含业务属性），便于后续使用
+    const attributes = {};
+    PBS_ATTRIBUTES.forEach(field => {
+      attributes[field.key] = pbsData[field.key] ?? null;
+    });
+    pbsGraphic.pbsData = { id, ...attributes, properties: { ...properties }, color, shape, size, points };
 
-    // 应用填充色
+    // 根据形状类型绘制并应用填充色
+    this.drawShape(pbsGraphic, shape, size, points);
     pbsGraphic.fill(color);
 
-    // 设置位置
+    // 设置位置和旋转
     pbsGraphic.x = x;
     pbsGraphic.y = y;
+    pbsGraphic.rotation = rotation;
 
     return pbsGraphic;
   }
@@ -102,20 +95,33 @@ export class PBSRenderer {
   updateColor(pbsUnit, color, originalData) {
     if (!pbsUnit || !originalData) return;
     
-    const { shape, size } = originalData;
+    const { shape, size, points } = originalData;
     
     // 清除并重绘
     pbsUnit.clear();
-    
+    this.drawShape(pbsUnit, shape, size, points);
+    pbsUnit.fill(color);
+  }
+
+  /**
+   * 按形状绘制PBS路径（不含填充）
+   * @param {PIXI.Graphics} graphics - 图形对象
+   * @param {string} shape - 形状 ('circle' | 'rect' | 'polygon')
+   * @param {number} size - 大小
+   * @param {Array} points - 多边形顶点数组（仅用于polygon）
+   */
+  drawShape(graphics, shape, size, points) {
     if (shape === 'circle') {
-      pbsUnit.circle(0, 0, size);
+      graphics.circle(0, 0, size);
     } else if (shape === 'rect') {
-      pbsUnit.rect(-size / 2, -size / 2, size, size);
+      graphics.rect(-size / 2, -size / 2, size, size);
+    } else if (shape === 'polygon' && points) {
+      // 绘制多边形
+      graphics.poly(points);
     } else {
-      pbsUnit.circle(0, 0, size);
+      // 默认绘制圆形
+      graphics.circle(0, 0, size);
     }
-    
-    pbsUnit.fill(color);
   }
 
   /**
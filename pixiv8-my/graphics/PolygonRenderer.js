@@ -0,0 +1,141 @@
+/**
+ * 多边形渲染器
+ * 负责创建区域（危险区域、扩建用地等）的多边形图形并添加到厂区
+ */
+
+import { calculatePolygonCenter } from '../utils/geometry.js';
+import { GRAPHICS_CONFIG, APP_CONFIG, ZONE_CONFIG } from '../utils/constants.js';
+
+export class PolygonRenderer {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * 创建多边形图形
+   * @param {Array} points - 多边形顶点数组
+   * @param {Object} options - 配置选项
+   * @returns {PIXI.Graphics} 多边形图形对象
+   */
+  create(points = GRAPHICS_CONFIG.DEFAULT_POLYGON_POINTS, options = {}) {
+    const {
+      color = 0xff0000,
+      strokeWidth = GRAPHICS_CONFIG.STROKE_WIDTH,
+      strokeColor = 0x000000,
+      scale = GRAPHICS_CONFIG.SCALE_FACTOR,
+      position = null
+    } = options;
+
+    // 计算多边形中心点
+    const center = calculatePolygonCenter(points);
+    
+    // 创建多边形图形
+    const graphics = new PIXI.Graphics();
+    
+    // 绘制多边形
+    this.drawPolygon(graphics, points, color, strokeWidth, strokeColor);
+    
+    // 设置旋转和缩放的中心点
+    graphics.pivot.set(center.x, center.y);
+    
+    // 设置位置
+    if (position) {
+      graphics.x = position.x;
+      graphics.y = position.y;
+    } else {
+      graphics.x = this.app.screen.width / 2;
+      graphics.y = this.app.screen.height / 2;
+    }
+    
+    graphics.scale.set(scale);
+    
+    // 使图形可交互
+    graphics.eventMode = 'static';
+    graphics.cursor = APP_CONFIG.CURSOR_POINTER;
+
+    return graphics;
+  }
+
+  /**
+   * 绘制多边形路径
+   * @param {PIXI.Graphics} graphics - 图形对象
+   * @param {Array} points - 顶点数组
+   * @param {number} fillColor - 填充颜色
+   * @param {number} strokeWidth - 描边宽度
+   * @param {number} strokeColor - 描边颜色
+   */
+  drawPolygon(graphics, points, fillColor, strokeWidth, strokeColor) {
+    if (!points || points.length < 3) {
+      console.error('多边形至少需要3个顶点');
+      return;
+    }
+
+    // 清除之前的绘制
+    graphics.clear();
+    
+    // 开始绘制路径
+    graphics.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      graphics.lineTo(points[i].x, points[i].y);
+    }
+    graphics.closePath();
+    
+    // 应用填充色
+    graphics.fill(fillColor);
+    
+    // 应用边框
+    if (strokeWidth > 0) {
+      graphics.stroke({ width: strokeWidth, color: strokeColor });
+    }
+  }
+
+  /**
+   * 创建区域图形（危险区域、扩建用地等）
+   * 顶点为厂区本地坐标（场景坐标），旋转点与位置重合，因此图形本地坐标即厂区本地坐标
+   * @param {Object} zoneData - 区域数据 {id, name, type, points, color}
+   * @returns {PIXI.Graphics} 区域图形对象
+   */
+  createZone(zoneData) {
+    const { id = null, name = null, type = ZONE_CONFIG.DEFAULT_TYPE, points } = zoneData;
+    const typeConfig = ZONE_CONFIG.TYPES[type] || ZONE_CONFIG.TYPES[ZONE_CONFIG.DEFAULT_TYPE];
+    const color = zoneData.color !== undefined && zoneData.color !== null ? zoneData.color : typeConfig.color;
+    const center = calculatePolygonCenter(points);
+
+    const zone = this.create(points, {
+      color,
+      strokeWidth: ZONE_CONFIG.STROKE_WIDTH,
+      strokeColor: color,
+      scale: 1,
+      position: center
+    });
+    zone.alpha = ZONE_CONFIG.ALPHA;
+
+    // 添加区域标识属性
+    zone.isZone = true;
+    zone.zoneData = {
+      id,
+      name,
+      type,
+      color,
+      points: points.map(p => ({ x: p.x, y: p.y }))
+    };
+
+    return zone;
+  }
+
+  /**
+   * 将区域图形添加到厂区
+   * 区域位于厂区内已有区域之后、PBS单元之前，避免遮挡PBS单元
+   * @param {PIXI.Container} factory - 厂区图形对象
+   * @param {PIXI.Graphics} zone - 区域图形对象
+   */
+  addZoneToFactory(factory, zone) {
+    if (!factory || !zone) return;
+
+    let index = 0;
+    while (index < factory.children.length && factory.children[index].isZone) {
+      index++;
+    }
+    factory.addChildAt(zone, index);
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * PBS选择高亮渲染器
+ * 为 StateManager 中 selectedUnits 的每个单元绘制高亮轮廓：
+ * - 轮廓绘制在厂区上方的独立覆盖层中，线宽和间距按屏幕像素计算，不随缩放变化
+ * - 每次渲染前（renderer 的 prerender 阶段）重绘，拖拽、撤销后轮廓自动跟随单元
+ * 同时绘制框选过程中的选择框（StateManager 中的 selectionBox）
+ * 覆盖层标记为编辑器覆盖层，不参与导出
+ */
+
+import { SELECTION_CONFIG } from '../utils/constants.js';
+import { keepAboveFactories } from '../utils/layers.js';
+import { offsetPolygon } from '../utils/geometry.js';
+
+export class SelectionRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(app, stateManager) {
+    this.app = app;
+    this.stateManager = stateManager;
+
+    this.layer = new PIXI.Graphics();
+    this.layer.isEditorOverlay = true;
+    this.app.stage.addChild(this.layer);
+
+    // 上一帧是否绘制了内容，用于避免无选择时重复清空
+    this.hasOutline = false;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.selectedUnits !== oldState.selectedUnits ||
+          newState.selectionBox !== oldState.selectionBox) {
+        this.render();
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    this.update();
+  }
+
+  /**
+   * 重绘所有选中单元的高亮轮廓和选择框
+   */
+  update() {
+    this.ensureLayerOrder();
+
+    const units = this.stateManager.get('selectedUnits')
+      .filter(unit => !unit.destroyed && unit.parent && unit.visible);
+    const box = this.stateManager.get('selectionBox');
+    if (units.length === 0 && !box && !this.hasOutline) return;
+
+    this.layer.clear();
+    this.hasOutline = units.length > 0 || !!box;
+
+    const pixel = 1 / this.stateManager.get('viewport').scale;
+    units.forEach(unit => this.drawOutline(unit, pixel));
+
+    if (box) {
+      this.layer.rect(box.x, box.y, box.width, box.height);
+      this.layer.fill({ color: SELECTION_CONFIG.COLOR, alpha: SELECTION_CONFIG.BOX_FILL_ALPHA });
+      this.layer.stroke({ width: SELECTION_CONFIG.BOX_LINE_WIDTH * pixel, color: SELECTION_CONFIG.COLOR });
+    }
+  }
+
+  /**
+   * 绘制单个单元的高亮轮廓（舞台坐标）
+   * @param {PIXI.Graphics} unit - PBS单元
+   * @param {number} pixel - 一个屏幕像素对应的舞台坐标长度
+   */
+  drawOutline(unit, pixel) {
+    const { shape, size, points } = unit.pbsData;
+    const stage = this.app.stage;
+    const factoryScale = unit.parent.scale.x;
+    // 间距换算为单元本地坐标
+    const padding = SELECTION_CONFIG.PADDING * pixel / factoryScale;
+    const toStage = point => stage.toLocal(unit.toGlobal(new PIXI.Point(point.x, point.y)));
+
+    if (shape === 'circle') {
+      const center = toStage({ x: 0, y: 0 });
+      this.layer.circle(center.x, center.y, (size + padding) * factoryScale);
+    } else if (shape === 'rect') {
+      const half = size / 2 + padding;
+      const corners = [
+        { x: -half, y: -half }, { x: half, y: -half },
+        { x: half, y: half }, { x: -half, y: half }
+      ];
+      this.layer.poly(corners.map(toStage), true);
+    } else if (shape === 'polygon' && points) {
+      this.layer.poly(offsetPolygon(points, padding).map(toStage), true);
+    } else {
+      return;
+    }
+
+    this.layer.stroke({ width: SELECTION_CONFIG.LINE_WIDTH * pixel, color: SELECTION_CONFIG.COLOR });
+  }
+
+  /**
+   * 保持覆盖层位于所有厂区之上（标签图层之下）
+   */
+  ensureLayerOrder() {
+    keepAboveFactories(this.layer, this.app.stage, this.stateManager.getFactoryGraphics());
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁选择高亮渲染器
+   */
+  destroy() {
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy();
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * 吸附提示渲染器
+ * 绘制 StateManager 中 snapIndicator 描述的吸附位置和对齐参考线（由 SnapService 在拖拽时更新）：
+ * - 吸附目标按类型使用不同图形：顶点为方框、边中点为三角形、单元中心为圆、垂足为垂直符号、网格交点为十字
+ * - 与单元中心对齐时，从该中心到吸附位置画虚线参考线
+ * - 图形尺寸和线宽按屏幕像素计算，不随缩放变化
+ * 覆盖层标记为编辑器覆盖层，不参与导出；提示变化后在下次渲染前（prerender 阶段）重绘
+ */
+
+import { SNAP_CONFIG } from '../utils/constants.js';
+import { keepAboveFactories } from '../utils/layers.js';
+
+export class SnapIndicatorRenderer {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(app, stateManager) {
+    this.app = app;
+    this.stateManager = stateManager;
+
+    this.layer = new PIXI.Graphics();
+    this.layer.isEditorOverlay = true;
+    this.app.stage.addChild(this.layer);
+
+    this.dirty = true;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.viewport !== oldState.viewport) {
+        this.dirty = true;
+      }
+      // 拖拽结束清除提示时没有其他渲染触发
+      if (newState.snapIndicator !== oldState.snapIndicator) {
+        this.dirty = true;
+        if (!newState.snapIndicator) {
+          this.render();
+        }
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    keepAboveFactories(this.layer, this.app.stage, this.stateManager.getFactoryGraphics());
+    if (this.dirty) {
+      this.dirty = false;
+      this.update();
+    }
+  }
+
+  /**
+   * 重绘吸附提示
+   */
+  update() {
+    this.layer.clear();
+
+    const indicator = this.stateManager.get('snapIndicator');
+    if (!indicator) return;
+
+    const pixel = 1 / this.stateManager.get('viewport').scale;
+
+    indicator.guides.forEach(({ from, to }) => {
+      this.drawDashedLine(from, to, SNAP_CONFIG.GUIDE_DASH * pixel);
+      this.layer.circle(from.x, from.y, SNAP_CONFIG.MARKER_SIZE / 2 * pixel);
+    });
+    if (indicator.guides.length > 0) {
+      this.layer.stroke({ width: SNAP_CONFIG.GUIDE_WIDTH * pixel, color: SNAP_CONFIG.GUIDE_COLOR });
+    }
+
+    if (indicator.kind) {
+      this.drawMarker(indicator.kind, indicator.point, SNAP_CONFIG.MARKER_SIZE * pixel);
+      this.layer.stroke({ width: SNAP_CONFIG.LINE_WIDTH * pixel, color: SNAP_CONFIG.COLOR });
+    }
+  }
+
+  /**
+   * 添加吸附目标图形的路径
+   * @param {string} kind - 吸附类型 'vertex' | 'midpoint' | 'center' | 'perpendicular' | 'grid'
+   * @param {Object} point - 吸附位置（舞台坐标）
+   * @param {number} size - 图形半径（舞台坐标）
+   */
+  drawMarker(kind, { x, y }, size) {
+    const g = this.layer;
+    switch (kind) {
+      case 'vertex':
+        g.rect(x - size, y - size, size * 2, size * 2);
+        break;
+      case 'midpoint':
+        g.poly([x, y - size, x + size, y + size, x - size, y + size]);
+        break;
+      case 'center':
+        g.circle(x, y, size);
+        break;
+      case 'perpendicular':
+        g.moveTo(x - size, y + size);
+        g.lineTo(x + size, y + size);
+        g.moveTo(x, y + size);
+        g.lineTo(x, y - size);
+        break;
+      default:
+        g.moveTo(x - size, y);
+        g.lineTo(x + size, y);
+        g.moveTo(x, y - size);
+        g.lineTo(x, y + size);
+    }
+  }
+
+  /**
+   * 添加虚线路径
+   * @param {Object} from - 起点（舞台坐标）
+   * @param {Object} to - 终点（舞台坐标）
+   * @param {number} dash - 虚线段长度（舞台坐标）
+   */
+  drawDashedLine(from, to, dash) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (!(length > 0) || !(dash > 0)) return;
+
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+    for (let d = 0; d < length; d += dash * 2) {
+      const end = Math.min(d + dash, length);
+      this.layer.moveTo(from.x + ux * d, from.y + uy * d);
+      this.layer.lineTo(from.x + ux * end, from.y + uy * end);
+    }
+  }
+
+  /**
+   * 非自动渲染模式下手动渲染
+   */
+  render() {
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+  }
+
+  /**
+   * 销毁吸附提示渲染器
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.app.renderer.runners.prerender.remove(this);
+    if (this.layer.parent) {
+      this.layer.parent.removeChild(this.layer);
+    }
+    this.layer.destroy();
+  }
+}
@@ -2,15 +2,81 @@ import { PixiApplication } from './core/PixiApplication.js';
 import { FactoryRenderer } from './graphics/FactoryRenderer.js';
 import { StateManager } from './core/StateManager.js';
 import { ViewportController } from './controls/ViewportController.js';
+import { HistoryManager } from './core/HistoryManager.js';
+import { UnitIndex } from './core/UnitIndex.js';
+import { OutlineIndex } from './core/OutlineIndex.js';
+import { KeyboardHandler } from './events/KeyboardHandler.js';
+import { VertexEditor } from './controls/VertexEditor.js';
+import { DrawingTool } from './controls/DrawingTool.js';
+import { CalibrationTool } from './controls/CalibrationTool.js';
+import { MeasureTool } from './controls/MeasureTool.js';
+import { SnapService } from './controls/SnapService.js';
+import { PolygonRenderer } from './graphics/PolygonRenderer.js';
+import { SceneLoader } from './scene/SceneLoader.js';
+import { SceneSerializer } from './scene/SceneSerializer.js';
+import { SvgExporter } from './export/SvgExporter.js';
+import { PngExporter } from './export/PngExporter.js';
+import { InspectorPanel } from './ui/InspectorPanel.js';
+import { LabelRenderer } from './graphics/LabelRenderer.js';
+import { SelectionRenderer } from './graphics/SelectionRenderer.js';
+import { UnitTooltip } from './ui/UnitTooltip.js';
+import { ClearanceEngine } from './analysis/ClearanceEngine.js';
+import { ClearanceRenderer } from './graphics/ClearanceRenderer.js';
+import { ClearancePanel } from './ui/ClearancePanel.js';
+import { GeometryAnalytics } from './analysis/GeometryAnalytics.js';
+import { GeometryPanel } from './ui/GeometryPanel.js';
+import { MeasurementRenderer } from './graphics/MeasurementRenderer.js';
+import { MeasurementPanel } from './ui/MeasurementPanel.js';
+import { GridRenderer } from './graphics/GridRenderer.js';
+import { SnapIndicatorRenderer } from './graphics/SnapIndicatorRenderer.js';
+import { LODRenderer } from './graphics/LODRenderer.js';
+import { Minimap } from './ui/Minimap.js';
+import { CoordinateDisplay } from './ui/CoordinateDisplay.js';
+import { ViewportBookmarks } from './controls/ViewportBookmarks.js';
+import { downloadText, downloadBlob } from './utils/download.js';
+import { convertCalibration, toRealMetrics, toRealLength, toRealArea } from './utils/units.js';
+import { measurePolyline } from './utils/geometry.js';
+import { SCENE_CONFIG, EXPORT_CONFIG, APP_CONFIG } from './utils/constants.js';
 
 export class PixiTool {
-  constructor({ pixiApp, stateManager, graphicsFactory, viewportController, containerId = 'pixi-container', autoStart = false }) {
+  constructor({ pixiApp, stateManager, graphicsFactory, unitIndex, outlineIndex, snapService, viewportController, sceneLoader, sceneSerializer, historyManager, keyboardHandler, vertexEditor, drawingTool, calibrationTool, measureTool, polygonRenderer, svgExporter, pngExporter, inspectorPanel, labelRenderer, selectionRenderer, unitTooltip, clearanceEngine, clearanceRenderer, clearancePanel, geometryAnalytics, geometryPanel, measurementRenderer, measurementPanel, gridRenderer, snapIndicatorRenderer, lodRenderer, minimap, coordinateDisplay, bookmarks, containerId = 'pixi-container', autoStart = false }) {
     this.containerId = containerId;
     this.autoStart = autoStart;
     this.pixiApp = pixiApp;
     this.stateManager = stateManager;
     this.graphicsFactory = graphicsFactory;
+    this.unitIndex = unitIndex;
+    this.outlineIndex = outlineIndex;
+    this.snapService = snapService;
     this.viewportController = viewportController;
+    this.sceneLoader = sceneLoader;
+    this.sceneSerializer = sceneSerializer;
+    this.historyManager = historyManager;
+    this.keyboardHandler = keyboardHandler;
+    this.vertexEditor = vertexEditor;
+    this.drawingTool = drawingTool;
+    this.calibrationTool = calibrationTool;
+    this.measureTool = measureTool;
+    this.polygonRenderer = polygonRenderer;
+    this.svgExporter = svgExporter;
+    this.pngExporter = pngExporter;
+    this.inspectorPanel = inspectorPanel;
+    this.labelRenderer = labelRenderer;
+    this.selectionRenderer = selectionRenderer;
+    this.unitTooltip = unitTooltip;
+    this.clearanceEngine = clearanceEngine;
+    this.clearanceRenderer = clearanceRenderer;
+    this.clearancePanel = clearancePanel;
+    this.geometryAnalytics = geometryAnalytics;
+    this.geometryPanel = geometryPanel;
+    this.measurementRenderer = measurementRenderer;
+    this.measurementPanel = measurementPanel;
+    this.gridRenderer = gridRenderer;
+    this.snapIndicatorRenderer = snapIndicatorRenderer;
+    this.lodRenderer = lodRenderer;
+    this.minimap = minimap;
+    this.coordinateDisplay = coordinateDisplay;
+    this.bookmarks = bookmarks;
   }
 
   /**
@@ -21,16 +87,9 @@ export class PixiTool {
       console.log('PixiJS工具初始化完成！');
       // 1. 初始化核心应用
       this.pixiApp = new PixiApplication(this.containerId, this.autoStart);
-      const app = await this.pixiApp.init();
-      // 2. 初始化状态管理器
-      this.stateManager = new StateManager();
-      // 3. 初始化工厂
-      // 注意:FactoryRenderer 支持依赖注入 PBSRenderer
-      this.graphicsFactory = new FactoryRenderer(app);
-      const factory = this.graphicsFactory.create();
-      this.pixiApp.app.stage.addChild(factory);
-      // 4. 初始化视窗控制器
-      this.viewportController = new ViewportController(app, this.stateManager);
+      await this.pixiApp.init();
+      // 2~6. 创建状态管理器、渲染器、工具和面板（与工厂函数共用）
+      Object.assign(this, createComponents(this.pixiApp, this.containerId));
       // 渲染应用
       if (!this.autoStart) {
         this.pixiApp.render();
@@ -43,6 +102,358 @@ export class PixiTool {
     }
   }
 
+  /**
+   * 加载场景文档，替换当前的厂区和PBS单元
+   * @param {Object|string} doc - 场景文档对象或JSON字符串
+   * @returns {Array} 创建的厂区图形数组
+   */
+  loadScene(doc) {
+    // 正在编辑的厂区将被销毁，先退出编辑/绘制模式
+    this.vertexEditor?.disable();
+    this.drawingTool?.disable();
+    this.calibrationTool?.disable();
+    this.measureTool?.disable();
+    const factories = this.sceneLoader.load(doc);
+    // 旧场景的图形已销毁，历史记录随之失效
+    this.historyManager?.clear();
+    return factories;
+  }
+
+  /**
+   * 从URL加载场景文档
+   * @param {string} url - 场景文档地址
+   * @returns {Promise<Array>} 创建的厂区图形数组
+   */
+  async loadSceneFromUrl(url) {
+    const doc = await SceneLoader.fetchScene(url);
+    return this.loadScene(doc);
+  }
+
+  /**
+   * 撤销上一步操作
+   * @returns {boolean} 是否执行了撤销
+   */
+  undo() {
+    return this.historyManager.undo();
+  }
+
+  /**
+   * 重做上一步撤销的操作
+   * @returns {boolean} 是否执行了重做
+   */
+  redo() {
+    return this.historyManager.redo();
+  }
+
+  /**
+   * 获取当前选中的PBS单元
+   * @returns {Array} PBS单元数组
+   */
+  getSelectedUnits() {
+    return this.stateManager.get('selectedUnits');
+  }
+
+  /**
+   * 选中指定的PBS单元
+   * @param {Array} units - PBS单元数组，空数组表示取消选择
+   */
+  selectUnits(units) {
+    this.stateManager.setSelectedUnits(units);
+  }
+
+  /**
+   * 查找离指定点最近的PBS单元
+   * @param {number} x - 世界坐标X
+   * @param {number} y - 世界坐标Y
+   * @param {number} maxDistance - 最大距离（世界坐标），默认不限
+   * @returns {Object|null} { unit, distance }，范围内没有单元时为 null
+   */
+  findNearestUnit(x, y, maxDistance = Infinity) {
+    return this.unitIndex.nearest(new PIXI.Point(x, y), this.pixiApp.app.stage, { maxDistance });
+  }
+
+  /**
+   * 以动画方式将视窗定位到指定区域或PBS单元
+   * @param {Object|string} target - 世界坐标包围盒 {x, y, width, height} 或PBS单元ID
+   * @param {Object} options - 动画选项，见 ViewportController.flyTo
+   * @returns {boolean} 是否找到目标
+   */
+  flyTo(target, options = {}) {
+    return this.viewportController.flyTo(target, options);
+  }
+
+  /**
+   * 将当前视窗保存为书签
+   * @param {string} name - 书签名称
+   * @param {number|null} slot - 书签编号 1~9，为空时使用第一个空位
+   * @returns {number} 书签编号
+   */
+  saveBookmark(name, slot = null) {
+    return this.bookmarks.save(name, slot);
+  }
+
+  /**
+   * 调出书签，以动画方式定位到书签保存的视窗
+   * @param {number} slot - 书签编号 1~9
+   * @returns {boolean} 书签是否存在
+   */
+  recallBookmark(slot) {
+    return this.bookmarks.recall(slot);
+  }
+
+  /**
+   * 删除书签
+   * @param {number} slot - 书签编号 1~9
+   */
+  removeBookmark(slot) {
+    this.bookmarks.remove(slot);
+  }
+
+  /**
+   * 获取所有书签
+   * @returns {Array} [{ slot, name, center, scale }]
+   */
+  getBookmarks() {
+    return this.bookmarks.list();
+  }
+
+  /**
+   * 设置厂区的PBS拖拽约束规则
+   * @param {string} rule - 'none' 不限制 | 'clamp' 限制在厂区内 | 'snapBack' 松开时退回
+   * @param {PIXI.Graphics} factory - 厂区图形对象，默认为主厂区
+   */
+  setContainmentRule(rule, factory = this.stateManager.get('factoryGraphic')) {
+    this.viewportController.containment.setRule(factory, rule);
+  }
+
+  /**
+   * 获取当前的PBS间距冲突
+   * @returns {Array} 冲突列表 [{ a, b, distance, required }]，按距离从小到大排序
+   */
+  getClearanceViolations() {
+    return this.clearanceEngine.getViolations();
+  }
+
+  /**
+   * 获取厂区轮廓、区域和多边形PBS单元的几何分析结果
+   * 数值为场景坐标单位；场景已标定时 real 为换算后的实际尺寸，否则为 null
+   * @param {string|null} kind - 只返回指定类型 'factory' | 'zone' | 'unit'，为空时返回全部
+   * @returns {Array} 分析结果列表 [{ kind, target, factory, id, name, area, signedArea, perimeter, bounds, orientation, centroid, real }]
+   */
+  getGeometryMetrics(kind = null) {
+    const calibration = this.stateManager.get('calibration');
+    return this.geometryAnalytics.getMetrics(kind).map(entry => ({ ...entry, real: toRealMetrics(entry, calibration) }));
+  }
+
+  /**
+   * 按主厂区轮廓上两点间的已知实际距离标定
+   * @param {Object} a - 第一个点（厂区本地坐标）
+   * @param {Object} b - 第二个点（厂区本地坐标）
+   * @param {number} distance - 两点间的实际距离
+   * @param {string} unit - 单位 'm' | 'ft'，默认为标定工具当前的单位
+   * @returns {Object} 标定 { scale, unit }
+   */
+  calibrate(a, b, distance, unit = this.calibrationTool.unit) {
+    return this.calibrationTool.calibrate(a, b, distance, unit);
+  }
+
+  /**
+   * 获取当前标定
+   * @returns {Object|null} 标定 { scale, unit }，未标定时为 null
+   */
+  getCalibration() {
+    return this.stateManager.get('calibration');
+  }
+
+  /**
+   * 切换显示单位，已有标定按新单位换算（实际尺寸不变）
+   * @param {string} unit - 单位 'm' | 'ft'
+   */
+  setCalibrationUnit(unit) {
+    const calibration = this.stateManager.get('calibration');
+    const converted = calibration ? convertCalibration(calibration, unit) : null;
+    this.calibrationTool.unit = unit;
+    if (converted && converted.unit !== calibration.unit) {
+      this.stateManager.setCalibration(converted);
+    }
+  }
+
+  /**
+   * 清除标定，数值恢复为场景坐标单位
+   */
+  clearCalibration() {
+    this.stateManager.setCalibration(null);
+  }
+
+  /**
+   * 进入/退出测量模式
+   * @returns {boolean} 切换后是否处于测量模式
+   */
+  toggleMeasureMode() {
+    return this.measureTool.toggle();
+  }
+
+  /**
+   * 将当前测量固定为标注
+   * @returns {Object|null} 固定的测量 { id, points }，当前测量不足两个点时为 null
+   */
+  pinMeasurement() {
+    return this.measureTool.pin();
+  }
+
+  /**
+   * 删除已固定的测量
+   * @param {string} id - 测量ID
+   */
+  removeMeasurement(id) {
+    this.stateManager.removeMeasurement(id);
+  }
+
+  /**
+   * 删除全部已固定的测量
+   */
+  clearMeasurements() {
+    this.stateManager.setMeasurements([]);
+  }
+
+  /**
+   * 获取已固定的测量及其数值
+   * 点坐标和数值为主厂区本地坐标（场景单位）；场景已标定时 real 为换算后的实际长度和面积，否则为 null
+   * @returns {Array} [{ id, points, segments, total, angles, area, centroid, real: { unit, segments, total, area } }]
+   */
+  getMeasurements() {
+    const calibration = this.stateManager.get('calibration');
+    return this.stateManager.get('measurements').map(({ id, points }) => {
+      const result = measurePolyline(points);
+      const real = calibration ? {
+        unit: calibration.unit,
+        segments: result.segments.map(length => toRealLength(length, calibration)),
+        total: toRealLength(result.total, calibration),
+        area: result.area !== null ? toRealArea(result.area, calibration) : null
+      } : null;
+      return { id, points, ...result, real };
+    });
+  }
+
+  /**
+   * 切换网格显示
+   * @returns {boolean} 切换后是否显示
+   */
+  toggleGrid() {
+    const visible = !this.stateManager.get('grid').visible;
+    this.stateManager.setGrid({ visible });
+    return visible;
+  }
+
+  /**
+   * 切换网格吸附（PBS拖拽、顶点编辑和区域绘制），按住 Alt 可临时关闭
+   * @returns {boolean} 切换后是否吸附
+   */
+  toggleGridSnap() {
+    const snap = !this.stateManager.get('grid').snap;
+    this.stateManager.setGrid({ snap });
+    return snap;
+  }
+
+  /**
+   * 切换对象吸附（PBS拖拽和顶点编辑吸附到厂区顶点、边中点、垂足和其他单元中心，并与单元中心对齐），按住 Alt 可临时关闭
+   * @returns {boolean} 切换后是否吸附
+   */
+  toggleObjectSnap() {
+    const enabled = !this.stateManager.get('objectSnap');
+    this.stateManager.setObjectSnap(enabled);
+    return enabled;
+  }
+
+  /**
+   * 设置网格吸附间距
+   * @param {number} pitch - 间距，场景已标定时为实际单位，否则为场景坐标单位
+   */
+  setGridPitch(pitch) {
+    if (!(pitch > 0) || !Number.isFinite(pitch)) {
+      throw new Error('网格间距必须是大于0的数值');
+    }
+    this.stateManager.setGrid({ pitch });
+  }
+
+  /**
+   * 获取网格设置
+   * @returns {Object} { visible, snap, pitch }
+   */
+  getGrid() {
+    return { ...this.stateManager.get('grid') };
+  }
+
+  /**
+   * 切换PBS标签显示
+   * @returns {boolean} 切换后是否显示
+   */
+  toggleLabels() {
+    return this.labelRenderer.toggle();
+  }
+
+  /**
+   * 导出当前舞台为场景文档（包含拖拽后的PBS位置）
+   * @returns {Object} 场景文档
+   */
+  exportScene() {
+    return this.sceneSerializer.serialize();
+  }
+
+  /**
+   * 验证场景文档往返无损（在离屏舞台上加载并重新导出，不影响当前场景）
+   * @param {Object|string|null} doc - 场景文档，为空时验证当前舞台的导出结果
+   * @returns {Object} { lossless, differences }
+   */
+  verifySceneRoundTrip(doc = null) {
+    return this.sceneSerializer.verifyRoundTrip(doc);
+  }
+
+  /**
+   * 导出当前舞台并下载为JSON文件
+   * @param {string} filename - 文件名，默认 'scene.json'
+   */
+  downloadScene(filename = 'scene.json') {
+    downloadText(this.sceneSerializer.toJSON(), filename, 'application/json');
+  }
+
+  /**
+   * 导出为SVG矢量图
+   * @param {Object} options - 导出选项，见 SvgExporter.export
+   * @returns {string} SVG文档
+   */
+  exportSVG(options = {}) {
+    return this.svgExporter.export(options);
+  }
+
+  /**
+   * 导出为SVG并下载
+   * @param {string} mode - 'viewport' 当前视窗 | 'scene' 整个场景
+   * @param {string} filename - 文件名，默认 'scene-<mode>.svg'
+   */
+  downloadSVG(mode = EXPORT_CONFIG.DEFAULT_MODE, filename = `scene-${mode}.svg`) {
+    downloadBlob(this.svgExporter.toBlob({ mode }), filename);
+  }
+
+  /**
+   * 按指定DPI分块渲染并导出为PNG
+   * @param {Object} options - 导出选项，见 PngExporter.exportCanvas
+   * @returns {Promise<Blob>} PNG文件内容
+   */
+  exportPNG(options = {}) {
+    return this.pngExporter.export(options);
+  }
+
+  /**
+   * 导出为PNG并下载
+   * @param {Object} options - 导出选项，见 PngExporter.exportCanvas
+   * @param {string} filename - 文件名，默认 'scene-<dpi>dpi.png'
+   */
+  async downloadPNG(options = {}, filename = `scene-${options.dpi || EXPORT_CONFIG.PNG_DEFAULT_DPI}dpi.png`) {
+    const blob = await this.pngExporter.export(options);
+    downloadBlob(blob, filename);
+  }
+
   /**
  * 静态方法：获取工具版本信息
  */
@@ -82,21 +493,27 @@ export class PixiTool {
 }
 
 /**
- * 工厂函数：创建并初始化 PixiTool 实例
- * 步骤：
- * 1. 初始化核心应用（PixiApplication）
+ * 创建 PixiTool 的全部协作对象，由 createPixiTool() 和兼容用法 PixiTool.init() 共用
+ * 步骤（第1步初始化核心应用由调用方完成）：
  * 2. 初始化状态管理器（StateManager）
  * 3. 初始化工厂渲染器（FactoryRenderer），并将工厂对象添加到舞台
- * 4. 初始化视窗控制器（ViewportController）
+ *    传入场景文档时，通过 SceneLoader 按文档构建厂区和PBS单元
+ * 4. 初始化历史管理器（HistoryManager）、PBS单元空间索引（UnitIndex）、厂区轮廓边空间索引（OutlineIndex）、
+ *    吸附服务（SnapService）和视窗控制器（ViewportController）
+ * 5. 初始化顶点编辑器（VertexEditor）、区域绘制工具（DrawingTool）、标定工具（CalibrationTool）、
+ *    测量工具（MeasureTool、MeasurementRenderer）、视窗书签（ViewportBookmarks）和键盘处理器（KeyboardHandler）
+ * 6. 初始化网格渲染器（GridRenderer）、吸附提示渲染器（SnapIndicatorRenderer）、视窗裁剪和细节层次渲染器（LODRenderer）、PNG导出器（PngExporter）、PBS属性面板（InspectorPanel）、
+ *    间距检查（ClearanceEngine、ClearanceRenderer、ClearancePanel）、几何分析（GeometryAnalytics、GeometryPanel）、
+ *    测量面板（MeasurementPanel）、选择高亮（SelectionRenderer）、
+ *    悬停提示框（UnitTooltip）、PBS标签渲染器（LabelRenderer）、小地图（Minimap）和坐标显示（CoordinateDisplay）
  *
+ * @param {PixiApplication} pixiApp - 已初始化的核心应用
  * @param {string} containerId - PixiJS 容器ID
- * @param {boolean} autoStart - 是否自动启动渲染
- * @returns {Promise<PixiTool>} - 初始化完成的 PixiTool 实例
+ * @param {Object|null} scene - 场景文档（可选），为空时使用 constants.js 中的默认配置
+ * @returns {Object} 协作对象，字段与 PixiTool 构造参数同名
  */
-export async function createPixiTool(containerId = 'pixi-container', autoStart = false) {
-  // 1. 初始化核心应用
-  const pixiApp = new PixiApplication(containerId, autoStart);
-  const app = await pixiApp.init();
+function createComponents(pixiApp, containerId, scene = null) {
+  const app = pixiApp.app;
   // 2. 初始化状态管理器
   const stateManager = new StateManager();
   // 3. 初始化工厂渲染器，并添加到舞台
@@ -104,22 +521,133 @@ export async function createPixiTool(containerId = 'pixi-container', autoStart =
   // 默认用法:const graphicsFactory = new FactoryRenderer(app);
   // 自定义用法:const graphicsFactory = new FactoryRenderer(app, customPBSRenderer);
   const graphicsFactory = new FactoryRenderer(app);
-  const factory = graphicsFactory.create();
-  app.stage.addChild(factory);
-  // 设置厂区图形引用到StateManager，消除硬编码假设
-  stateManager.setFactoryGraphic(factory);
+  const polygonRenderer = new PolygonRenderer(app);
+  const sceneLoader = new SceneLoader(app, stateManager, graphicsFactory, polygonRenderer);
+  const sceneSerializer = new SceneSerializer(stateManager);
+  const svgExporter = new SvgExporter(app, stateManager);
+  if (scene) {
+    // 按场景文档构建（内部会设置厂区图形引用）
+    sceneLoader.load(scene);
+  } else {
+    const factory = graphicsFactory.create();
+    app.stage.addChild(factory);
+    // 设置厂区图形引用到StateManager，消除硬编码假设
+    stateManager.setFactoryGraphic(factory);
+  }
   // 渲染应用
-  if (!autoStart) {
+  if (!pixiApp.autoStart) {
     pixiApp.render();
   }
-  // 4. 初始化视窗控制器
-  const viewportController = new ViewportController(app, stateManager);
-  // 组装 PixiTool 实例
-  return new PixiTool({
-    pixiApp,
+  // 4. 初始化历史管理器、PBS单元和厂区轮廓的空间索引、吸附服务和视窗控制器
+  const historyManager = new HistoryManager(app, stateManager);
+  const unitIndex = new UnitIndex(stateManager);
+  const outlineIndex = new OutlineIndex(stateManager);
+  const snapService = new SnapService(app, stateManager, unitIndex, outlineIndex);
+  const viewportController = new ViewportController(app, stateManager, historyManager, null, unitIndex, snapService);
+  // 初始化过程中的状态变化不计入历史
+  historyManager.clear();
+  // 5. 初始化顶点编辑器、区域绘制工具、标定工具、测量工具、视窗书签和键盘处理器
+  const vertexEditor = new VertexEditor(app, stateManager, graphicsFactory, viewportController, historyManager, snapService);
+  const drawingTool = new DrawingTool(app, stateManager, polygonRenderer, viewportController, historyManager, snapService);
+  const calibrationTool = new CalibrationTool(app, stateManager, viewportController);
+  const measurementRenderer = new MeasurementRenderer(app, stateManager);
+  const measureTool = new MeasureTool(app, stateManager, viewportController, measurementRenderer, unitIndex);
+  const bookmarks = new ViewportBookmarks(app, stateManager, viewportController);
+  // 6. 初始化网格渲染器、吸附提示渲染器、视窗裁剪和细节层次渲染器、PNG导出器、PBS属性面板、间距冲突面板、几何分析面板和测量面板（页面中没有面板容器时跳过）、
+  //    间距检查、几何分析、选择高亮、悬停提示框、PBS标签渲染器、小地图和坐标显示
+  // 细节层次渲染器先于标签渲染器创建，每帧先更新单元的 renderable，标签再据此显示
+  const gridRenderer = new GridRenderer(app, stateManager, snapService);
+  const snapIndicatorRenderer = new SnapIndicatorRenderer(app, stateManager);
+  const lodRenderer = new LODRenderer(app, stateManager, viewportController, unitIndex, graphicsFactory);
+  viewportController.setClusterSource(lodRenderer);
+  const pngExporter = new PngExporter(app, stateManager, lodRenderer);
+  const inspectorPanel = document.getElementById('inspector-panel')
+    ? new InspectorPanel(app, stateManager, graphicsFactory.pbsRenderer, historyManager)
+    : null;
+  const clearanceEngine = new ClearanceEngine(stateManager, unitIndex);
+  const clearanceRenderer = new ClearanceRenderer(app, stateManager, clearanceEngine);
+  const clearancePanel = document.getElementById('clearance-panel')
+    ? new ClearancePanel(stateManager)
+    : null;
+  const geometryAnalytics = new GeometryAnalytics(stateManager);
+  const geometryPanel = document.getElementById('geometry-panel')
+    ? new GeometryPanel(app, stateManager, geometryAnalytics)
+    : null;
+  const measurementPanel = document.getElementById('measurement-panel')
+    ? new MeasurementPanel(stateManager)
+    : null;
+  const selectionRenderer = new SelectionRenderer(app, stateManager);
+  const unitTooltip = new UnitTooltip(stateManager);
+  const labelRenderer = new LabelRenderer(app, stateManager);
+  const minimap = new Minimap(app, stateManager, viewportController, historyManager, containerId);
+  const coordinateDisplay = new CoordinateDisplay(app, stateManager, viewportController, containerId);
+  const keyboardHandler = new KeyboardHandler();
+  keyboardHandler.setup({
+    viewport: viewportController,
+    history: historyManager,
+    vertexEditor,
+    drawingTool,
+    calibrationTool,
+    measureTool,
+    bookmarks
+  });
+  return {
     stateManager,
     graphicsFactory,
+    unitIndex,
+    outlineIndex,
+    snapService,
     viewportController,
+    sceneLoader,
+    sceneSerializer,
+    historyManager,
+    keyboardHandler,
+    vertexEditor,
+    drawingTool,
+    calibrationTool,
+    measureTool,
+    polygonRenderer,
+    svgExporter,
+    pngExporter,
+    inspectorPanel,
+    labelRenderer,
+    selectionRenderer,
+    unitTooltip,
+    clearanceEngine,
+    clearanceRenderer,
+    clearancePanel,
+    geometryAnalytics,
+    geometryPanel,
+    measurementRenderer,
+    measurementPanel,
+    gridRenderer,
+    snapIndicatorRenderer,
+    lodRenderer,
+    minimap,
+    coordinateDisplay,
+    bookmarks
+  };
+}
+
+/**
+ * 工厂函数：创建并初始化 PixiTool 实例
+ * 步骤：
+ * 1. 初始化核心应用（PixiApplication）
+ * 2. 通过 createComponents() 创建状态管理器、渲染器、工具和面板
+ *
+ * @param {string} containerId - PixiJS 容器ID
+ * @param {boolean} autoStart - 是否自动启动渲染
+ * @param {Object|null} scene - 场景文档（可选），为空时使用 constants.js 中的默认配置
+ * @returns {Promise<PixiTool>} - 初始化完成的 PixiTool 实例
+ */
+export async function createPixiTool(containerId = 'pixi-container', autoStart = false, scene = null) {
+  // 1. 初始化核心应用
+  const pixiApp = new PixiApplication(containerId, autoStart);
+  await pixiApp.init();
+  // 组装 PixiTool 实例
+  return new PixiTool({
+    pixiApp,
+    ...createComponents(pixiApp, containerId, scene),
     containerId,
     autoStart
   });
@@ -145,7 +673,10 @@ if (typeof window !== 'undefined') {
     try {
       console.log('PixiJS v8 已成功加载！');
       console.log('版本信息:', PixiTool.getVersion());
-      const pixiTool = await createPixiTool();
+      // 支持通过URL参数指定场景文档，例如 ?scene=./pixiv8-my/scenes/default-scene.json
+      const sceneUrl = new URLSearchParams(window.location.search).get(SCENE_CONFIG.URL_PARAM);
+      const scene = sceneUrl ? await SceneLoader.fetchScene(sceneUrl) : null;
+      const pixiTool = await createPixiTool('pixi-container', false, scene);
       // 将实例暴露到全局，便于调试和外部访问
       window.pixiTool = pixiTool;
       console.log('工具已挂载到 window.pixiTool，您可以在控制台中使用它');
@@ -182,6 +713,218 @@ if (typeof window !== 'undefined') {
       } else {
         console.warn('未找到PBS移动切换按钮元素');
       }
+
+      // 添加撤销/重做按钮的事件监听器
+      const undoBtn = document.getElementById('undo-btn');
+      const redoBtn = document.getElementById('redo-btn');
+      if (undoBtn && redoBtn) {
+        undoBtn.addEventListener('click', () => pixiTool.undo());
+        redoBtn.addEventListener('click', () => pixiTool.redo());
+        const updateHistoryButtons = ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+          undoBtn.disabled = !canUndo;
+          redoBtn.disabled = !canRedo;
+          undoBtn.title = canUndo ? `撤销: ${undoLabel}` : '';
+          redoBtn.title = canRedo ? `重做: ${redoLabel}` : '';
+        };
+        pixiTool.historyManager.subscribe(updateHistoryButtons);
+        updateHistoryButtons({ canUndo: false, canRedo: false });
+        console.log('撤销/重做按钮事件监听器已添加');
+      }
+
+      // 添加厂区轮廓编辑按钮的事件监听器
+      const vertexEditToggleBtn = document.getElementById('vertex-edit-toggle-btn');
+      if (vertexEditToggleBtn) {
+        vertexEditToggleBtn.addEventListener('click', () => {
+          pixiTool.vertexEditor.toggle();
+        });
+        // 工具可能被其他工具替换，按钮状态跟随 activeTool
+        pixiTool.stateManager.subscribe((newState, oldState) => {
+          if (newState.activeTool !== oldState.activeTool) {
+            const isEditing = newState.activeTool === pixiTool.vertexEditor.name;
+            vertexEditToggleBtn.textContent = isEditing ? '完成轮廓编辑' : '编辑厂区轮廓';
+            vertexEditToggleBtn.style.backgroundColor = isEditing ? '#dc3545' : '';
+            pixiTool.pixiApp.app.canvas.style.cursor = newState.activeTool
+              ? 'crosshair'
+              : (newState.pbsMoveable ? APP_CONFIG.CURSOR_POINTER : APP_CONFIG.CURSOR_GRAB);
+          }
+        });
+        console.log('厂区轮廓编辑按钮事件监听器已添加');
+      }
+
+      // 添加PBS标签切换按钮的事件监听器
+      const labelToggleBtn = document.getElementById('label-toggle-btn');
+      if (labelToggleBtn) {
+        labelToggleBtn.addEventListener('click', () => {
+          const isShowing = pixiTool.toggleLabels();
+          labelToggleBtn.textContent = isShowing ? '隐藏标签' : '显示标签';
+        });
+        console.log('PBS标签切换按钮事件监听器已添加');
+      }
+
+      // 添加区域绘制按钮和区域类型选择框的事件监听器
+      const drawZoneToggleBtn = document.getElementById('draw-zone-toggle-btn');
+      const zoneTypeSelect = document.getElementById('zone-type-select');
+      if (drawZoneToggleBtn) {
+        drawZoneToggleBtn.addEventListener('click', () => {
+          pixiTool.drawingTool.toggle();
+        });
+        if (zoneTypeSelect) {
+          zoneTypeSelect.addEventListener('change', () => {
+            pixiTool.drawingTool.zoneType = zoneTypeSelect.value;
+            pixiTool.drawingTool.drawPreview();
+          });
+        }
+        pixiTool.stateManager.subscribe((newState, oldState) => {
+          if (newState.activeTool !== oldState.activeTool) {
+            const isDrawing = newState.activeTool === pixiTool.drawingTool.name;
+            drawZoneToggleBtn.textContent = isDrawing ? '完成区域绘制' : '绘制区域';
+            drawZoneToggleBtn.style.backgroundColor = isDrawing ? '#dc3545' : '';
+          }
+        });
+        console.log('区域绘制按钮事件监听器已添加');
+      }
+
+      // 添加标定按钮和单位选择框的事件监听器
+      const calibrateToggleBtn = document.getElementById('calibrate-toggle-btn');
+      const calibrationUnitSelect = document.getElementById('calibration-unit-select');
+      if (calibrateToggleBtn) {
+        calibrateToggleBtn.addEventListener('click', () => {
+          pixiTool.calibrationTool.toggle();
+        });
+        pixiTool.stateManager.subscribe((newState, oldState) => {
+          if (newState.activeTool !== oldState.activeTool) {
+            const isCalibrating = newState.activeTool === pixiTool.calibrationTool.name;
+            calibrateToggleBtn.textContent = isCalibrating ? '取消标定' : '标定比例';
+            calibrateToggleBtn.style.backgroundColor = isCalibrating ? '#dc3545' : '';
+          }
+        });
+        console.log('标定按钮事件监听器已添加');
+      }
+      if (calibrationUnitSelect) {
+        calibrationUnitSelect.addEventListener('change', () => {
+          pixiTool.setCalibrationUnit(calibrationUnitSelect.value);
+        });
+        // 加载的场景可能使用其他单位
+        pixiTool.stateManager.subscribe((newState, oldState) => {
+          if (newState.calibration !== oldState.calibration && newState.calibration) {
+            calibrationUnitSelect.value = newState.calibration.unit;
+            pixiTool.calibrationTool.unit = newState.calibration.unit;
+          }
+        });
+      }
+
+      // 添加测量按钮和固定测量按钮的事件监听器
+      const measureToggleBtn = document.getElementById('measure-toggle-btn');
+      const measurePinBtn = document.getElementById('measure-pin-btn');
+      if (measureToggleBtn) {
+        measureToggleBtn.addEventListener('click', () => {
+          pixiTool.toggleMeasureMode();
+        });
+        if (measurePinBtn) {
+          measurePinBtn.disabled = true;
+          measurePinBtn.addEventListener('click', () => {
+            pixiTool.pinMeasurement();
+          });
+        }
+        pixiTool.stateManager.subscribe((newState, oldState) => {
+          if (newState.activeTool !== oldState.activeTool) {
+            const isMeasuring = newState.activeTool === pixiTool.measureTool.name;
+            measureToggleBtn.textContent = isMeasuring ? '退出测量' : '测量';
+            measureToggleBtn.style.backgroundColor = isMeasuring ? '#dc3545' : '';
+            if (measurePinBtn) {
+              measurePinBtn.disabled = !isMeasuring;
+            }
+          }
+        });
+        console.log('测量按钮事件监听器已添加');
+      }
+
+      // 添加网格显示、网格吸附、对象吸附按钮和吸附间距输入框的事件监听器
+      const gridToggleBtn = document.getElementById('grid-toggle-btn');
+      const gridSnapToggleBtn = document.getElementById('grid-snap-toggle-btn');
+      const objectSnapToggleBtn = document.getElementById('object-snap-toggle-btn');
+      const gridPitchInput = document.getElementById('grid-pitch-input');
+      if (gridToggleBtn) {
+        gridToggleBtn.addEventListener('click', () => {
+          const isShowing = pixiTool.toggleGrid();
+          gridToggleBtn.textContent = isShowing ? '隐藏网格' : '显示网格';
+        });
+      }
+      if (gridSnapToggleBtn) {
+        gridSnapToggleBtn.addEventListener('click', () => {
+          const isSnapping = pixiTool.toggleGridSnap();
+          gridSnapToggleBtn.textContent = isSnapping ? '关闭网格吸附' : '网格吸附';
+          gridSnapToggleBtn.style.backgroundColor = isSnapping ? '#dc3545' : '';
+        });
+      }
+      if (objectSnapToggleBtn) {
+        objectSnapToggleBtn.addEventListener('click', () => {
+          const isSnapping = pixiTool.toggleObjectSnap();
+          objectSnapToggleBtn.textContent = isSnapping ? '关闭对象吸附' : '对象吸附';
+          objectSnapToggleBtn.style.backgroundColor = isSnapping ? '#dc3545' : '';
+        });
+      }
+      if (gridPitchInput) {
+        gridPitchInput.value = pixiTool.getGrid().pitch;
+        gridPitchInput.addEventListener('change', () => {
+          try {
+            pixiTool.setGridPitch(Number(gridPitchInput.value));
+          } catch (error) {
+            console.warn(error.message);
+            gridPitchInput.value = pixiTool.getGrid().pitch;
+          }
+        });
+      }
+      console.log('网格按钮事件监听器已添加');
+
+      // 快捷键说明由 KeyboardHandler 提供，避免与页面提示重复维护
+      const shortcutHelpList = document.getElementById('shortcut-help');
+      if (shortcutHelpList) {
+        pixiTool.keyboardHandler.getShortcutHelp().forEach(({ key, description }) => {
+          const item = document.createElement('li');
+          const keyElement = document.createElement('kbd');
+          keyElement.textContent = key;
+          item.append(keyElement, `：${description}`);
+          shortcutHelpList.appendChild(item);
+        });
+      }
+
+      // 添加导出场景按钮的事件监听器
+      const sceneExportBtn = document.getElementById('scene-export-btn');
+      if (sceneExportBtn) {
+        sceneExportBtn.addEventListener('click', () => {
+          pixiTool.downloadScene();
+        });
+        console.log('导出场景按钮事件监听器已添加');
+      }
+
+      // 添加SVG导出按钮的事件监听器
+      const svgExportViewportBtn = document.getElementById('svg-export-viewport-btn');
+      const svgExportSceneBtn = document.getElementById('svg-export-scene-btn');
+      if (svgExportViewportBtn && svgExportSceneBtn) {
+        svgExportViewportBtn.addEventListener('click', () => pixiTool.downloadSVG('viewport'));
+        svgExportSceneBtn.addEventListener('click', () => pixiTool.downloadSVG('scene'));
+        console.log('SVG导出按钮事件监听器已添加');
+      }
+
+      // 添加PNG导出按钮的事件监听器
+      const pngExportBtn = document.getElementById('png-export-btn');
+      const pngDpiSelect = document.getElementById('png-dpi-select');
+      if (pngExportBtn) {
+        pngExportBtn.addEventListener('click', async () => {
+          const dpi = pngDpiSelect ? Number(pngDpiSelect.value) : EXPORT_CONFIG.PNG_DEFAULT_DPI;
+          pngExportBtn.disabled = true;
+          try {
+            await pixiTool.downloadPNG({ dpi });
+          } catch (error) {
+            console.error('PNG导出失败:', error);
+            alert('PNG导出失败: ' + error.message);
+          } finally {
+            pngExportBtn.disabled = false;
+          }
+        });
+        console.log('PNG导出按钮事件监听器已添加');
+      }
     } catch (error) {
       console.error('初始化失败:', error);
       alert('初始化失败: ' + error.message);
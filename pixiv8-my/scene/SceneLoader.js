@@ -0,0 +1,123 @@
+/**
+ * 场景加载器
+ * 负责读取场景JSON文档，校验后通过 FactoryRenderer / PBSRenderer 构建舞台
+ */
+
+import { assertValidScene } from './SceneSchema.js';
+import { PolygonRenderer } from '../graphics/PolygonRenderer.js';
+
+export class SceneLoader {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {FactoryRenderer} factoryRenderer - 厂区渲染器（内部持有 PBSRenderer）
+   * @param {PolygonRenderer} polygonRenderer - 多边形渲染器（可选，支持依赖注入），用于创建区域
+   */
+  constructor(app, stateManager, factoryRenderer, polygonRenderer = null) {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.factoryRenderer = factoryRenderer;
+    this.polygonRenderer = polygonRenderer || new PolygonRenderer(app);
+  }
+
+  /**
+   * 从URL获取场景文档
+   * @param {string} url - 场景文档地址
+   * @returns {Promise<Object>} 解析后的JSON对象（未校验）
+   */
+  static async fetchScene(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`场景文档加载失败: ${url} (${response.status} ${response.statusText})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * 从URL加载场景
+   * @param {string} url - 场景文档地址
+   * @returns {Promise<Array>} 创建的厂区图形数组
+   */
+  async loadFromUrl(url) {
+    const doc = await SceneLoader.fetchScene(url);
+    return this.load(doc);
+  }
+
+  /**
+   * 加载场景文档，替换舞台上现有的厂区
+   * 校验失败时抛出 SceneValidationError，此时舞台保持不变
+   * @param {Object|string} doc - 场景文档对象或JSON字符串
+   * @returns {Array} 创建的厂区图形数组
+   */
+  load(doc) {
+    const source = typeof doc === 'string' ? JSON.parse(doc) : doc;
+    const scene = assertValidScene(source);
+
+    // 移除旧厂区
+    this.clear();
+
+    // 逐个创建厂区（不单独缩放，稍后统一布局）
+    const factories = scene.factories.map(factoryDoc => this.factoryRenderer.create({
+      id: factoryDoc.id,
+      name: factoryDoc.name,
+      points: factoryDoc.outline,
+      color: factoryDoc.style.fillColor,
+      strokeColor: factoryDoc.style.strokeColor,
+      strokeWidth: factoryDoc.style.strokeWidth,
+      containment: factoryDoc.containment,
+      buildings: factoryDoc.buildings,
+      pbsData: factoryDoc.units,
+      autoFit: false
+    }));
+
+    this.factoryRenderer.layoutFactories(factories);
+
+    // 创建区域
+    const zones = [];
+    scene.factories.forEach((factoryDoc, i) => {
+      factoryDoc.zones.forEach(zoneData => {
+        const zone = this.polygonRenderer.createZone(zoneData);
+        this.polygonRenderer.addZoneToFactory(factories[i], zone);
+        zones.push(zone);
+      });
+    });
+
+    factories.forEach(factory => this.app.stage.addChild(factory));
+
+    // 更新状态，第一个厂区作为主厂区
+    this.stateManager.setFactoryGraphics(factories);
+    this.stateManager.setZones(zones);
+    this.stateManager.setCalibration(scene.calibration);
+    this.stateManager.setScene({ version: scene.version, name: scene.name });
+
+    if (!this.app.autoStart) {
+      this.app.render();
+    }
+
+    console.log(`场景加载完成: ${scene.name || '未命名场景'}，共 ${factories.length} 个厂区`);
+
+    return factories;
+  }
+
+  /**
+   * 移除并销毁当前场景中的所有厂区
+   */
+  clear() {
+    const factories = this.stateManager.getFactoryGraphics();
+    factories.forEach(factory => {
+      if (factory.parent) {
+        factory.parent.removeChild(factory);
+      }
+      factory.destroy({ children: true });
+    });
+    this.stateManager.setFactoryGraphics([]);
+    this.stateManager.setZones([]);
+    // 测量以主厂区本地坐标记录，随旧厂区一起失效
+    if (this.stateManager.get('measurements').length > 0) {
+      this.stateManager.setMeasurements([]);
+    }
+    this.stateManager.setSelectedUnits([]);
+    this.stateManager.setHoveredUnit(null);
+  }
+}
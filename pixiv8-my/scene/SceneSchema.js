@@ -0,0 +1,489 @@
+/**
+ * 场景文档格式定义与校验
+ * 负责校验场景JSON文档，并将其规范化为渲染器可直接使用的数据
+ *
+ * 文档结构（版本 1）：
+ * {
+ *   version: 1,
+ *   name: '一号工厂',
+ *   calibration: { scale: 0.05, unit: 'm' },   // 可选，实际长度 = 场景长度 × scale，unit 为 'm' | 'ft'
+ *   factories: [{
+ *     id: 'factory-1',
+ *     name: '主厂区',
+ *     style: { fillColor: '#8B4513', strokeColor: '#000000', strokeWidth: 2 },
+ *     containment: 'clamp',          // PBS拖拽约束：'none' | 'clamp' | 'snapBack'，默认 'clamp'
+ *     outline: [{ x, y }, ...],
+ *     buildings: [{ id, name, x, y, width, height, fillColor, strokeColor, strokeWidth }],
+ *     units: [{ id, name, equipmentType, owner, commissionedAt, properties,
+ *               x, y, color, shape, size, points, rotation }],
+ *     zones: [{ id, name, type, color, points }]
+ *   }]
+ * }
+ *
+ * 颜色既可以写成数字（0x8B4513 的十进制值），也可以写成 '#8B4513' / '0x8B4513' 字符串。
+ * 坐标均为厂区本地坐标（场景坐标），与 FACTORY_POINTS / PBS_DATA 使用的坐标系一致。
+ */
+
+import { GRAPHICS_CONFIG, SCENE_CONFIG, ZONE_CONFIG, PBS_ATTRIBUTES, CONTAINMENT_CONFIG, CALIBRATION_CONFIG } from '../utils/constants.js';
+
+/**
+ * 场景文档校验错误
+ * errors 中的每一项为 { path, message }，path 形如 'factories[0].units[2].color'
+ */
+export class SceneValidationError extends Error {
+  constructor(errors) {
+    const summary = errors.slice(0, 5).map(e => `${e.path}: ${e.message}`).join('; ');
+    const more = errors.length > 5 ? ` 等共 ${errors.length} 处错误` : '';
+    super(`场景文档校验失败: ${summary}${more}`);
+    this.name = 'SceneValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 解析颜色值
+ * @param {number|string} value - 颜色值
+ * @returns {number|null} 颜色数值，无法解析时返回null
+ */
+export function parseColor(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= 0xffffff ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(?:#|0x)([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  let hex = match[1];
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  return parseInt(hex, 16);
+}
+
+/**
+ * 将颜色数值格式化为 '#rrggbb' 字符串
+ * @param {number} color - 颜色数值
+ * @returns {string} 颜色字符串
+ */
+export function formatColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * 校验并规范化单个PBS业务属性（定义见 constants.js 中的 PBS_ATTRIBUTES）
+ * undefined、null 和空字符串均视为未填写，规范化为 null
+ * @param {Object} field - 属性定义 {key, label, type, options?}
+ * @param {*} value - 属性值
+ * @returns {Object} { value, error } - error 为 null 表示校验通过
+ */
+export function validateAttribute(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null, error: null };
+  }
+  if (typeof value !== 'string') {
+    return { value: null, error: '必须是字符串' };
+  }
+
+  if (field.type === 'enum' && !Object.prototype.hasOwnProperty.call(field.options, value)) {
+    return { value: null, error: `必须是 ${Object.keys(field.options).join(' / ')} 之一` };
+  }
+
+  if (field.type === 'date') {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+    if (!date || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+      return { value: null, error: `无效的日期 ${JSON.stringify(value)}，应为 YYYY-MM-DD` };
+    }
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * 校验并规范化PBS自由属性
+ * @param {*} properties - 自由属性对象
+ * @returns {Object} { value, error } - value 为属性副本，未指定时为空对象
+ */
+export function validateProperties(properties) {
+  if (properties === undefined || properties === null) {
+    return { value: {}, error: null };
+  }
+  if (!isPlainObject(properties)) {
+    return { value: {}, error: '必须是对象' };
+  }
+
+  const value = {};
+  for (const [key, item] of Object.entries(properties)) {
+    if (!['string', 'number', 'boolean'].includes(typeof item) ||
+        (typeof item === 'number' && !Number.isFinite(item))) {
+      return { value: {}, error: `属性 "${key}" 的值必须是字符串、数值或布尔值` };
+    }
+    value[key] = item;
+  }
+  return { value, error: null };
+}
+
+/**
+ * 校验场景文档
+ * 不抛出异常，所有问题都收集到 errors 中
+ * @param {Object} doc - 场景文档（已解析的JSON对象）
+ * @returns {Object} { valid, errors, scene } - scene 为规范化后的文档，校验失败时为null
+ */
+export function validateScene(doc) {
+  const errors = [];
+  const error = (path, message) => errors.push({ path, message });
+
+  if (!isPlainObject(doc)) {
+    error('', '场景文档必须是对象');
+    return { valid: false, errors, scene: null };
+  }
+
+  if (doc.version === undefined) {
+    error('version', '缺少版本号');
+  } else if (doc.version !== SCENE_CONFIG.VERSION) {
+    error('version', `不支持的版本 ${JSON.stringify(doc.version)}，当前仅支持版本 ${SCENE_CONFIG.VERSION}`);
+  }
+
+  if (doc.name !== undefined && typeof doc.name !== 'string') {
+    error('name', '必须是字符串');
+  }
+
+  const scene = {
+    version: SCENE_CONFIG.VERSION,
+    name: typeof doc.name === 'string' ? doc.name : null,
+    calibration: validateCalibration(doc.calibration, 'calibration', error),
+    factories: []
+  };
+
+  if (!Array.isArray(doc.factories) || doc.factories.length === 0) {
+    error('factories', '至少需要一个厂区');
+  } else {
+    const factoryIds = new Set();
+    const unitIds = new Set();
+
+    doc.factories.forEach((factory, i) => {
+      const normalized = validateFactory(factory, `factories[${i}]`, error, factoryIds, unitIds);
+      if (normalized) {
+        scene.factories.push(normalized);
+      }
+    });
+  }
+
+  const valid = errors.length === 0;
+  return { valid, errors, scene: valid ? scene : null };
+}
+
+/**
+ * 校验场景文档，失败时抛出 SceneValidationError
+ * @param {Object} doc - 场景文档
+ * @returns {Object} 规范化后的场景文档
+ */
+export function assertValidScene(doc) {
+  const { valid, errors, scene } = validateScene(doc);
+  if (!valid) {
+    throw new SceneValidationError(errors);
+  }
+  return scene;
+}
+
+/**
+ * 校验单个厂区
+ */
+function validateFactory(factory, path, error, factoryIds, unitIds) {
+  if (!isPlainObject(factory)) {
+    error(path, '厂区必须是对象');
+    return null;
+  }
+
+  if (!isNonEmptyString(factory.id)) {
+    error(`${path}.id`, '必须是非空字符串');
+  } else if (factoryIds.has(factory.id)) {
+    error(`${path}.id`, `厂区ID "${factory.id}" 重复`);
+  } else {
+    factoryIds.add(factory.id);
+  }
+
+  if (factory.name !== undefined && typeof factory.name !== 'string') {
+    error(`${path}.name`, '必须是字符串');
+  }
+
+  const outline = validatePoints(factory.outline, `${path}.outline`, error);
+
+  const style = factory.style === undefined ? {} : factory.style;
+  if (!isPlainObject(style)) {
+    error(`${path}.style`, '必须是对象');
+  }
+  const fillColor = optionalColor(style.fillColor, `${path}.style.fillColor`, error, GRAPHICS_CONFIG.FACTORY_FILL_COLOR);
+  const strokeColor = optionalColor(style.strokeColor, `${path}.style.strokeColor`, error, GRAPHICS_CONFIG.FACTORY_STROKE_COLOR);
+  const strokeWidth = optionalNonNegative(style.strokeWidth, `${path}.style.strokeWidth`, error, GRAPHICS_CONFIG.STROKE_WIDTH);
+
+  let containment = CONTAINMENT_CONFIG.DEFAULT_RULE;
+  if (factory.containment !== undefined) {
+    if (!CONTAINMENT_CONFIG.RULES.includes(factory.containment)) {
+      error(`${path}.containment`, `必须是 ${CONTAINMENT_CONFIG.RULES.join(' / ')} 之一`);
+    } else {
+      containment = factory.containment;
+    }
+  }
+
+  const buildings = [];
+  if (factory.buildings !== undefined) {
+    if (!Array.isArray(factory.buildings)) {
+      error(`${path}.buildings`, '必须是数组');
+    } else {
+      factory.buildings.forEach((building, j) => {
+        const normalized = validateBuilding(building, `${path}.buildings[${j}]`, error);
+        if (normalized) buildings.push(normalized);
+      });
+    }
+  }
+
+  const units = [];
+  if (factory.units !== undefined) {
+    if (!Array.isArray(factory.units)) {
+      error(`${path}.units`, '必须是数组');
+    } else {
+      factory.units.forEach((unit, j) => {
+        const normalized = validateUnit(unit, `${path}.units[${j}]`, error, unitIds);
+        if (normalized) units.push(normalized);
+      });
+    }
+  }
+
+  const zones = [];
+  if (factory.zones !== undefined) {
+    if (!Array.isArray(factory.zones)) {
+      error(`${path}.zones`, '必须是数组');
+    } else {
+      factory.zones.forEach((zone, j) => {
+        const normalized = validateZone(zone, `${path}.zones[${j}]`, error);
+        if (normalized) zones.push(normalized);
+      });
+    }
+  }
+
+  return {
+    id: factory.id,
+    name: typeof factory.name === 'string' ? factory.name : null,
+    style: { fillColor, strokeColor, strokeWidth },
+    containment,
+    outline,
+    buildings,
+    units,
+    zones
+  };
+}
+
+/**
+ * 校验厂区内部建筑（矩形）
+ */
+function validateBuilding(building, path, error) {
+  if (!isPlainObject(building)) {
+    error(path, '建筑必须是对象');
+    return null;
+  }
+
+  const normalized = {
+    id: optionalString(building.id, `${path}.id`, error),
+    name: optionalString(building.name, `${path}.name`, error),
+    x: requiredNumber(building.x, `${path}.x`, error),
+    y: requiredNumber(building.y, `${path}.y`, error),
+    width: requiredPositive(building.width, `${path}.width`, error),
+    height: requiredPositive(building.height, `${path}.height`, error),
+    fillColor: requiredColor(building.fillColor, `${path}.fillColor`, error),
+    strokeColor: optionalColor(building.strokeColor, `${path}.strokeColor`, error, GRAPHICS_CONFIG.BUILDING_STROKE_COLOR),
+    strokeWidth: optionalNonNegative(building.strokeWidth, `${path}.strokeWidth`, error, GRAPHICS_CONFIG.BUILDING_STROKE_WIDTH)
+  };
+
+  return normalized;
+}
+
+/**
+ * 校验PBS单元
+ */
+function validateUnit(unit, path, error, unitIds) {
+  if (!isPlainObject(unit)) {
+    error(path, 'PBS单元必须是对象');
+    return null;
+  }
+
+  const id = optionalString(unit.id, `${path}.id`, error);
+  if (id !== null) {
+    if (unitIds.has(id)) {
+      error(`${path}.id`, `PBS单元ID "${id}" 重复`);
+    } else {
+      unitIds.add(id);
+    }
+  }
+
+  if (!SCENE_CONFIG.PBS_SHAPES.includes(unit.shape)) {
+    error(`${path}.shape`, `必须是 ${SCENE_CONFIG.PBS_SHAPES.join(' / ')} 之一`);
+  }
+
+  const normalized = { id };
+
+  // 业务属性
+  PBS_ATTRIBUTES.forEach(field => {
+    const result = validateAttribute(field, unit[field.key]);
+    if (result.error) {
+      error(`${path}.${field.key}`, result.error);
+    }
+    normalized[field.key] = result.value;
+  });
+  const properties = validateProperties(unit.properties);
+  if (properties.error) {
+    error(`${path}.properties`, properties.error);
+  }
+  normalized.properties = properties.value;
+
+  Object.assign(normalized, {
+    x: requiredNumber(unit.x, `${path}.x`, error),
+    y: requiredNumber(unit.y, `${path}.y`, error),
+    color: requiredColor(unit.color, `${path}.color`, error),
+    shape: unit.shape,
+    size: requiredPositive(unit.size, `${path}.size`, error),
+    rotation: unit.rotation === undefined ? 0 : requiredNumber(unit.rotation, `${path}.rotation`, error)
+  });
+
+  if (unit.shape === 'polygon') {
+    normalized.points = validatePoints(unit.points, `${path}.points`, error);
+  } else if (unit.points !== undefined) {
+    error(`${path}.points`, '仅 polygon 形状可以指定顶点');
+  }
+
+  return normalized;
+}
+
+/**
+ * 校验区域（危险区域、扩建用地等）
+ */
+function validateZone(zone, path, error) {
+  if (!isPlainObject(zone)) {
+    error(path, '区域必须是对象');
+    return null;
+  }
+
+  const types = Object.keys(ZONE_CONFIG.TYPES);
+  let type = ZONE_CONFIG.DEFAULT_TYPE;
+  if (zone.type !== undefined) {
+    if (types.includes(zone.type)) {
+      type = zone.type;
+    } else {
+      error(`${path}.type`, `必须是 ${types.join(' / ')} 之一`);
+    }
+  }
+
+  return {
+    id: optionalString(zone.id, `${path}.id`, error),
+    name: optionalString(zone.name, `${path}.name`, error),
+    type,
+    color: optionalColor(zone.color, `${path}.color`, error, ZONE_CONFIG.TYPES[type].color),
+    points: validatePoints(zone.points, `${path}.points`, error)
+  };
+}
+
+/**
+ * 校验顶点数组（至少3个顶点）
+ */
+function validatePoints(points, path, error) {
+  if (!Array.isArray(points)) {
+    error(path, '必须是顶点数组');
+    return [];
+  }
+  if (points.length < 3) {
+    error(path, `至少需要3个顶点，当前为 ${points.length} 个`);
+  }
+
+  return points.map((point, k) => {
+    if (!isPlainObject(point)) {
+      error(`${path}[${k}]`, '顶点必须是 {x, y} 对象');
+      return { x: 0, y: 0 };
+    }
+    return {
+      x: requiredNumber(point.x, `${path}[${k}].x`, error),
+      y: requiredNumber(point.y, `${path}[${k}].y`, error)
+    };
+  });
+}
+
+/**
+ * 校验实际尺寸标定，未标定时为 null
+ */
+function validateCalibration(calibration, path, error) {
+  if (calibration === undefined || calibration === null) return null;
+  if (!isPlainObject(calibration)) {
+    error(path, '必须是对象');
+    return null;
+  }
+
+  const scale = requiredPositive(calibration.scale, `${path}.scale`, error);
+  const units = Object.keys(CALIBRATION_CONFIG.UNITS);
+  if (!units.includes(calibration.unit)) {
+    error(`${path}.unit`, `必须是 ${units.join(' / ')} 之一`);
+    return null;
+  }
+  return { scale, unit: calibration.unit };
+}
+
+// ---------- 字段校验辅助函数 ----------
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function requiredNumber(value, path, error) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    error(path, '必须是有限数值');
+    return 0;
+  }
+  return value;
+}
+
+function requiredPositive(value, path, error) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    error(path, '必须是大于0的数值');
+    return 1;
+  }
+  return value;
+}
+
+function optionalNonNegative(value, path, error, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    error(path, '必须是不小于0的数值');
+    return defaultValue;
+  }
+  return value;
+}
+
+function optionalString(value, path, error) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    error(path, '必须是字符串');
+    return null;
+  }
+  return value;
+}
+
+function requiredColor(value, path, error) {
+  if (value === undefined) {
+    error(path, '缺少颜色');
+    return 0;
+  }
+  const color = parseColor(value);
+  if (color === null) {
+    error(path, `无法解析的颜色 ${JSON.stringify(value)}，应为 '#rrggbb' 或 0~0xffffff 的整数`);
+    return 0;
+  }
+  return color;
+}
+
+function optionalColor(value, path, error, defaultValue) {
+  if (value === undefined) return defaultValue;
+  return requiredColor(value, path, error);
+}
@@ -0,0 +1,250 @@
+/**
+ * 场景序列化器
+ * 负责将舞台上的厂区和PBS单元导出为场景JSON文档（格式见 SceneSchema.js）
+ */
+
+import { validateScene, formatColor } from './SceneSchema.js';
+import { SCENE_CONFIG, PBS_ATTRIBUTES, CONTAINMENT_CONFIG } from '../utils/constants.js';
+import { SceneLoader } from './SceneLoader.js';
+import { StateManager } from '../core/StateManager.js';
+import { FactoryRenderer } from '../graphics/FactoryRenderer.js';
+
+export class SceneSerializer {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * 导出当前舞台为场景文档
+   * PBS单元的位置和旋转直接读取图形对象，因此包含拖拽后的最新位置
+   * @returns {Object} 场景文档
+   */
+  serialize() {
+    const scene = this.stateManager.get('scene');
+    const factories = this.stateManager.getFactoryGraphics();
+
+    const doc = {
+      version: SCENE_CONFIG.VERSION,
+      factories: factories.map((factory, i) => this.serializeFactory(factory, i))
+    };
+
+    if (scene && scene.name) {
+      doc.name = scene.name;
+    }
+
+    const calibration = this.stateManager.get('calibration');
+    if (calibration) {
+      doc.calibration = { scale: calibration.scale, unit: calibration.unit };
+    }
+
+    return doc;
+  }
+
+  /**
+   * 导出为JSON字符串
+   * @param {number} space - 缩进空格数，默认2
+   * @returns {string} JSON字符串
+   */
+  toJSON(space = 2) {
+    return JSON.stringify(this.serialize(), null, space);
+  }
+
+  /**
+   * 导出单个厂区
+   * @param {PIXI.Graphics} factory - 厂区图形对象
+   * @param {number} index - 厂区序号，用于生成缺省ID
+   * @returns {Object} 厂区文档
+   */
+  serializeFactory(factory, index) {
+    const data = factory.factoryData;
+    if (!data) {
+      throw new Error('厂区图形缺少 factoryData，无法导出');
+    }
+
+    const factoryDoc = {
+      id: data.id || `factory-${index + 1}`,
+      style: {
+        fillColor: formatColor(data.color),
+        strokeColor: formatColor(data.strokeColor),
+        strokeWidth: data.strokeWidth
+      },
+      containment: data.containment || CONTAINMENT_CONFIG.DEFAULT_RULE,
+      outline: data.points.map(p => ({ x: p.x, y: p.y })),
+      buildings: data.buildings.map(building => this.serializeBuilding(building)),
+      units: factory.children
+        .filter(child => child.isPBS)
+        .map(unit => this.serializeUnit(unit)),
+      zones: factory.children
+        .filter(child => child.isZone)
+        .map(zone => this.serializeZone(zone))
+    };
+
+    if (data.name) {
+      factoryDoc.name = data.name;
+    }
+
+    return factoryDoc;
+  }
+
+  /**
+   * 导出建筑
+   * @param {Object} building - 建筑数据
+   * @returns {Object} 建筑文档
+   */
+  serializeBuilding(building) {
+    const buildingDoc = {};
+    if (building.id) buildingDoc.id = building.id;
+    if (building.name) buildingDoc.name = building.name;
+
+    Object.assign(buildingDoc, {
+      x: building.x,
+      y: building.y,
+      width: building.width,
+      height: building.height,
+      fillColor: formatColor(building.fillColor)
+    });
+
+    if (building.strokeColor !== undefined) buildingDoc.strokeColor = formatColor(building.strokeColor);
+    if (building.strokeWidth !== undefined) buildingDoc.strokeWidth = building.strokeWidth;
+
+    return buildingDoc;
+  }
+
+  /**
+   * 导出PBS单元
+   * @param {PIXI.Graphics} unit - PBS图形对象
+   * @returns {Object} PBS单元文档
+   */
+  serializeUnit(unit) {
+    const { id, color, shape, size, points, properties } = unit.pbsData;
+
+    const unitDoc = {};
+    if (id) unitDoc.id = id;
+
+    // 业务属性，未填写的省略
+    PBS_ATTRIBUTES.forEach(field => {
+      const value = unit.pbsData[field.key];
+      if (value !== null && value !== undefined) {
+        unitDoc[field.key] = value;
+      }
+    });
+    if (properties && Object.keys(properties).length > 0) {
+      unitDoc.properties = { ...properties };
+    }
+
+    Object.assign(unitDoc, {
+      x: unit.x,
+      y: unit.y,
+      color: formatColor(color),
+      shape,
+      size
+    });
+
+    if (shape === 'polygon' && points) {
+      unitDoc.points = points.map(p => ({ x: p.x, y: p.y }));
+    }
+    if (unit.rotation !== 0) {
+      unitDoc.rotation = unit.rotation;
+    }
+
+    return unitDoc;
+  }
+
+  /**
+   * 导出区域
+   * @param {PIXI.Graphics} zone - 区域图形对象
+   * @returns {Object} 区域文档
+   */
+  serializeZone(zone) {
+    const { id, name, type, color, points } = zone.zoneData;
+
+    const zoneDoc = {};
+    if (id) zoneDoc.id = id;
+    if (name) zoneDoc.name = name;
+
+    Object.assign(zoneDoc, {
+      type,
+      color: formatColor(color),
+      points: points.map(p => ({ x: p.x, y: p.y }))
+    });
+
+    return zoneDoc;
+  }
+
+  /**
+   * 验证往返无损：在离屏的临时舞台上加载文档并重新导出，与原文档比较
+   * 临时舞台使用独立的 StateManager，不影响当前舞台、交互工具和历史记录
+   * @param {Object|string|null} doc - 场景文档对象或JSON字符串，为空时使用当前舞台的导出结果
+   * @returns {Object} { lossless, differences }
+   */
+  verifyRoundTrip(doc = null) {
+    const source = doc === null ? this.serialize() : (typeof doc === 'string' ? JSON.parse(doc) : doc);
+
+    const sandbox = { stage: new PIXI.Container(), screen: { width: 1, height: 1 }, autoStart: true };
+    const sandboxState = new StateManager();
+    try {
+      new SceneLoader(sandbox, sandboxState, new FactoryRenderer(sandbox)).load(source);
+      const differences = compareScenes(source, new SceneSerializer(sandboxState).serialize());
+      if (differences.length > 0) {
+        console.warn('场景往返存在差异:', differences);
+      }
+      return { lossless: differences.length === 0, differences };
+    } finally {
+      sandbox.stage.destroy({ children: true });
+    }
+  }
+}
+
+/**
+ * 比较两个场景文档在规范化后是否一致
+ * 两个文档都会先经过 validateScene 规范化（颜色统一为数值、补齐默认值），
+ * 因此 '#ff0000' 与 0xff0000、省略的默认样式与显式写出的默认样式视为相同
+ * @param {Object} a - 场景文档A
+ * @param {Object} b - 场景文档B
+ * @returns {Array} 差异列表 [{path, a, b}]，为空表示一致
+ */
+export function compareScenes(a, b) {
+  const resultA = validateScene(a);
+  const resultB = validateScene(b);
+
+  if (!resultA.valid || !resultB.valid) {
+    const differences = [];
+    if (!resultA.valid) differences.push({ path: '', a: resultA.errors, b: null });
+    if (!resultB.valid) differences.push({ path: '', a: null, b: resultB.errors });
+    return differences;
+  }
+
+  const differences = [];
+  diffValues(resultA.scene, resultB.scene, '', differences);
+  return differences;
+}
+
+/**
+ * 递归比较两个值，记录差异路径
+ */
+function diffValues(a, b, path, differences) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) {
+      differences.push({ path: `${path}.length`, a: a.length, b: b.length });
+      return;
+    }
+    a.forEach((item, i) => diffValues(item, b[i], `${path}[${i}]`, differences));
+    return;
+  }
+
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.forEach(key => {
+      diffValues(a[key], b[key], path ? `${path}.${key}` : key, differences);
+    });
+    return;
+  }
+
+  if (a !== b) {
+    differences.push({ path, a, b });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * PBS间距冲突面板
+ * 列出 StateManager 中 clearanceViolations 的所有冲突（按距离从小到大），
+ * 点击某一条时选中冲突的两个单元
+ * 场景已标定时距离换算为实际长度
+ */
+
+import { formatLength } from '../utils/units.js';
+
+export class ClearancePanel {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {string} containerId - 面板容器元素ID
+   */
+  constructor(stateManager, containerId = 'clearance-panel') {
+    this.stateManager = stateManager;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到${containerId}元素`);
+    }
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.clearanceViolations !== oldState.clearanceViolations ||
+          newState.calibration !== oldState.calibration) {
+        this.render();
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * 按当前冲突列表重建面板
+   */
+  render() {
+    const violations = this.stateManager.get('clearanceViolations');
+    const calibration = this.stateManager.get('calibration');
+
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = violations.length > 0 ? `间距冲突（${violations.length}）` : '间距冲突';
+    this.container.appendChild(title);
+
+    if (violations.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'clearance-empty';
+      empty.textContent = '所有PBS单元均满足最小间距';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'clearance-list';
+    violations.forEach(({ a, b, distance, required }) => {
+      const item = document.createElement('li');
+      item.title = '点击选中这两个单元';
+
+      const names = document.createElement('span');
+      names.textContent = `${getUnitName(a)} ↔ ${getUnitName(b)}`;
+      const detail = document.createElement('span');
+      detail.className = 'clearance-detail';
+      detail.textContent = distance === 0
+        ? `重叠（要求 ${formatLength(required, calibration, 1)}）`
+        : `${formatLength(distance, calibration, 1)} / ${formatLength(required, calibration, 1)}`;
+
+      item.append(names, detail);
+      item.addEventListener('click', () => this.stateManager.setSelectedUnits([a, b]));
+      list.appendChild(item);
+    });
+    this.container.appendChild(list);
+  }
+
+  /**
+   * 销毁面板
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.container.replaceChildren();
+  }
+}
+
+/**
+ * 单元的显示名称
+ * @param {PIXI.Graphics} unit - PBS单元
+ * @returns {string}
+ */
+function getUnitName(unit) {
+  return unit.pbsData.name || unit.pbsData.id || '未命名单元';
+}
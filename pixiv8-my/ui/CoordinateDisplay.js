@@ -0,0 +1,96 @@
+/**
+ * 坐标显示
+ * 在 pixi-container 左下角显示指针位置在主厂区中的场景坐标（厂区本地坐标），
+ * 场景已标定（StateManager 的 calibration）时换算为实际长度；指针离开画布时隐藏
+ */
+
+import { formatLength } from '../utils/units.js';
+
+export class CoordinateDisplay {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器，用于换算指针位置
+   * @param {string} containerId - 容器元素ID
+   */
+  constructor(app, stateManager, viewportController, containerId = 'pixi-container') {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到坐标显示容器: ${containerId}`);
+    }
+
+    this.element = document.createElement('div');
+    this.element.className = 'coordinate-display';
+    this.element.hidden = true;
+    this.container.appendChild(this.element);
+
+    // 指针位置（主厂区本地坐标），指针不在画布上时为 null
+    this.point = null;
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.app.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.app.canvas.addEventListener('pointerleave', this.handlePointerLeave);
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.calibration !== oldState.calibration) {
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * 记录指针位置并更新显示
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerMove(event) {
+    const factory = this.stateManager.get('factoryGraphic');
+    if (!factory || factory.destroyed) {
+      this.point = null;
+    } else {
+      const world = this.viewportController.eventToWorld(event);
+      this.point = factory.toLocal(new PIXI.Point(world.x, world.y), this.app.stage);
+    }
+    this.render();
+  }
+
+  /**
+   * 指针离开画布时隐藏
+   */
+  handlePointerLeave() {
+    this.point = null;
+    this.render();
+  }
+
+  /**
+   * 按当前指针位置和标定更新文字
+   */
+  render() {
+    if (!this.point) {
+      this.element.hidden = true;
+      return;
+    }
+
+    const calibration = this.stateManager.get('calibration');
+    this.element.textContent = `X ${formatLength(this.point.x, calibration)}  Y ${formatLength(this.point.y, calibration)}`;
+    this.element.hidden = false;
+  }
+
+  /**
+   * 销毁坐标显示
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.app.canvas.removeEventListener('pointermove', this.handlePointerMove);
+    this.app.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.element.remove();
+  }
+}
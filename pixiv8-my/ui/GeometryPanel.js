@@ -0,0 +1,141 @@
+/**
+ * 几何分析面板
+ * 列出 StateManager 中 geometryMetrics 的厂区轮廓和区域，以及当前选中的多边形PBS单元：
+ * 面积、周长、外接矩形尺寸、顶点方向和质心（厂区本地坐标）
+ * 场景已标定（StateManager 的 calibration）时数值换算为实际长度和面积
+ * 每次渲染前（renderer 的 prerender 阶段）让 GeometryAnalytics 增量更新，
+ * 编辑厂区轮廓、拖拽单元时数值实时变化
+ */
+
+import { GEOMETRY_CONFIG } from '../utils/constants.js';
+import { formatLength, formatArea, describeCalibration } from '../utils/units.js';
+
+export class GeometryPanel {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {GeometryAnalytics} analytics - 几何分析
+   * @param {string} containerId - 面板容器元素ID
+   */
+  constructor(app, stateManager, analytics, containerId = 'geometry-panel') {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.analytics = analytics;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到${containerId}元素`);
+    }
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.geometryMetrics !== oldState.geometryMetrics ||
+          newState.selectedUnits !== oldState.selectedUnits ||
+          newState.calibration !== oldState.calibration) {
+        this.render();
+      }
+    });
+
+    this.app.renderer.runners.prerender.add(this);
+    this.analytics.refresh();
+    this.render();
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    // 结果有变化时通过 geometryMetrics 触发重建
+    this.analytics.refresh();
+  }
+
+  /**
+   * 按当前分析结果重建面板
+   */
+  render() {
+    const metrics = this.stateManager.get('geometryMetrics');
+    const selectedUnits = new Set(this.stateManager.get('selectedUnits'));
+
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '几何分析';
+    this.container.appendChild(title);
+
+    const note = document.createElement('p');
+    note.className = 'geometry-note';
+    note.textContent = `${describeCalibration(this.stateManager.get('calibration'))}，质心为厂区本地坐标`;
+    this.container.appendChild(note);
+
+    this.appendGroup('厂区轮廓', metrics.filter(entry => entry.kind === 'factory'));
+    this.appendGroup('区域', metrics.filter(entry => entry.kind === 'zone'));
+    this.appendGroup('选中的多边形单元', metrics.filter(entry => entry.kind === 'unit' && selectedUnits.has(entry.target)));
+  }
+
+  /**
+   * 添加一组分析结果，没有结果时不显示该组
+   * @param {string} heading - 分组标题
+   * @param {Array} entries - 分析结果列表
+   */
+  appendGroup(heading, entries) {
+    if (entries.length === 0) return;
+
+    const title = document.createElement('h4');
+    title.textContent = `${heading}（${entries.length}）`;
+    this.container.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'geometry-list';
+    entries.forEach(entry => list.appendChild(this.createItem(entry)));
+    this.container.appendChild(list);
+  }
+
+  /**
+   * 创建单个图形的分析结果条目
+   * @param {Object} entry - 分析结果，见 GeometryAnalytics.createEntry
+   * @returns {HTMLElement} 列表项
+   */
+  createItem(entry) {
+    const { area, perimeter, bounds, orientation, centroid } = entry;
+    const calibration = this.stateManager.get('calibration');
+    const length = value => formatLength(value, calibration, GEOMETRY_CONFIG.DECIMALS);
+    const item = document.createElement('li');
+
+    const name = document.createElement('strong');
+    name.textContent = entry.name || entry.id || '未命名';
+    item.appendChild(name);
+
+    [
+      ['面积', formatArea(area, calibration, GEOMETRY_CONFIG.DECIMALS)],
+      ['周长', length(perimeter)],
+      ['外接矩形', `${length(bounds.width)} × ${length(bounds.height)}`],
+      ['顶点方向', GEOMETRY_CONFIG.ORIENTATION_LABELS[orientation] || orientation],
+      ['质心', `(${length(centroid.x)}, ${length(centroid.y)})`]
+    ].forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.className = 'geometry-row';
+      const labelElement = document.createElement('span');
+      labelElement.textContent = label;
+      const valueElement = document.createElement('span');
+      valueElement.textContent = value;
+      row.append(labelElement, valueElement);
+      item.appendChild(row);
+    });
+
+    return item;
+  }
+
+  /**
+   * 销毁面板
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.app.renderer.runners.prerender.remove(this);
+    this.container.replaceChildren();
+  }
+}
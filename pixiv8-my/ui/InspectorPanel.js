@@ -0,0 +1,401 @@
+/**
+ * PBS属性面板
+ * 只选中一个PBS单元（StateManager 中的 selectedUnits）时，显示并编辑它的属性：
+ * - 业务属性（定义见 PBS_ATTRIBUTES）和自由属性 properties
+ * - 外观：颜色、形状、大小
+ * 修改通过 UnitAttributesCommand 写回 StateManager 并由 PBSRenderer 重绘，可撤销
+ */
+
+import { PBS_ATTRIBUTES, PBS_SHAPE_LABELS, SCENE_CONFIG } from '../utils/constants.js';
+import { validateAttribute, parseColor, formatColor } from '../scene/SceneSchema.js';
+import { UnitAttributesCommand } from '../core/HistoryCommands.js';
+
+export class InspectorPanel {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {PBSRenderer} pbsRenderer - PBS渲染器，用于重绘修改后的单元
+   * @param {HistoryManager} historyManager - 历史管理器（可选）
+   * @param {string} containerId - 面板容器元素ID
+   */
+  constructor(app, stateManager, pbsRenderer, historyManager = null, containerId = 'inspector-panel') {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.pbsRenderer = pbsRenderer;
+    this.historyManager = historyManager;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到${containerId}元素`);
+    }
+
+    // 当前表单中的输入控件 { 属性键: 元素 }
+    this.inputs = {};
+    this.propertiesElement = null;
+    this.errorElement = null;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.selectedUnits !== oldState.selectedUnits) {
+        this.render();
+      } else if (newState.lastUnitEdit !== oldState.lastUnitEdit &&
+                 newState.lastUnitEdit && newState.lastUnitEdit.unit === this.getUnit()) {
+        // 属性被修改（包括撤销/重做），仅同步控件的值，避免重建表单丢失焦点
+        this.syncValues();
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * 获取面板显示的单元
+   * @returns {PIXI.Graphics|null} 只选中一个单元时返回该单元，否则为 null
+   */
+  getUnit() {
+    const selectedUnits = this.stateManager.get('selectedUnits');
+    return selectedUnits.length === 1 ? selectedUnits[0] : null;
+  }
+
+  /**
+   * 根据当前选中的单元重建面板
+   */
+  render() {
+    const unit = this.getUnit();
+
+    this.container.replaceChildren();
+    this.inputs = {};
+    this.propertiesElement = null;
+
+    const title = document.createElement('h3');
+    title.textContent = 'PBS属性';
+    this.container.appendChild(title);
+
+    if (!unit || !unit.pbsData) {
+      const empty = document.createElement('p');
+      empty.className = 'inspector-empty';
+      const count = this.stateManager.get('selectedUnits').length;
+      empty.textContent = count > 1 ? `已选中 ${count} 个PBS单元` : '点击PBS单元查看属性';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const data = unit.pbsData;
+
+    // 基本信息
+    const idInput = this.createInput('text', data.id || '');
+    idInput.readOnly = true;
+    idInput.placeholder = '未指定';
+    this.appendField('ID', idInput);
+
+    PBS_ATTRIBUTES.forEach(field => {
+      const input = field.type === 'enum'
+        ? this.createSelect(field.options, true)
+        : this.createInput(field.type === 'date' ? 'date' : 'text');
+      input.addEventListener('change', () => this.commitAttribute(field, input));
+      this.inputs[field.key] = input;
+      this.appendField(field.label, input);
+    });
+
+    // 外观
+    this.appendHeading('外观');
+
+    const colorInput = this.createInput('color');
+    colorInput.addEventListener('change', () => this.commitColor(colorInput));
+    this.inputs.color = colorInput;
+    this.appendField('颜色', colorInput);
+
+    const shapeOptions = {};
+    SCENE_CONFIG.PBS_SHAPES.forEach(shape => {
+      shapeOptions[shape] = PBS_SHAPE_LABELS[shape] || shape;
+    });
+    const shapeSelect = this.createSelect(shapeOptions, false);
+    // 多边形需要顶点数据，没有顶点的单元不能切换为多边形
+    const polygonOption = [...shapeSelect.options].find(option => option.value === 'polygon');
+    if (polygonOption && !data.points) {
+      polygonOption.disabled = true;
+    }
+    shapeSelect.addEventListener('change', () => this.commit({ shape: shapeSelect.value }));
+    this.inputs.shape = shapeSelect;
+    this.appendField('形状', shapeSelect);
+
+    const sizeInput = this.createInput('number');
+    sizeInput.min = '0';
+    sizeInput.step = 'any';
+    sizeInput.addEventListener('change', () => this.commitSize(sizeInput));
+    this.inputs.size = sizeInput;
+    this.appendField('大小', sizeInput);
+
+    // 自由属性
+    this.appendHeading('自由属性');
+    this.propertiesElement = document.createElement('div');
+    this.propertiesElement.className = 'inspector-properties';
+    this.container.appendChild(this.propertiesElement);
+    this.appendPropertyAdder();
+
+    this.errorElement = document.createElement('p');
+    this.errorElement.className = 'inspector-error';
+    this.container.appendChild(this.errorElement);
+
+    this.syncValues();
+  }
+
+  /**
+   * 用单元的当前数据刷新控件的值
+   */
+  syncValues() {
+    const unit = this.getUnit();
+    if (!unit || !this.inputs.color) return;
+
+    const data = unit.pbsData;
+    PBS_ATTRIBUTES.forEach(field => {
+      this.inputs[field.key].value = data[field.key] ?? '';
+    });
+    this.inputs.color.value = formatColor(data.color);
+    this.inputs.shape.value = data.shape;
+    this.inputs.size.value = String(data.size);
+
+    this.renderProperties(data.properties || {});
+    this.showError('');
+  }
+
+  /**
+   * 渲染自由属性列表
+   * @param {Object} properties - 自由属性
+   */
+  renderProperties(properties) {
+    this.propertiesElement.replaceChildren();
+
+    Object.entries(properties).forEach(([key, value]) => {
+      const row = document.createElement('div');
+      row.className = 'inspector-property';
+
+      const keyElement = document.createElement('span');
+      keyElement.textContent = key;
+
+      const valueInput = this.createInput('text', String(value));
+      valueInput.addEventListener('change', () => {
+        const next = { ...this.getProperties(), [key]: parsePropertyValue(valueInput.value, value) };
+        this.commit({ properties: next });
+      });
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = '×';
+      removeButton.title = `删除属性 ${key}`;
+      removeButton.addEventListener('click', () => {
+        const next = { ...this.getProperties() };
+        delete next[key];
+        this.commit({ properties: next });
+      });
+
+      row.append(keyElement, valueInput, removeButton);
+      this.propertiesElement.appendChild(row);
+    });
+  }
+
+  /**
+   * 添加“新增自由属性”输入行
+   */
+  appendPropertyAdder() {
+    const row = document.createElement('div');
+    row.className = 'inspector-property';
+
+    const keyInput = this.createInput('text');
+    keyInput.placeholder = '属性名';
+    const valueInput = this.createInput('text');
+    valueInput.placeholder = '值';
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = '+';
+    addButton.title = '添加属性';
+    addButton.addEventListener('click', () => {
+      const key = keyInput.value.trim();
+      if (!key) {
+        this.showError('属性名不能为空');
+        return;
+      }
+      const properties = this.getProperties();
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        this.showError(`属性 "${key}" 已存在`);
+        return;
+      }
+      this.commit({ properties: { ...properties, [key]: valueInput.value } });
+      keyInput.value = '';
+      valueInput.value = '';
+    });
+
+    row.append(keyInput, valueInput, addButton);
+    this.container.appendChild(row);
+  }
+
+  /**
+   * 提交业务属性
+   * @param {Object} field - 属性定义
+   * @param {HTMLInputElement|HTMLSelectElement} input - 输入控件
+   */
+  commitAttribute(field, input) {
+    const { value, error } = validateAttribute(field, input.value.trim());
+    if (error) {
+      this.showError(`${field.label}: ${error}`);
+      return;
+    }
+    this.commit({ [field.key]: value });
+  }
+
+  /**
+   * 提交颜色
+   * @param {HTMLInputElement} input - 颜色输入控件
+   */
+  commitColor(input) {
+    const color = parseColor(input.value);
+    if (color === null) {
+      this.showError(`颜色: 无法解析 ${input.value}`);
+      return;
+    }
+    this.commit({ color });
+  }
+
+  /**
+   * 提交大小
+   * @param {HTMLInputElement} input - 数值输入控件
+   */
+  commitSize(input) {
+    const size = Number(input.value);
+    if (!Number.isFinite(size) || size <= 0) {
+      this.showError('大小: 必须是大于0的数值');
+      return;
+    }
+    this.commit({ size });
+  }
+
+  /**
+   * 将修改写回当前单元，作为一个历史步骤
+   * @param {Object} changes - 要修改的属性
+   * @returns {boolean} 是否产生了修改
+   */
+  commit(changes) {
+    const unit = this.getUnit();
+    if (!unit) return false;
+
+    const before = {};
+    let changed = false;
+    Object.keys(changes).forEach(key => {
+      before[key] = unit.pbsData[key];
+      if (JSON.stringify(before[key]) !== JSON.stringify(changes[key])) {
+        changed = true;
+      }
+    });
+    if (!changed) {
+      this.showError('');
+      return false;
+    }
+
+    const command = new UnitAttributesCommand(this.pbsRenderer, this.stateManager, unit, before, changes);
+    if (this.historyManager) {
+      this.historyManager.execute(command);
+    } else {
+      command.redo();
+      if (!this.app.autoStart) {
+        this.app.render();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 获取当前单元的自由属性
+   * @returns {Object} 自由属性
+   */
+  getProperties() {
+    const unit = this.getUnit();
+    return unit && unit.pbsData.properties ? unit.pbsData.properties : {};
+  }
+
+  /**
+   * 显示校验错误，空字符串表示清除
+   * @param {string} message - 错误信息
+   */
+  showError(message) {
+    if (this.errorElement) {
+      this.errorElement.textContent = message;
+    }
+  }
+
+  /**
+   * 创建输入控件
+   */
+  createInput(type, value = '') {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    return input;
+  }
+
+  /**
+   * 创建下拉框
+   * @param {Object} options - 选项 { 值: 显示文本 }
+   * @param {boolean} allowEmpty - 是否包含“未指定”选项
+   */
+  createSelect(options, allowEmpty) {
+    const select = document.createElement('select');
+    if (allowEmpty) {
+      select.appendChild(new Option('未指定', ''));
+    }
+    Object.entries(options).forEach(([value, label]) => {
+      select.appendChild(new Option(label, value));
+    });
+    return select;
+  }
+
+  /**
+   * 添加带标签的字段行
+   */
+  appendField(label, input) {
+    const row = document.createElement('label');
+    row.className = 'inspector-field';
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.append(text, input);
+    this.container.appendChild(row);
+  }
+
+  /**
+   * 添加分组标题
+   */
+  appendHeading(text) {
+    const heading = document.createElement('h4');
+    heading.textContent = text;
+    this.container.appendChild(heading);
+  }
+
+  /**
+   * 销毁面板
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.container.replaceChildren();
+  }
+}
+
+/**
+ * 按原值的类型解析自由属性输入
+ * 原值为数值或布尔值时尽量保持类型，无法解析时保存为字符串
+ * @param {string} text - 输入文本
+ * @param {*} previous - 原值
+ * @returns {string|number|boolean} 解析后的值
+ */
+function parsePropertyValue(text, previous) {
+  if (typeof previous === 'number') {
+    const number = Number(text);
+    if (text.trim() !== '' && Number.isFinite(number)) return number;
+  }
+  if (typeof previous === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
@@ -0,0 +1,96 @@
+/**
+ * 测量面板
+ * 列出 StateManager 中 measurements 的已固定测量（总长、段数和围成的面积），
+ * 可逐条删除或全部清除（均可撤销）
+ * 场景已标定时数值换算为实际长度和面积
+ */
+
+import { MEASURE_CONFIG } from '../utils/constants.js';
+import { measurePolyline } from '../utils/geometry.js';
+import { formatLength, formatArea } from '../utils/units.js';
+
+export class MeasurementPanel {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {string} containerId - 面板容器元素ID
+   */
+  constructor(stateManager, containerId = 'measurement-panel') {
+    this.stateManager = stateManager;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到${containerId}元素`);
+    }
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.measurements !== oldState.measurements ||
+          newState.calibration !== oldState.calibration) {
+        this.render();
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * 按当前测量列表重建面板
+   */
+  render() {
+    const measurements = this.stateManager.get('measurements');
+    const calibration = this.stateManager.get('calibration');
+
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = measurements.length > 0 ? `已固定的测量（${measurements.length}）` : '已固定的测量';
+    this.container.appendChild(title);
+
+    if (measurements.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'measurement-empty';
+      empty.textContent = '按 M 进入测量模式，按 P 固定当前测量';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'measurement-list';
+    measurements.forEach(({ id, points }, i) => {
+      const { segments, total, area } = measurePolyline(points);
+      const item = document.createElement('li');
+
+      const detail = document.createElement('span');
+      detail.className = 'measurement-detail';
+      detail.textContent = [
+        `${i + 1}. ${formatLength(total, calibration, MEASURE_CONFIG.DECIMALS)}`,
+        `${segments.length} 段`,
+        area !== null ? `面积 ${formatArea(area, calibration, MEASURE_CONFIG.DECIMALS)}` : null
+      ].filter(Boolean).join('，');
+
+      const remove = document.createElement('button');
+      remove.textContent = '删除';
+      remove.addEventListener('click', () => this.stateManager.removeMeasurement(id));
+
+      item.append(detail, remove);
+      list.appendChild(item);
+    });
+    this.container.appendChild(list);
+
+    const clear = document.createElement('button');
+    clear.textContent = '全部清除';
+    clear.addEventListener('click', () => this.stateManager.setMeasurements([]));
+    this.container.appendChild(clear);
+  }
+
+  /**
+   * 销毁面板
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.container.replaceChildren();
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * 小地图
+ * 在 pixi-container 右下角显示整个场景的简化图（厂区轮廓、建筑、区域，PBS单元显示为方点），
+ * 并按 StateManager 的 viewport 绘制当前视窗范围：
+ * - 点击或拖拽小地图时，主视图平移到以该点为中心（ViewportController.pan）
+ * - 在小地图上滚动滚轮时，以主视图中心缩放（ViewportController.zoomTo）
+ * 场景简化图缓存在离屏画布中，只在场景、区域、单元或厂区轮廓变化后重绘；视窗变化只重绘视窗矩形
+ * PBS拖拽、顶点拖拽等手势进行中不重绘场景简化图，手势结束（指针抬起）后再重绘一次
+ * 绘制在渲染前（renderer 的 prerender 阶段）进行，多次状态变化合并为一次绘制
+ */
+
+import { MINIMAP_CONFIG, VIEWPORT_CONFIG, ZONE_CONFIG } from '../utils/constants.js';
+import { formatColor } from '../scene/SceneSchema.js';
+
+export class Minimap {
+  /**
+   * 构造函数
+   * @param {Object} app - PixiJS应用实例
+   * @param {StateManager} stateManager - 状态管理器
+   * @param {ViewportController} viewportController - 视窗控制器
+   * @param {HistoryManager} historyManager - 历史管理器（可选），一次拖拽结束后封口视窗历史
+   * @param {string} containerId - 容器元素ID
+   */
+  constructor(app, stateManager, viewportController, historyManager = null, containerId = 'pixi-container') {
+    this.app = app;
+    this.stateManager = stateManager;
+    this.viewportController = viewportController;
+    this.historyManager = historyManager;
+
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`未找到小地图容器: ${containerId}`);
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'minimap';
+    this.canvas.width = MINIMAP_CONFIG.WIDTH * ratio;
+    this.canvas.height = MINIMAP_CONFIG.HEIGHT * ratio;
+    this.canvas.style.width = `${MINIMAP_CONFIG.WIDTH}px`;
+    this.canvas.style.height = `${MINIMAP_CONFIG.HEIGHT}px`;
+    this.context = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+
+    // 场景简化图的离屏缓存
+    this.sceneCanvas = document.createElement('canvas');
+    this.sceneCanvas.width = this.canvas.width;
+    this.sceneCanvas.height = this.canvas.height;
+
+    // 世界坐标到小地图坐标（CSS像素）的映射 { scale, offsetX, offsetY }
+    this.mapping = null;
+    // 厂区 -> 上次绘制时的顶点数组（FactoryRenderer.updateOutline 每次都替换为新数组）
+    this.outlines = new Map();
+    this.sceneDirty = true;
+    this.dirty = true;
+    // 正在拖拽的指针ID
+    this.dragPointerId = null;
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.factoryGraphics !== oldState.factoryGraphics ||
+          newState.factoryGraphic !== oldState.factoryGraphic ||
+          newState.zones !== oldState.zones ||
+          newState.lastUnitMove !== oldState.lastUnitMove ||
+          newState.lastUnitEdit !== oldState.lastUnitEdit) {
+        this.sceneDirty = true;
+        this.dirty = true;
+      } else if (newState.viewport !== oldState.viewport) {
+        this.dirty = true;
+      }
+    });
+
+    this.setupEventListeners();
+    this.app.renderer.runners.prerender.add(this);
+    this.render();
+  }
+
+  /**
+   * 设置小地图的指针和滚轮事件
+   * 小地图覆盖在主画布上，事件不再冒泡到 window，避免触发主视图的平移、悬停和点击选择
+   */
+  setupEventListeners() {
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleGestureEnd = this.handleGestureEnd.bind(this);
+    this.stopPropagation = event => event.stopPropagation();
+
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+    this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+    ['mousedown', 'mousemove', 'mouseup', 'contextmenu'].forEach(type => {
+      this.canvas.addEventListener(type, this.stopPropagation);
+    });
+
+    // 在 ViewportController 之后注册，收到抬起事件时主视图的手势已经结束
+    window.addEventListener('pointerup', this.handleGestureEnd);
+    window.addEventListener('pointercancel', this.handleGestureEnd);
+  }
+
+  /**
+   * 主视图的手势结束后补画手势期间推迟的场景简化图
+   */
+  handleGestureEnd() {
+    if (this.hasOutlineChanged()) {
+      this.sceneDirty = true;
+    }
+    if (this.sceneDirty) {
+      this.render();
+    }
+  }
+
+  /**
+   * 按下时开始拖拽，并将主视图移到按下点
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerDown(event) {
+    event.stopPropagation();
+    event.preventDefault();
+    if (event.button !== undefined && event.button !== 0) return;
+
+    this.dragPointerId = event.pointerId;
+    if (this.canvas.setPointerCapture) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
+    this.centerOnEvent(event);
+  }
+
+  /**
+   * 拖拽时主视图跟随指针
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerMove(event) {
+    event.stopPropagation();
+    if (this.dragPointerId === null || event.pointerId !== this.dragPointerId) return;
+    this.centerOnEvent(event);
+  }
+
+  /**
+   * 结束拖拽，一次拖拽的视窗变化记为一个历史步骤
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerUp(event) {
+    event.stopPropagation();
+    if (this.dragPointerId === null || event.pointerId !== this.dragPointerId) return;
+
+    if (this.canvas.releasePointerCapture) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+    this.dragPointerId = null;
+    if (this.historyManager) {
+      this.historyManager.seal();
+    }
+  }
+
+  /**
+   * 滚轮缩放主视图（以主视图中心为缩放中心）
+   * @param {WheelEvent} event - 滚轮事件
+   */
+  handleWheel(event) {
+    event.stopPropagation();
+    event.preventDefault();
+
+    const { scale } = this.stateManager.get('viewport');
+    const factor = event.deltaY > 0
+      ? VIEWPORT_CONFIG.WHEEL_ZOOM_OUT_FACTOR
+      : VIEWPORT_CONFIG.WHEEL_ZOOM_IN_FACTOR;
+    this.viewportController.zoomTo(scale * factor);
+  }
+
+  /**
+   * 将主视图平移到以事件位置对应的世界坐标为中心
+   * @param {PointerEvent} event - 指针事件
+   */
+  centerOnEvent(event) {
+    if (!this.mapping) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * MINIMAP_CONFIG.WIDTH / (rect.width || MINIMAP_CONFIG.WIDTH);
+    const y = (event.clientY - rect.top) * MINIMAP_CONFIG.HEIGHT / (rect.height || MINIMAP_CONFIG.HEIGHT);
+    this.centerOn(this.minimapToWorld(x, y));
+  }
+
+  /**
+   * 将主视图平移到以指定世界坐标为中心
+   * @param {Object} worldPoint - 世界坐标 {x, y}
+   */
+  centerOn(worldPoint) {
+    const viewport = this.stateManager.get('viewport');
+    const { width, height } = this.app.screen;
+    const targetX = width / 2 - worldPoint.x * viewport.scale;
+    const targetY = height / 2 - worldPoint.y * viewport.scale;
+    this.viewportController.pan(targetX - viewport.x, targetY - viewport.y);
+  }
+
+  /**
+   * 小地图坐标（CSS像素）转世界坐标
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @returns {Object} 世界坐标 {x, y}
+   */
+  minimapToWorld(x, y) {
+    const { scale, offsetX, offsetY } = this.mapping;
+    return { x: (x - offsetX) / scale, y: (y - offsetY) / scale };
+  }
+
+  /**
+   * 渲染前回调（由 renderer.runners.prerender 调用）
+   * 轮廓编辑直接修改 factoryData，不经过 StateManager，按顶点数组是否被替换判断
+   * @param {Object} options - 渲染选项
+   */
+  prerender(options) {
+    if (options && options.container && options.container !== this.app.stage) return;
+    if (this.hasOutlineChanged()) {
+      this.sceneDirty = true;
+      this.dirty = true;
+    }
+    if (this.dirty) {
+      this.render();
+    }
+  }
+
+  /**
+   * 厂区轮廓是否在上次绘制场景简化图后被编辑过
+   * @returns {boolean}
+   */
+  hasOutlineChanged() {
+    for (const [factory, points] of this.outlines) {
+      if (factory.factoryData && factory.factoryData.points !== points) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 绘制小地图：场景简化图和当前视窗矩形
+   * 手势进行中沿用缓存的场景简化图，只更新视窗矩形
+   */
+  render() {
+    this.dirty = false;
+    if (this.sceneDirty && !this.viewportController.isGestureActive()) {
+      this.sceneDirty = false;
+      this.drawScene();
+    }
+
+    const ratio = this.canvas.width / MINIMAP_CONFIG.WIDTH;
+    const context = this.context;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    context.drawImage(this.sceneCanvas, 0, 0);
+    if (!this.mapping) return;
+
+    // 当前视窗范围（可能超出场景范围，裁剪到小地图内显示）
+    const viewport = this.stateManager.get('viewport');
+    const { scale, offsetX, offsetY } = this.mapping;
+    const x = (-viewport.x / viewport.scale) * scale + offsetX;
+    const y = (-viewport.y / viewport.scale) * scale + offsetY;
+    const width = this.app.screen.width / viewport.scale * scale;
+    const height = this.app.screen.height / viewport.scale * scale;
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.fillStyle = formatColor(MINIMAP_CONFIG.VIEWPORT_COLOR);
+    context.globalAlpha = MINIMAP_CONFIG.VIEWPORT_FILL_ALPHA;
+    context.fillRect(x, y, width, height);
+    context.globalAlpha = 1;
+    context.strokeStyle = formatColor(MINIMAP_CONFIG.VIEWPORT_COLOR);
+    context.lineWidth = MINIMAP_CONFIG.VIEWPORT_LINE_WIDTH;
+    context.strokeRect(x, y, width, height);
+  }
+
+  /**
+   * 重绘场景简化图，并按场景范围重新计算映射
+   */
+  drawScene() {
+    const ratio = this.sceneCanvas.width / MINIMAP_CONFIG.WIDTH;
+    const context = this.sceneCanvas.getContext('2d');
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.sceneCanvas.width, this.sceneCanvas.height);
+
+    const factories = this.stateManager.getFactoryGraphics()
+      .filter(factory => !factory.destroyed && factory.visible && factory.factoryData);
+    const transforms = new Map(factories.map(factory => [factory, getStageTransform(factory, this.app.stage)]));
+    this.outlines = new Map(factories.map(factory => [factory, factory.factoryData.points]));
+
+    const bounds = getSceneBounds(factories, transforms);
+    if (!bounds) {
+      this.mapping = null;
+      return;
+    }
+    this.mapping = getMapping(bounds);
+
+    const { scale, offsetX, offsetY } = this.mapping;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    const toMap = (transform, p) => {
+      const world = transform(p);
+      return { x: world.x * scale + offsetX, y: world.y * scale + offsetY };
+    };
+    const fillPolygon = (points, fill, stroke = null) => {
+      context.beginPath();
+      points.forEach((p, i) => (i === 0 ? context.moveTo(p.x, p.y) : context.lineTo(p.x, p.y)));
+      context.closePath();
+      context.fillStyle = formatColor(fill);
+      context.fill();
+      if (stroke !== null) {
+        context.strokeStyle = formatColor(stroke);
+        context.lineWidth = 1;
+        context.stroke();
+      }
+    };
+
+    factories.forEach(factory => {
+      const transform = transforms.get(factory);
+      const { points, color, strokeColor, buildings = [] } = factory.factoryData;
+      fillPolygon(points.map(p => toMap(transform, p)), color, strokeColor);
+
+      buildings.forEach(({ x, y, width, height, fillColor }) => {
+        const corners = [
+          { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+        ];
+        fillPolygon(corners.map(p => toMap(transform, p)), fillColor);
+      });
+
+      const half = MINIMAP_CONFIG.UNIT_SIZE / 2;
+      factory.children.forEach(child => {
+        if (!child.visible || child.destroyed) return;
+        if (child.isZone) {
+          context.globalAlpha = ZONE_CONFIG.ALPHA;
+          fillPolygon(child.zoneData.points.map(p => toMap(transform, p)), child.zoneData.color);
+          context.globalAlpha = 1;
+        } else if (child.isPBS) {
+          const p = toMap(transform, child);
+          context.fillStyle = formatColor(child.pbsData.color);
+          context.fillRect(p.x - half, p.y - half, MINIMAP_CONFIG.UNIT_SIZE, MINIMAP_CONFIG.UNIT_SIZE);
+        }
+      });
+    });
+  }
+
+  /**
+   * 销毁小地图
+   */
+  destroy() {
+    this.app.renderer.runners.prerender.remove(this);
+    window.removeEventListener('pointerup', this.handleGestureEnd);
+    window.removeEventListener('pointercancel', this.handleGestureEnd);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+  }
+}
+
+/**
+ * 厂区本地坐标到舞台坐标的仿射变换
+ * 只换算三个点求出变换矩阵，避免对每个单元调用 toLocal
+ * @param {PIXI.Container} factory - 厂区图形对象
+ * @param {PIXI.Container} stage - 舞台
+ * @returns {Function} (point) => {x, y}
+ */
+function getStageTransform(factory, stage) {
+  const origin = stage.toLocal(new PIXI.Point(0, 0), factory);
+  const unitX = stage.toLocal(new PIXI.Point(1, 0), factory);
+  const unitY = stage.toLocal(new PIXI.Point(0, 1), factory);
+  const a = unitX.x - origin.x;
+  const b = unitX.y - origin.y;
+  const c = unitY.x - origin.x;
+  const d = unitY.y - origin.y;
+  return p => ({ x: origin.x + p.x * a + p.y * c, y: origin.y + p.x * b + p.y * d });
+}
+
+/**
+ * 所有厂区轮廓在舞台坐标中的范围
+ * @param {Array} factories - 厂区图形数组
+ * @param {Map} transforms - 厂区 -> 坐标变换
+ * @returns {Object|null} 矩形 {x, y, width, height}，没有厂区时为 null
+ */
+function getSceneBounds(factories, transforms) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  factories.forEach(factory => {
+    const transform = transforms.get(factory);
+    factory.factoryData.points.forEach(p => {
+      const { x, y } = transform(p);
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+  });
+
+  return minX <= maxX ? { x: minX, y: minY, width: maxX - minX, height: maxY - minY } : null;
+}
+
+/**
+ * 将场景范围等比缩放并居中到小地图中
+ * @param {Object} bounds - 场景范围（世界坐标） {x, y, width, height}
+ * @returns {Object} { scale, offsetX, offsetY }，小地图坐标 = 世界坐标 * scale + offset
+ */
+function getMapping(bounds) {
+  const innerWidth = MINIMAP_CONFIG.WIDTH - MINIMAP_CONFIG.PADDING * 2;
+  const innerHeight = MINIMAP_CONFIG.HEIGHT - MINIMAP_CONFIG.PADDING * 2;
+  const scale = Math.min(innerWidth / (bounds.width || 1), innerHeight / (bounds.height || 1));
+  return {
+    scale,
+    offsetX: (MINIMAP_CONFIG.WIDTH - bounds.width * scale) / 2 - bounds.x * scale,
+    offsetY: (MINIMAP_CONFIG.HEIGHT - bounds.height * scale) / 2 - bounds.y * scale
+  };
+}
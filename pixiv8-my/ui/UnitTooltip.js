@@ -0,0 +1,127 @@
+/**
+ * PBS悬停提示框
+ * 指针悬停在PBS单元上时（StateManager 中的 hoveredUnit），在指针旁显示单元的属性：
+ * 名称、ID、业务属性（定义见 PBS_ATTRIBUTES）和自由属性，未填写的属性不显示
+ */
+
+import { PBS_ATTRIBUTES, TOOLTIP_CONFIG } from '../utils/constants.js';
+
+export class UnitTooltip {
+  /**
+   * 构造函数
+   * @param {StateManager} stateManager - 状态管理器
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    this.element = document.createElement('div');
+    this.element.className = 'unit-tooltip';
+    this.element.hidden = true;
+    document.body.appendChild(this.element);
+
+    // 最近一次指针位置（客户端坐标）
+    this.pointer = { x: 0, y: 0 };
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    window.addEventListener('pointermove', this.handlePointerMove);
+
+    this.unsubscribe = this.stateManager.subscribe((newState, oldState) => {
+      if (newState.hoveredUnit !== oldState.hoveredUnit) {
+        this.render();
+      } else if (newState.lastUnitEdit !== oldState.lastUnitEdit &&
+                 newState.lastUnitEdit && newState.lastUnitEdit.unit === newState.hoveredUnit) {
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * 记录指针位置，提示框可见时跟随指针
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerMove(event) {
+    this.pointer = { x: event.clientX, y: event.clientY };
+    if (!this.element.hidden) {
+      this.updatePosition();
+    }
+  }
+
+  /**
+   * 按悬停单元重建提示框内容
+   */
+  render() {
+    const unit = this.stateManager.get('hoveredUnit');
+    if (!unit || !unit.pbsData) {
+      this.element.hidden = true;
+      return;
+    }
+
+    const data = unit.pbsData;
+    this.element.replaceChildren();
+
+    const title = document.createElement('strong');
+    title.textContent = data.name || data.id || '未命名单元';
+    this.element.appendChild(title);
+
+    if (data.id && data.name) {
+      this.appendRow('ID', data.id);
+    }
+    PBS_ATTRIBUTES.forEach(field => {
+      if (field.key === 'name' || data[field.key] === null || data[field.key] === undefined) return;
+      const value = field.type === 'enum'
+        ? field.options[data[field.key]] || data[field.key]
+        : data[field.key];
+      this.appendRow(field.label, value);
+    });
+    Object.entries(data.properties || {}).forEach(([key, value]) => {
+      this.appendRow(key, value);
+    });
+
+    this.element.hidden = false;
+    this.updatePosition();
+  }
+
+  /**
+   * 添加一行属性
+   * @param {string} label - 属性名
+   * @param {*} value - 属性值
+   */
+  appendRow(label, value) {
+    const row = document.createElement('div');
+    const key = document.createElement('span');
+    key.textContent = `${label}: `;
+    row.append(key, String(value));
+    this.element.appendChild(row);
+  }
+
+  /**
+   * 将提示框放在指针右下方，超出窗口时翻到指针另一侧
+   */
+  updatePosition() {
+    const { width, height } = this.element.getBoundingClientRect();
+    let left = this.pointer.x + TOOLTIP_CONFIG.OFFSET_X;
+    let top = this.pointer.y + TOOLTIP_CONFIG.OFFSET_Y;
+
+    if (left + width > window.innerWidth) {
+      left = this.pointer.x - TOOLTIP_CONFIG.OFFSET_X - width;
+    }
+    if (top + height > window.innerHeight) {
+      top = this.pointer.y - TOOLTIP_CONFIG.OFFSET_Y - height;
+    }
+
+    this.element.style.left = `${Math.max(0, left)}px`;
+    this.element.style.top = `${Math.max(0, top)}px`;
+  }
+
+  /**
+   * 销毁提示框
+   */
+  destroy() {
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.element.remove();
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * 空间索引
+ * 基于均匀网格（空间哈希）索引对象的包围盒，每个对象登记到其包围盒覆盖的所有单元格中：
+ * - 点查询、矩形查询只检查相关单元格内的对象
+ * - 最近邻查询从点所在单元格按环向外扩展，找到的距离小于下一环的最小距离时停止
+ * 包围盒格式为 { minX, minY, maxX, maxY }，索引只比较包围盒，精确的形状检测由调用方负责
+ */
+
+import { SPATIAL_INDEX_CONFIG } from './constants.js';
+
+export class SpatialIndex {
+  /**
+   * 构造函数
+   * @param {number} cellSize - 单元格边长
+   */
+  constructor(cellSize = SPATIAL_INDEX_CONFIG.CELL_SIZE) {
+    this.cellSize = cellSize;
+    // 单元格键 -> Set(对象)
+    this.grid = new Map();
+    // 对象 -> { bounds, cells: {minX, minY, maxX, maxY} }
+    this.items = new Map();
+    // 曾经登记过对象的单元格范围，用于限制最近邻查询的扩展范围
+    this.extent = null;
+  }
+
+  /**
+   * 已索引的对象数量
+   * @returns {number}
+   */
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * 对象是否已索引
+   * @param {*} item - 对象
+   * @returns {boolean}
+   */
+  has(item) {
+    return this.items.has(item);
+  }
+
+  /**
+   * 获取对象登记的包围盒
+   * @param {*} item - 对象
+   * @returns {Object|null} 包围盒
+   */
+  getBounds(item) {
+    const entry = this.items.get(item);
+    return entry ? entry.bounds : null;
+  }
+
+  /**
+   * 添加对象，已存在时更新其包围盒
+   * @param {*} item - 对象
+   * @param {Object} bounds - 包围盒 {minX, minY, maxX, maxY}
+   */
+  insert(item, bounds) {
+    const cells = this.getCellRange(bounds);
+    const entry = this.items.get(item);
+
+    if (entry) {
+      entry.bounds = bounds;
+      // 覆盖的单元格没有变化时无需重新登记
+      if (sameRange(entry.cells, cells)) return;
+      this.forEachCell(entry.cells, key => this.removeFromCell(key, item));
+      entry.cells = cells;
+    } else {
+      this.items.set(item, { bounds, cells });
+    }
+
+    this.forEachCell(cells, key => {
+      if (!this.grid.has(key)) {
+        this.grid.set(key, new Set());
+      }
+      this.grid.get(key).add(item);
+    });
+    this.extent = this.extent
+      ? {
+          minX: Math.min(this.extent.minX, cells.minX),
+          minY: Math.min(this.extent.minY, cells.minY),
+          maxX: Math.max(this.extent.maxX, cells.maxX),
+          maxY: Math.max(this.extent.maxY, cells.maxY)
+        }
+      : { ...cells };
+  }
+
+  /**
+   * 更新对象的包围盒（同 insert）
+   * @param {*} item - 对象
+   * @param {Object} bounds - 包围盒 {minX, minY, maxX, maxY}
+   */
+  update(item, bounds) {
+    this.insert(item, bounds);
+  }
+
+  /**
+   * 移除对象
+   * @param {*} item - 对象
+   * @returns {boolean} 对象是否存在
+   */
+  remove(item) {
+    const entry = this.items.get(item);
+    if (!entry) return false;
+
+    this.forEachCell(entry.cells, key => this.removeFromCell(key, item));
+    this.items.delete(item);
+    return true;
+  }
+
+  /**
+   * 清空索引
+   */
+  clear() {
+    this.grid.clear();
+    this.items.clear();
+    this.extent = null;
+  }
+
+  /**
+   * 查询包围盒包含指定点的对象
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @returns {Array} 对象数组
+   */
+  queryPoint(x, y) {
+    const cell = this.grid.get(this.getCellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize)));
+    if (!cell) return [];
+
+    const results = [];
+    cell.forEach(item => {
+      const { bounds } = this.items.get(item);
+      if (x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY) {
+        results.push(item);
+      }
+    });
+    return results;
+  }
+
+  /**
+   * 查询包围盒与指定矩形相交的对象
+   * @param {Object} rect - 矩形 {minX, minY, maxX, maxY}
+   * @returns {Array} 对象数组
+   */
+  queryRect(rect) {
+    const results = new Set();
+    this.forEachCell(this.getCellRange(rect), key => {
+      const cell = this.grid.get(key);
+      if (!cell) return;
+      cell.forEach(item => {
+        if (results.has(item)) return;
+        const { bounds } = this.items.get(item);
+        if (bounds.minX <= rect.maxX && bounds.maxX >= rect.minX &&
+            bounds.minY <= rect.maxY && bounds.maxY >= rect.minY) {
+          results.add(item);
+        }
+      });
+    });
+    return [...results];
+  }
+
+  /**
+   * 查询离指定点最近的对象（按点到包围盒的距离）
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {Object} options - 查询选项
+   * @param {number} options.maxDistance - 最大距离，默认不限
+   * @param {Function} options.filter - 过滤函数 (item) => boolean，可选
+   * @param {Function} options.distance - 距离函数 (item, bounds) => number，可选，不小于到包围盒的距离
+   * @returns {Object|null} { item, distance }，没有符合条件的对象时为 null
+   */
+  nearest(x, y, { maxDistance = Infinity, filter = null, distance = null } = {}) {
+    if (!this.extent) return null;
+
+    const cx = Math.floor(x / this.cellSize);
+    const cy = Math.floor(y / this.cellSize);
+    const { minX, minY, maxX, maxY } = this.extent;
+    // 查询点在已登记范围外时，从第一个与范围相交的环开始，到覆盖整个范围的环为止
+    const firstRing = Math.max(minX - cx, cx - maxX, minY - cy, cy - maxY, 0);
+    const lastRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy, 0);
+    const visited = new Set();
+    let best = null;
+    let bestDistance = maxDistance;
+
+    for (let ring = firstRing; ring <= lastRing; ring++) {
+      // 第 ring 环中的任意点到查询点的距离不小于 (ring - 1) * cellSize
+      if ((ring - 1) * this.cellSize > bestDistance) break;
+
+      this.forEachRingCell(cx, cy, ring, key => {
+        const cell = this.grid.get(key);
+        if (!cell) return;
+        cell.forEach(item => {
+          if (visited.has(item)) return;
+          visited.add(item);
+          if (filter && !filter(item)) return;
+
+          const { bounds } = this.items.get(item);
+          const d = distance ? distance(item, bounds) : boundsDistance(x, y, bounds);
+          if (d <= bestDistance && (!best || d < best.distance)) {
+            best = { item, distance: d };
+            bestDistance = d;
+          }
+        });
+      });
+    }
+
+    return best;
+  }
+
+  /**
+   * 计算包围盒覆盖的单元格范围
+   * @param {Object} bounds - 包围盒
+   * @returns {Object} 单元格范围 {minX, minY, maxX, maxY}
+   */
+  getCellRange(bounds) {
+    return {
+      minX: Math.floor(bounds.minX / this.cellSize),
+      minY: Math.floor(bounds.minY / this.cellSize),
+      maxX: Math.floor(bounds.maxX / this.cellSize),
+      maxY: Math.floor(bounds.maxY / this.cellSize)
+    };
+  }
+
+  /**
+   * 单元格键
+   * @param {number} cx - 单元格列
+   * @param {number} cy - 单元格行
+   * @returns {string}
+   */
+  getCellKey(cx, cy) {
+    return `${cx},${cy}`;
+  }
+
+  /**
+   * 遍历单元格范围内的所有单元格
+   * @param {Object} range - 单元格范围
+   * @param {Function} callback - 回调 (key) => void
+   */
+  forEachCell(range, callback) {
+    for (let cx = range.minX; cx <= range.maxX; cx++) {
+      for (let cy = range.minY; cy <= range.maxY; cy++) {
+        callback(this.getCellKey(cx, cy));
+      }
+    }
+  }
+
+  /**
+   * 遍历以 (cx, cy) 为中心、第 ring 环上且位于已登记范围内的单元格
+   * @param {number} cx - 中心单元格列
+   * @param {number} cy - 中心单元格行
+   * @param {number} ring - 环序号，0 表示中心单元格
+   * @param {Function} callback - 回调 (key) => void
+   */
+  forEachRingCell(cx, cy, ring, callback) {
+    const { minX, minY, maxX, maxY } = this.extent;
+    const fromX = Math.max(cx - ring, minX);
+    const toX = Math.min(cx + ring, maxX);
+
+    [cy - ring, cy + ring].forEach((row, i) => {
+      if (row < minY || row > maxY || (i === 1 && ring === 0)) return;
+      for (let col = fromX; col <= toX; col++) {
+        callback(this.getCellKey(col, row));
+      }
+    });
+
+    const fromY = Math.max(cy - ring + 1, minY);
+    const toY = Math.min(cy + ring - 1, maxY);
+    [cx - ring, cx + ring].forEach(col => {
+      if (ring === 0 || col < minX || col > maxX) return;
+      for (let row = fromY; row <= toY; row++) {
+        callback(this.getCellKey(col, row));
+      }
+    });
+  }
+
+  /**
+   * 从单元格中移除对象，单元格为空时删除
+   * @param {string} key - 单元格键
+   * @param {*} item - 对象
+   */
+  removeFromCell(key, item) {
+    const cell = this.grid.get(key);
+    if (!cell) return;
+    cell.delete(item);
+    if (cell.size === 0) {
+      this.grid.delete(key);
+    }
+  }
+}
+
+/**
+ * 点到包围盒的距离（点在包围盒内时为0）
+ * @param {number} x - X坐标
+ * @param {number} y - Y坐标
+ * @param {Object} bounds - 包围盒 {minX, minY, maxX, maxY}
+ * @returns {number}
+ */
+export function boundsDistance(x, y, bounds) {
+  const dx = Math.max(bounds.minX - x, 0, x - bounds.maxX);
+  const dy = Math.max(bounds.minY - y, 0, y - bounds.maxY);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * 两个单元格范围是否相同
+ * @param {Object} a - 单元格范围
+ * @param {Object} b - 单元格范围
+ * @returns {boolean}
+ */
+function sameRange(a, b) {
+  return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+}
@@ -14,7 +14,25 @@ export const VIEWPORT_CONFIG = {
   ZOOM_IN_FACTOR: 1.2,
   ZOOM_OUT_FACTOR: 0.8,
   WHEEL_ZOOM_IN_FACTOR: 1.1,
-  WHEEL_ZOOM_OUT_FACTOR: 0.9
+  WHEEL_ZOOM_OUT_FACTOR: 0.9,
+  CLICK_TOLERANCE: 4,         // 按下到抬起移动不超过此距离（像素）视为点击
+  FRAME_MS: 1000 / 60,        // 动画参数按60帧/秒的一帧定义，实际帧间隔不同时按比例换算
+  INERTIA_FRICTION: 0.92,     // 惯性平移每帧保留的速度比例
+  INERTIA_MIN_SPEED: 0.02,    // 速度低于此值（像素/毫秒）时停止惯性平移
+  INERTIA_MAX_SPEED: 5,       // 惯性平移的最大初速度（像素/毫秒）
+  INERTIA_SAMPLE_WINDOW: 100, // 按抬起前这段时间（毫秒）内的移动计算初速度，停顿超过此时间则没有惯性
+  ZOOM_SMOOTHING: 0.25,       // 平滑缩放每帧向目标缩放靠近的比例
+  ZOOM_EPSILON: 0.001,        // 与目标缩放的相对误差小于此值时结束平滑缩放
+  PINCH_ZOOM_SENSITIVITY: 0.01, // 触控板捏合（Ctrl+滚轮）每单位 deltaY 的缩放指数
+  FLY_DURATION: 800,          // 飞行定位的默认时长（毫秒）
+  FLY_EASING: 'easeInOutCubic',
+  FLY_PADDING: 0.1,           // 飞行定位到范围时四周的边距比例
+  FLY_ZOOM_OUT_MARGIN: 1.5    // 飞行途中缩小到能同时看到起点和终点，视窗短边为两点距离的此倍数
+};
+
+// 视窗书签配置
+export const BOOKMARK_CONFIG = {
+  MAX_SLOTS: 9                // 书签编号 1~9，对应数字键
 };
 
 // 动画配置
@@ -44,7 +62,21 @@ export const GRAPHICS_CONFIG = {
     { x: 10, y: 30 }, { x: 60, y: 30 }, { x: 60, y: 50 }, { x: 165, y: 20 },
     { x: 185, y: 20 }, { x: 185, y: 70 }, { x: 165, y: 70 }
   ],
-  
+
+  // 厂区默认样式
+  FACTORY_FILL_COLOR: 0x8B4513,
+  FACTORY_STROKE_COLOR: 0x000000,
+
+  // 厂区内部建筑（办公楼、车间等）
+  FACTORY_BUILDINGS: [
+    { id: 'main-workshop', name: '主厂房', x: 70, y: 60, width: 60, height: 30, fillColor: 0x654321 },
+    { id: 'office', name: '办公楼', x: 15, y: 60, width: 30, height: 30, fillColor: 0xD2B48C },
+    { id: 'warehouse', name: '仓库', x: 80, y: 120, width: 50, height: 25, fillColor: 0xA0522D },
+    { id: 'chimney', name: '烟囱', x: 170, y: 20, width: 10, height: 50, fillColor: 0x696969 }
+  ],
+  BUILDING_STROKE_WIDTH: 1,
+  BUILDING_STROKE_COLOR: 0x000000,
+
   // PBS单元配置
   PBS_DATA: [
     { x: 100, y: 100, color: 0x00ff00, shape: 'circle', size: 5 },
@@ -80,6 +112,269 @@ export const GRAPHICS_CONFIG = {
   CONTAINER_SCALE_RATIO: 0.9
 };
 
+// 撤销/重做历史配置
+export const HISTORY_CONFIG = {
+  MAX_STEPS: 100,            // 最多保留的历史步数
+  COALESCE_INTERVAL: 500     // 同类连续操作合并为一步的时间窗口（毫秒）
+};
+
+// 顶点编辑器配置（尺寸单位为屏幕像素，不随缩放变化）
+export const VERTEX_EDITOR_CONFIG = {
+  MIN_VERTICES: 3,
+  HANDLE_SIZE: 8,
+  MIDPOINT_RADIUS: 4,
+  HIT_TOLERANCE: 8,
+  HANDLE_COLOR: 0xffffff,
+  SELECTED_HANDLE_COLOR: 0xff3333,
+  MIDPOINT_COLOR: 0xffffff,
+  MIDPOINT_ALPHA: 0.6,
+  HANDLE_STROKE_COLOR: 0x000000
+};
+
+// 区域（危险区域、扩建用地等）配置
+export const ZONE_CONFIG = {
+  DEFAULT_TYPE: 'hazard',
+  TYPES: {
+    hazard: { label: '危险区域', color: 0xff3333 },
+    expansion: { label: '扩建用地', color: 0x33cc33 }
+  },
+  ALPHA: 0.45,
+  STROKE_WIDTH: 1
+};
+
+// 绘制工具配置（尺寸单位为屏幕像素）
+export const DRAWING_TOOL_CONFIG = {
+  MIN_VERTICES: 3,
+  CLOSE_TOLERANCE: 10,        // 点击距第一个顶点小于此距离时闭合图形
+  DUPLICATE_TOLERANCE: 2,     // 距上一个顶点小于此距离的点击视为重复（双击）
+  LINE_WIDTH: 2,
+  LINE_COLOR: 0xffffff,
+  VERTEX_RADIUS: 3,
+  CLOSE_HINT_RADIUS: 8
+};
+
+// PBS标签配置（尺寸单位为屏幕像素，不随缩放变化）
+export const LABEL_CONFIG = {
+  FONT_FAMILY: 'Arial',
+  FONT_SIZE: 12,
+  FILL_COLOR: 0xffffff,
+  STROKE_COLOR: 0x000000,
+  STROKE_WIDTH: 3,
+  OFFSET: 4,                  // 标签顶部与单元外沿的间距
+  PADDING: 2,                 // 碰撞检测时标签四周的留白
+  GRID_CELL_SIZE: 64          // 碰撞检测网格的单元格边长
+};
+
+// PBS选择高亮配置（尺寸单位为屏幕像素）
+export const SELECTION_CONFIG = {
+  COLOR: 0xffcc00,
+  LINE_WIDTH: 2,
+  PADDING: 3,                 // 高亮轮廓与单元外沿的间距
+  BOX_LINE_WIDTH: 1,          // 框选矩形
+  BOX_FILL_ALPHA: 0.15
+};
+
+// PBS悬停提示框配置（单位为CSS像素）
+export const TOOLTIP_CONFIG = {
+  OFFSET_X: 14,               // 提示框相对指针的偏移
+  OFFSET_Y: 14
+};
+
+// PBS拖拽约束配置（每个厂区可单独设置规则，见 factoryData.containment）
+export const CONTAINMENT_CONFIG = {
+  // none: 不限制；clamp: 限制在厂区轮廓内的最近位置；snapBack: 标记无效位置，松开时退回原位
+  RULES: ['none', 'clamp', 'snapBack'],
+  DEFAULT_RULE: 'clamp',
+  CIRCLE_SAMPLES: 16,         // 圆形单元轮廓的采样点数
+  CLAMP_ITERATIONS: 12,       // 限制位置时沿移动方向二分查找的次数
+  INVALID_TINT: 0xff4d4d      // 无效位置的着色
+};
+
+// PBS间距检查配置
+export const CLEARANCE_CONFIG = {
+  // 各设备类型要求的最小间距（厂区坐标），两个单元之间取较大者
+  RADII: {
+    pump: 3,
+    compressor: 6,
+    tank: 5,
+    reactor: 8,
+    conveyor: 2,
+    other: 3
+  },
+  DEFAULT_RADIUS: 3,          // 未指定设备类型时的最小间距
+  RING_COLOR: 0xff3333,       // 间距冲突圈颜色
+  RING_LINE_WIDTH: 2,         // 间距冲突圈线宽（屏幕像素）
+  RING_ALPHA: 0.8
+};
+
+// PBS空间索引配置
+export const SPATIAL_INDEX_CONFIG = {
+  CELL_SIZE: 20               // 均匀网格单元格大小（厂区坐标）
+};
+
+// 视窗裁剪和细节层次配置
+// 缩放级别 = 厂区坐标1单位对应的屏幕像素数（视窗缩放 × 厂区缩放）
+export const LOD_CONFIG = {
+  CULL_MARGIN: 16,            // 可见区域四周额外保留的范围（屏幕像素），避免边缘单元闪烁
+  DOT_ZOOM: 0.6,              // 缩放级别低于此值时PBS单元显示为点
+  CLUSTER_ZOOM: 0.25,         // 缩放级别低于此值时PBS单元按网格聚合显示
+  DOT_SIZE: 1,                // 点的边长（屏幕像素）
+  CLUSTER_CELL_SIZE: 32,      // 聚合网格单元格边长（屏幕像素），缩放级别每跨过一个2的幂重新聚合，实际为32~64像素
+  CLUSTER_MIN_RADIUS: 8,      // 聚合标记半径（屏幕像素），随单元数量增大
+  CLUSTER_MAX_RADIUS: 18,
+  CLUSTER_ALPHA: 0.85,
+  CLUSTER_STROKE_COLOR: 0xffffff,
+  CLUSTER_STROKE_WIDTH: 1.5,
+  CLUSTER_FONT_FAMILY: 'Arial',
+  CLUSTER_FONT_SIZE: 11,
+  CLUSTER_TEXT_COLOR: 0xffffff,
+  CLUSTER_TEXT_STROKE_COLOR: 0x000000,
+  CLUSTER_TEXT_STROKE_WIDTH: 2,
+  CLUSTER_FIT_PADDING: 0.2,   // 点击聚合标记时放大到其范围的边距比例
+  BUILDING_MIN_SIZE: 4        // 建筑较短边小于此值（屏幕像素）时不绘制
+};
+
+// 小地图配置（尺寸单位为CSS像素）
+export const MINIMAP_CONFIG = {
+  WIDTH: 200,
+  HEIGHT: 140,
+  PADDING: 8,                 // 场景四周留白
+  UNIT_SIZE: 2,               // PBS单元显示为方点的边长
+  VIEWPORT_COLOR: 0xe8590c,   // 当前视窗矩形
+  VIEWPORT_LINE_WIDTH: 1.5,
+  VIEWPORT_FILL_ALPHA: 0.12
+};
+
+// 实际尺寸标定配置
+// 标定后 实际长度 = 场景长度（厂区本地坐标）× scale，scale 和单位随场景文档保存
+export const CALIBRATION_CONFIG = {
+  UNITS: {
+    m: { label: '米', symbol: 'm', metres: 1 },
+    ft: { label: '英尺', symbol: 'ft', metres: 0.3048 }
+  },
+  DEFAULT_UNIT: 'm',
+  // 标定工具（尺寸单位为屏幕像素）
+  SNAP_DISTANCE: 12,                // 拾取厂区轮廓的吸附距离
+  POINT_RADIUS: 5,
+  LINE_WIDTH: 2,
+  LINE_COLOR: 0x00bcd4,
+  SNAP_COLOR: 0xffeb3b,
+  // 导出时绘制的比例尺（长度按输出区域的比例计算）
+  SCALE_BAR_MAX_RATIO: 0.25,        // 比例尺最大长度占输出宽度的比例
+  SCALE_BAR_MARGIN_RATIO: 0.03,     // 距输出区域左下角的边距占较短边的比例
+  SCALE_BAR_TICK_RATIO: 0.015,      // 端点刻度高度占较短边的比例
+  SCALE_BAR_FONT_RATIO: 0.025,      // 文字大小占较短边的比例
+  SCALE_BAR_COLOR: 0x000000
+};
+
+// 网格和网格吸附配置
+export const GRID_CONFIG = {
+  DEFAULT_PITCH: 1,                 // 默认吸附间距（已标定时为实际单位，否则为场景坐标单位）
+  MIN_SPACING: 8,                   // 次网格线的最小屏幕间距（像素），间距过密时按 1/2/5 倍数放大
+  MAJOR_EVERY: 5,                   // 每隔多少条次网格线画一条主网格线
+  MINOR_COLOR: 0x000000,
+  MINOR_ALPHA: 0.08,
+  MAJOR_COLOR: 0x000000,
+  MAJOR_ALPHA: 0.2,
+  LINE_WIDTH: 1                     // 线宽（屏幕像素）
+};
+
+// 对象吸附配置（尺寸单位为屏幕像素）
+export const SNAP_CONFIG = {
+  DISTANCE: 10,                     // 对象吸附和中心对齐的距离
+  // 吸附目标的优先级，距离内同时有多个目标时取靠前的类型，同类型取最近的
+  PRIORITY: ['vertex', 'midpoint', 'center', 'perpendicular'],
+  MARKER_SIZE: 6,                   // 吸附提示图形的半径
+  LINE_WIDTH: 1.5,
+  COLOR: 0x00c853,
+  GUIDE_COLOR: 0xe91e63,            // 对齐参考线
+  GUIDE_WIDTH: 1,
+  GUIDE_DASH: 4                     // 参考线虚线段长度
+};
+
+// 测量工具配置（尺寸单位为屏幕像素）
+export const MEASURE_CONFIG = {
+  SNAP_DISTANCE: 10,                // 吸附厂区顶点和PBS单元中心的距离
+  DUPLICATE_TOLERANCE: 3,           // 与上一个点距离小于该值的点击被忽略（双击的第二次按下）
+  POINT_RADIUS: 4,
+  SNAP_RADIUS: 7,                   // 吸附提示圈半径
+  LINE_WIDTH: 2,
+  ANGLE_RADIUS: 18,                 // 角度弧线半径
+  LINE_COLOR: 0xff5722,             // 正在测量
+  PINNED_COLOR: 0x3f51b5,           // 已固定的测量
+  SNAP_COLOR: 0xffeb3b,
+  AREA_ALPHA: 0.12,
+  FONT_FAMILY: 'Arial',
+  FONT_SIZE: 12,
+  FONT_COLOR: 0xffffff,
+  FONT_STROKE_WIDTH: 3,             // 文字描边宽度，描边颜色与线条相同
+  LABEL_OFFSET: 10,                 // 总长标签与终点的间距
+  DECIMALS: 2,                      // 长度和面积保留的小数位数
+  ANGLE_DECIMALS: 1                 // 角度保留的小数位数
+};
+
+// 几何分析面板配置
+export const GEOMETRY_CONFIG = {
+  DECIMALS: 1,                      // 数值保留的小数位数
+  ORIENTATION_LABELS: {
+    clockwise: '顺时针',
+    counterclockwise: '逆时针',
+    degenerate: '退化（面积为0）'
+  }
+};
+
+// 场景文档配置
+export const SCENE_CONFIG = {
+  VERSION: 1,
+  PBS_SHAPES: ['circle', 'rect', 'polygon'],
+  // URL查询参数名，例如 index.html?scene=./pixiv8-my/scenes/default-scene.json
+  URL_PARAM: 'scene'
+};
+
+// PBS形状名称
+export const PBS_SHAPE_LABELS = {
+  circle: '圆形',
+  rect: '矩形',
+  polygon: '多边形'
+};
+
+// PBS设备类型
+export const EQUIPMENT_TYPES = {
+  pump: '泵',
+  compressor: '压缩机',
+  tank: '储罐',
+  reactor: '反应器',
+  conveyor: '输送机',
+  other: '其他'
+};
+
+// PBS单元属性定义（场景文档校验和属性面板共用）
+// type: 'string' | 'enum' | 'date'（YYYY-MM-DD），未填写时均为 null
+// 另有自由属性 properties: { 键: 字符串 | 数值 | 布尔值 }
+export const PBS_ATTRIBUTES = [
+  { key: 'name', label: '名称', type: 'string' },
+  { key: 'equipmentType', label: '设备类型', type: 'enum', options: EQUIPMENT_TYPES },
+  { key: 'owner', label: '负责人', type: 'string' },
+  { key: 'commissionedAt', label: '投运日期', type: 'date' }
+];
+
+// 导出配置
+export const EXPORT_CONFIG = {
+  // 导出范围：当前视窗 / 整个场景
+  MODES: ['viewport', 'scene'],
+  DEFAULT_MODE: 'scene',
+  SCENE_PADDING: 10,                  // 整个场景导出时四周留白（舞台坐标）
+  CENTER_DOT_COLOR: 0xffffff,         // 质心标记颜色
+  GEOMETRIC_CENTER_DOT_COLOR: 0x00ff00, // 几何中心标记颜色
+  CENTER_DOT_STROKE_COLOR: 0x000000,
+  // PNG导出
+  SCREEN_DPI: 96,                     // 舞台坐标1单位在缩放为1时对应的屏幕DPI
+  PNG_DEFAULT_DPI: 300,
+  PNG_TILE_SIZE: 2048,                // 单个分块的最大边长（像素），不超过GPU最大纹理尺寸
+  PNG_FALLBACK_MAX_TEXTURE_SIZE: 4096, // 无法查询GPU最大纹理尺寸时使用
+  PNG_MAX_CANVAS_SIZE: 32767          // 拼接画布的最大边长（像素），受浏览器限制
+};
+
 // 应用配置
 export const APP_CONFIG = {
   DEFAULT_BACKGROUND_COLOR: 0x1099bb,
@@ -0,0 +1,31 @@
+/**
+ * 文件下载工具函数
+ * 用于将导出结果保存为本地文件
+ */
+
+/**
+ * 下载Blob为文件
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // 延迟释放，确保浏览器已开始下载
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 下载文本为文件
+ * @param {string} text - 文本内容
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - MIME类型，默认 'text/plain'
+ */
+export function downloadText(text, filename, mimeType = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+}
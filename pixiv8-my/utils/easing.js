@@ -0,0 +1,24 @@
+/**
+ * 缓动函数
+ * 输入为 0~1 的动画进度，输出为 0~1 的插值比例
+ */
+
+export const EASINGS = {
+  linear: t => t,
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * 获取缓动函数
+ * @param {string|Function} easing - 缓动函数名（见 EASINGS）或函数
+ * @returns {Function} 缓动函数
+ */
+export function getEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (!EASINGS[easing]) {
+    throw new Error(`未知的缓动函数: ${easing}`);
+  }
+  return EASINGS[easing];
+}
@@ -12,7 +12,85 @@ export function calculatePolygonCenter(points) {
     if (points.length < 3) {
         throw new Error('多边形至少需要3个顶点');
     }
-    
+
+    return shoelace(points).centroid;
+}
+
+/**
+ * 计算多边形的周长（包含最后一个顶点回到第一个顶点的边）
+ * @param {Array} points - 多边形顶点数组，每个顶点包含 x, y 属性
+ * @returns {number} 周长
+ */
+export function calculatePolygonPerimeter(points) {
+    let perimeter = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        perimeter += Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+    }
+    return perimeter;
+}
+
+/**
+ * 计算点集的外接矩形（与坐标轴对齐）
+ * @param {Array} points - 顶点数组，每个顶点包含 x, y 属性
+ * @returns {Object} 外接矩形 {minX, minY, maxX, maxY, width, height}
+ */
+export function calculateBoundingBox(points) {
+    if (points.length === 0) {
+        throw new Error('顶点数组不能为空');
+    }
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    });
+
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * 计算多边形的几何指标
+ * @param {Array} points - 多边形顶点数组，每个顶点包含 x, y 属性
+ * @returns {Object} 指标对象
+ *   - area: 面积（绝对值）
+ *   - signedArea: 有向面积，屏幕坐标（y轴向下）中顶点按顺时针排列时为正，逆时针为负
+ *   - perimeter: 周长
+ *   - bounds: 外接矩形 {minX, minY, maxX, maxY, width, height}
+ *   - orientation: 顶点方向（屏幕坐标） 'clockwise' | 'counterclockwise' | 'degenerate'（面积为0）
+ *   - centroid: 质心 {x, y}，面积为0时为顶点的算术平均
+ */
+export function analyzePolygon(points) {
+    if (points.length < 3) {
+        throw new Error('多边形至少需要3个顶点');
+    }
+
+    const { area, centroid } = shoelace(points);
+    let orientation = 'degenerate';
+    if (Math.abs(area) >= 1e-10) {
+        orientation = area > 0 ? 'clockwise' : 'counterclockwise';
+    }
+
+    return {
+        area: Math.abs(area),
+        signedArea: area,
+        perimeter: calculatePolygonPerimeter(points),
+        bounds: calculateBoundingBox(points),
+        orientation,
+        centroid
+    };
+}
+
+/**
+ * 使用Shoelace公式同时计算多边形的有向面积和质心
+ * @param {Array} points - 多边形顶点数组，每个顶点包含 x, y 属性
+ * @returns {Object} { area, centroid: {x, y} }
+ */
+function shoelace(points) {
     let area = 0;
     let centerX = 0;
     let centerY = 0;
@@ -37,8 +115,8 @@ export function calculatePolygonCenter(points) {
         centerY = centerY / (6 * area);
     }
     
-    return { x: centerX, y: centerY };
-} 
+    return { area, centroid: { x: centerX, y: centerY } };
+}
 
 /**
  * 计算多边形的几何中心（顶点坐标的算术平均值）
@@ -64,4 +142,304 @@ export function calculateGeometricCenter(points) {
     const centerY = sumY / points.length;
     
     return { x: centerX, y: centerY };
-}
\ No newline at end of file
+}
+
+/**
+ * 判断点是否在多边形内（射线法，边界上的点视为在内部）
+ * @param {Object} point - 待检测的点 {x, y}
+ * @param {Array} points - 多边形顶点数组，每个顶点包含 x, y 属性
+ * @returns {boolean} 是否在多边形内
+ */
+export function pointInPolygon(point, points) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+
+        // 点在边上
+        const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+        if (Math.abs(cross) < 1e-10 &&
+            point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x) &&
+            point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y)) {
+            return true;
+        }
+
+        // 水平射线与边相交
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * 判断本地坐标点是否在PBS单元的形状内
+ * 形状定义与 PBSRenderer.drawShape 一致：圆形半径为 size，矩形边长为 size，多边形使用 points
+ * @param {Object} pbsData - PBS数据 {shape, size, points}
+ * @param {Object} point - PBS单元本地坐标 {x, y}
+ * @returns {boolean} 是否在形状内
+ */
+export function shapeContainsPoint(pbsData, point) {
+    const { shape, size, points } = pbsData;
+
+    if (shape === 'circle') {
+        return point.x * point.x + point.y * point.y <= size * size;
+    }
+    if (shape === 'rect') {
+        return Math.abs(point.x) <= size / 2 && Math.abs(point.y) <= size / 2;
+    }
+    if (shape === 'polygon' && points && points.length >= 3) {
+        return pointInPolygon(point, points);
+    }
+    return false;
+}
+
+/**
+ * 计算PBS单元在父容器本地坐标中的轮廓点
+ * 圆形按 samples 个点采样，矩形取四个角点，多边形取全部顶点，均考虑单元的旋转
+ * @param {Object} pbsData - PBS数据 {shape, size, points}
+ * @param {Object} position - 单元位置（父容器本地坐标） {x, y}
+ * @param {number} rotation - 单元旋转角度（弧度）
+ * @param {number} samples - 圆形的采样点数
+ * @returns {Array} 轮廓点数组
+ */
+export function getShapeFootprint(pbsData, position, rotation = 0, samples = 16) {
+    const { shape, size, points } = pbsData;
+    let local;
+
+    if (shape === 'circle') {
+        local = [];
+        for (let i = 0; i < samples; i++) {
+            const angle = (i / samples) * Math.PI * 2;
+            local.push({ x: Math.cos(angle) * size, y: Math.sin(angle) * size });
+        }
+    } else if (shape === 'rect') {
+        const half = size / 2;
+        local = [
+            { x: -half, y: -half }, { x: half, y: -half },
+            { x: half, y: half }, { x: -half, y: half }
+        ];
+    } else if (shape === 'polygon' && points && points.length >= 3) {
+        local = points;
+    } else {
+        return [{ x: position.x, y: position.y }];
+    }
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return local.map(p => ({
+        x: position.x + p.x * cos - p.y * sin,
+        y: position.y + p.x * sin + p.y * cos
+    }));
+}
+
+/**
+ * 将多边形的各边向外（或向内）平移指定距离，返回新的顶点数组
+ * 顶点沿相邻两边法线的角平分线移动（斜接），尖角处的移动距离不超过 miterLimit 倍平移距离
+ * @param {Array} points - 多边形顶点数组，每个顶点包含 x, y 属性，顺时针或逆时针均可
+ * @param {number} distance - 平移距离，正数向外，负数向内
+ * @param {number} miterLimit - 尖角处顶点移动距离与平移距离之比的上限，默认2
+ * @returns {Array} 平移后的顶点数组，顶点数量和顺序与原数组相同
+ */
+export function offsetPolygon(points, distance, miterLimit = 2) {
+    if (points.length < 3 || distance === 0) {
+        return points.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    // 屏幕坐标中顺时针（有向面积为正）时边方向 (dx, dy) 的外法线为 (dy, -dx)
+    const sign = shoelace(points).area >= 0 ? 1 : -1;
+    const normals = points.map((p, i) => {
+        const next = points[(i + 1) % points.length];
+        const length = Math.hypot(next.x - p.x, next.y - p.y);
+        return length === 0
+            ? { x: 0, y: 0 }
+            : { x: sign * (next.y - p.y) / length, y: -sign * (next.x - p.x) / length };
+    });
+
+    return points.map((p, i) => {
+        const a = normals[(i + points.length - 1) % points.length];
+        const b = normals[i];
+        const mx = a.x + b.x;
+        const my = a.y + b.y;
+        const length = Math.hypot(mx, my);
+        if (length === 0) {
+            return { x: p.x, y: p.y };
+        }
+        // 斜接长度为 distance / cos(θ/2)，其中 cos(θ/2) = |a + b| / 2
+        const miter = Math.min(2 / length, miterLimit) * distance;
+        return { x: p.x + mx / length * miter, y: p.y + my / length * miter };
+    });
+}
+
+/**
+ * 计算线段上离指定点最近的点
+ * @param {Object} point - 点 {x, y}
+ * @param {Object} a - 线段起点 {x, y}
+ * @param {Object} b - 线段终点 {x, y}
+ * @returns {Object} 最近点 {x, y}
+ */
+export function closestPointOnSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared === 0 ? 0 : ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+/**
+ * 计算点到线段的距离
+ * @param {Object} point - 点 {x, y}
+ * @param {Object} a - 线段起点 {x, y}
+ * @param {Object} b - 线段终点 {x, y}
+ * @returns {number} 距离
+ */
+export function pointSegmentDistance(point, a, b) {
+    const closest = closestPointOnSegment(point, a, b);
+    return Math.hypot(point.x - closest.x, point.y - closest.y);
+}
+
+/**
+ * 计算两条线段在公共顶点处的夹角
+ * @param {Object} a - 第一条线段的另一端点 {x, y}
+ * @param {Object} vertex - 公共顶点 {x, y}
+ * @param {Object} b - 第二条线段的另一端点 {x, y}
+ * @returns {number} 夹角（度），范围 0~180；任一线段长度为0时为 0
+ */
+export function calculateAngle(a, vertex, b) {
+    const ax = a.x - vertex.x;
+    const ay = a.y - vertex.y;
+    const bx = b.x - vertex.x;
+    const by = b.y - vertex.y;
+    if ((ax === 0 && ay === 0) || (bx === 0 && by === 0)) return 0;
+    return Math.abs(Math.atan2(ax * by - ay * bx, ax * bx + ay * by)) * 180 / Math.PI;
+}
+
+/**
+ * 计算折线的测量值
+ * @param {Array} points - 折线顶点数组，每个顶点包含 x, y 属性
+ * @returns {Object} 测量值
+ *   - segments: 各段长度
+ *   - total: 总长
+ *   - angles: 各内部顶点处相邻两段的夹角（度），angles[i] 对应 points[i + 1]
+ *   - area: 首尾相连围成的多边形面积，不足3个顶点时为 null
+ *   - centroid: 该多边形的质心 {x, y}，不足3个顶点时为 null
+ */
+export function measurePolyline(points) {
+    const segments = [];
+    for (let i = 1; i < points.length; i++) {
+        segments.push(Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+
+    const angles = [];
+    for (let i = 1; i < points.length - 1; i++) {
+        angles.push(calculateAngle(points[i - 1], points[i], points[i + 1]));
+    }
+
+    let area = null;
+    let centroid = null;
+    if (points.length >= 3) {
+        const result = shoelace(points);
+        area = Math.abs(result.area);
+        centroid = result.centroid;
+    }
+
+    return {
+        segments,
+        total: segments.reduce((sum, length) => sum + length, 0),
+        angles,
+        area,
+        centroid
+    };
+}
+
+/**
+ * 判断两条线段是否相交（含端点接触）
+ * @param {Object} a - 线段1起点
+ * @param {Object} b - 线段1终点
+ * @param {Object} c - 线段2起点
+ * @param {Object} d - 线段2终点
+ * @returns {boolean} 是否相交
+ */
+export function segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+
+    // 共线或端点落在另一条线段上
+    return (d1 === 0 && pointSegmentDistance(a, c, d) === 0) ||
+           (d2 === 0 && pointSegmentDistance(b, c, d) === 0) ||
+           (d3 === 0 && pointSegmentDistance(c, a, b) === 0) ||
+           (d4 === 0 && pointSegmentDistance(d, a, b) === 0);
+}
+
+/**
+ * 计算点到多边形的距离（点在多边形内时为0）
+ * @param {Object} point - 点 {x, y}
+ * @param {Array} points - 多边形顶点数组
+ * @returns {number} 距离
+ */
+export function pointPolygonDistance(point, points) {
+    if (pointInPolygon(point, points)) return 0;
+
+    let min = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        min = Math.min(min, pointSegmentDistance(point, points[j], points[i]));
+    }
+    return min;
+}
+
+/**
+ * 计算两个多边形之间的最短距离（相交或包含时为0）
+ * @param {Array} a - 多边形1顶点数组
+ * @param {Array} b - 多边形2顶点数组
+ * @returns {number} 距离
+ */
+export function polygonDistance(a, b) {
+    if (pointInPolygon(a[0], b) || pointInPolygon(b[0], a)) return 0;
+
+    let min = Infinity;
+    for (let i = 0, j = a.length - 1; i < a.length; j = i++) {
+        for (let k = 0, l = b.length - 1; k < b.length; l = k++) {
+            if (segmentsIntersect(a[j], a[i], b[l], b[k])) return 0;
+        }
+    }
+    a.forEach(point => {
+        min = Math.min(min, pointPolygonDistance(point, b));
+    });
+    b.forEach(point => {
+        min = Math.min(min, pointPolygonDistance(point, a));
+    });
+    return min;
+}
+
+/**
+ * 计算两个形状之间的最短距离（重叠时为0）
+ * 形状为圆形 { center: {x, y}, radius } 或多边形 { points: [...] }
+ * @param {Object} a - 形状1
+ * @param {Object} b - 形状2
+ * @returns {number} 距离
+ */
+export function shapeDistance(a, b) {
+    if (a.points && b.points) {
+        return polygonDistance(a.points, b.points);
+    }
+    if (a.points) {
+        return shapeDistance(b, a);
+    }
+    if (b.points) {
+        return Math.max(0, pointPolygonDistance(a.center, b.points) - a.radius);
+    }
+    const centerDistance = Math.hypot(a.center.x - b.center.x, a.center.y - b.center.y);
+    return Math.max(0, centerDistance - a.radius - b.radius);
+}
@@ -0,0 +1,15 @@
+/**
+ * ID生成工具函数
+ */
+
+let counter = 0;
+
+/**
+ * 生成在当前会话内唯一、跨会话基本不冲突的ID
+ * @param {string} prefix - ID前缀，如 'zone'
+ * @returns {string} 形如 'zone-lx2k9a-1' 的ID
+ */
+export function generateId(prefix) {
+  counter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${counter}`;
+}
@@ -0,0 +1,24 @@
+/**
+ * 舞台图层工具函数
+ * 编辑器覆盖层（选择高亮、间距冲突圈等）需要位于所有厂区之上、标签图层之下
+ */
+
+/**
+ * 保持覆盖层位于舞台上所有厂区之上
+ * 场景加载后新厂区会添加到舞台末尾，此时将覆盖层移到最上面的厂区之后
+ * @param {PIXI.Container} layer - 覆盖层
+ * @param {PIXI.Container} stage - 舞台
+ * @param {Array} factories - 厂区图形数组
+ */
+export function keepAboveFactories(layer, stage, factories) {
+  const topFactoryIndex = () => Math.max(-1, ...factories
+    .filter(factory => factory.parent === stage)
+    .map(factory => stage.getChildIndex(factory)));
+
+  if (layer.parent === stage && stage.getChildIndex(layer) > topFactoryIndex()) return;
+
+  if (layer.parent) {
+    layer.parent.removeChild(layer);
+  }
+  stage.addChildAt(layer, topFactoryIndex() + 1);
+}
@@ -0,0 +1,147 @@
+/**
+ * 实际尺寸换算工具函数
+ * 标定 calibration 为 { scale, unit }：实际长度 = 场景长度（厂区本地坐标）× scale，
+ * unit 取值为 CALIBRATION_CONFIG.UNITS 的键；未标定时 calibration 为 null，数值保持场景单位
+ */
+
+import { CALIBRATION_CONFIG } from './constants.js';
+
+/**
+ * 获取长度单位定义
+ * @param {string} unit - 单位键，如 'm'
+ * @returns {Object} { label, symbol, metres }
+ */
+export function getUnitConfig(unit) {
+  const config = CALIBRATION_CONFIG.UNITS[unit];
+  if (!config) {
+    throw new Error(`未知的长度单位: ${unit}`);
+  }
+  return config;
+}
+
+/**
+ * 由一段已知长度计算标定
+ * @param {number} sceneDistance - 场景长度
+ * @param {number} realDistance - 对应的实际长度
+ * @param {string} unit - 实际长度的单位
+ * @returns {Object} 标定 { scale, unit }
+ */
+export function createCalibration(sceneDistance, realDistance, unit = CALIBRATION_CONFIG.DEFAULT_UNIT) {
+  getUnitConfig(unit);
+  if (!(sceneDistance > 0) || !Number.isFinite(sceneDistance)) {
+    throw new Error('标定的两点不能重合');
+  }
+  if (!(realDistance > 0) || !Number.isFinite(realDistance)) {
+    throw new Error('实际距离必须是大于0的数值');
+  }
+  return { scale: realDistance / sceneDistance, unit };
+}
+
+/**
+ * 将标定换算为另一个单位，实际尺寸不变
+ * @param {Object} calibration - 标定 { scale, unit }
+ * @param {string} unit - 目标单位
+ * @returns {Object} 标定 { scale, unit }
+ */
+export function convertCalibration(calibration, unit) {
+  const from = getUnitConfig(calibration.unit);
+  const to = getUnitConfig(unit);
+  return { scale: calibration.scale * from.metres / to.metres, unit };
+}
+
+/**
+ * 场景长度换算为实际长度
+ * @param {number} value - 场景长度
+ * @param {Object|null} calibration - 标定
+ * @returns {number}
+ */
+export function toRealLength(value, calibration) {
+  return calibration ? value * calibration.scale : value;
+}
+
+/**
+ * 场景面积换算为实际面积
+ * @param {number} value - 场景面积
+ * @param {Object|null} calibration - 标定
+ * @returns {number}
+ */
+export function toRealArea(value, calibration) {
+  return calibration ? value * calibration.scale * calibration.scale : value;
+}
+
+/**
+ * 格式化长度（坐标值同样适用），未标定时不带单位
+ * @param {number} value - 场景长度
+ * @param {Object|null} calibration - 标定
+ * @param {number} decimals - 小数位数
+ * @returns {string} 如 '12.50 m'
+ */
+export function formatLength(value, calibration, decimals = 2) {
+  const text = toRealLength(value, calibration).toFixed(decimals);
+  return calibration ? `${text} ${getUnitConfig(calibration.unit).symbol}` : text;
+}
+
+/**
+ * 格式化面积，未标定时不带单位
+ * @param {number} value - 场景面积
+ * @param {Object|null} calibration - 标定
+ * @param {number} decimals - 小数位数
+ * @returns {string} 如 '120.00 m²'
+ */
+export function formatArea(value, calibration, decimals = 2) {
+  const text = toRealArea(value, calibration).toFixed(decimals);
+  return calibration ? `${text} ${getUnitConfig(calibration.unit).symbol}²` : text;
+}
+
+/**
+ * 将几何分析结果换算为实际尺寸
+ * @param {Object} metrics - 分析结果，见 GeometryAnalytics.createEntry
+ * @param {Object|null} calibration - 标定
+ * @returns {Object|null} { unit, area, perimeter, width, height, centroid: {x, y} }，未标定时为 null
+ */
+export function toRealMetrics(metrics, calibration) {
+  if (!calibration) return null;
+
+  const { area, perimeter, bounds, centroid } = metrics;
+  return {
+    unit: calibration.unit,
+    area: toRealArea(area, calibration),
+    perimeter: toRealLength(perimeter, calibration),
+    width: toRealLength(bounds.width, calibration),
+    height: toRealLength(bounds.height, calibration),
+    centroid: { x: toRealLength(centroid.x, calibration), y: toRealLength(centroid.y, calibration) }
+  };
+}
+
+/**
+ * 描述当前使用的单位，用于面板说明
+ * @param {Object|null} calibration - 标定
+ * @returns {string}
+ */
+export function describeCalibration(calibration) {
+  if (!calibration) {
+    return '未标定，数值为场景坐标单位';
+  }
+  const { label, symbol } = getUnitConfig(calibration.unit);
+  return `单位：${label}（1 场景单位 = ${Number(calibration.scale.toPrecision(4))} ${symbol}）`;
+}
+
+/**
+ * 计算比例尺：不超过指定长度的最大整齐实际长度（1、2、5 × 10 的整数次幂）
+ * @param {Object|null} calibration - 标定
+ * @param {number} outputPerSceneUnit - 场景坐标1单位对应的输出长度（输出像素或SVG单位）
+ * @param {number} maxLength - 比例尺的最大输出长度
+ * @returns {Object|null} { length（输出长度）, label }，未标定时为 null
+ */
+export function getScaleBar(calibration, outputPerSceneUnit, maxLength) {
+  if (!calibration || !(outputPerSceneUnit > 0) || !(maxLength > 0)) return null;
+
+  const maxReal = maxLength / outputPerSceneUnit * calibration.scale;
+  const base = Math.pow(10, Math.floor(Math.log10(maxReal)));
+  const real = [5, 2, 1].map(step => step * base).find(value => value <= maxReal) || base;
+
+  return {
+    length: real / calibration.scale * outputPerSceneUnit,
+    label: `${Number(real.toPrecision(6))} ${getUnitConfig(calibration.unit).symbol}`
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * 间距检查测试
+ * 拖拽过程中通过 notifyUnitsMoved 增量检查的结果，必须与在同一场景上重新检查全部单元的结果一致
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as PIXI from 'pixi.js';
+
+// 业务代码通过全局 PIXI 访问 PixiJS（浏览器中由 CDN 提供）
+globalThis.PIXI = PIXI;
+
+const { StateManager } = await import('../pixiv8-my/core/StateManager.js');
+const { UnitIndex } = await import('../pixiv8-my/core/UnitIndex.js');
+const { FactoryRenderer } = await import('../pixiv8-my/graphics/FactoryRenderer.js');
+const { SceneLoader } = await import('../pixiv8-my/scene/SceneLoader.js');
+const { ClearanceEngine } = await import('../pixiv8-my/analysis/ClearanceEngine.js');
+
+const fixture = JSON.parse(await readFile(new URL('../pixiv8-my/scenes/default-scene.json', import.meta.url), 'utf8'));
+
+/**
+ * 固定种子的伪随机数生成器（mulberry32），保证每次运行的移动序列相同
+ * @param {number} seed - 种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 冲突列表转换为可比较的形式（单元对按ID排序）
+ * @param {Array} violations - 冲突列表
+ * @returns {Array} 按单元对排序的 [{ pair, distance, required }]
+ */
+function describe(violations) {
+  return violations
+    .map(({ a, b, distance, required }) => ({
+      pair: [a.pbsData.id, b.pbsData.id].sort().join('|'),
+      distance,
+      required
+    }))
+    .sort((x, y) => x.pair.localeCompare(y.pair));
+}
+
+test('拖拽中的增量检查与全部重新检查结果一致', () => {
+  const app = { stage: new PIXI.Container(), screen: { width: 1, height: 1 }, autoStart: true };
+  const stateManager = new StateManager();
+  new SceneLoader(app, stateManager, new FactoryRenderer(app)).load(fixture);
+  const unitIndex = new UnitIndex(stateManager);
+  const engine = new ClearanceEngine(stateManager, unitIndex);
+  const reference = new ClearanceEngine(stateManager, unitIndex);
+  engine.refresh();
+
+  const units = stateManager.getFactoryGraphics()
+    .flatMap(factory => factory.children.filter(child => child.isPBS));
+  const random = createRandom(7);
+  let stepsWithViolations = 0;
+
+  try {
+    for (let step = 0; step < 100; step++) {
+      // 每步拖动 1~2 个单元到另一个单元附近，使冲突反复出现和消失
+      const moved = units.filter(() => random() < 0.3).slice(0, 2);
+      if (moved.length === 0) moved.push(units[step % units.length]);
+      moved.forEach(unit => {
+        const target = units[Math.floor(random() * units.length)];
+        unit.x = target.x + random() * 40 - 20;
+        unit.y = target.y + random() * 40 - 20;
+      });
+      stateManager.notifyUnitsMoved(moved);
+
+      const incremental = describe(engine.refresh());
+      reference.reset();
+      const full = describe(reference.refresh());
+
+      assert.deepEqual(incremental, full, `第 ${step} 步`);
+      if (full.length > 0) stepsWithViolations++;
+    }
+    // 移动序列必须覆盖有冲突的情况，否则比较没有意义
+    assert.ok(stepsWithViolations > 0);
+  } finally {
+    engine.destroy();
+    reference.destroy();
+    unitIndex.destroy();
+    app.stage.destroy({ children: true });
+  }
+});
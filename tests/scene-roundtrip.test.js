@@ -0,0 +1,36 @@
+/**
+ * 场景文档往返测试
+ * 示例场景经 SceneSerializer.verifyRoundTrip 在离屏舞台上加载并重新导出，结果必须与原文档一致
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as PIXI from 'pixi.js';
+
+// 业务代码通过全局 PIXI 访问 PixiJS（浏览器中由 CDN 提供）
+globalThis.PIXI = PIXI;
+
+const { StateManager } = await import('../pixiv8-my/core/StateManager.js');
+const { SceneSerializer, compareScenes } = await import('../pixiv8-my/scene/SceneSerializer.js');
+
+const fixture = JSON.parse(await readFile(new URL('../pixiv8-my/scenes/default-scene.json', import.meta.url), 'utf8'));
+
+test('示例场景往返无损', () => {
+  const result = new SceneSerializer(new StateManager()).verifyRoundTrip(fixture);
+  assert.deepEqual(result.differences, []);
+  assert.equal(result.lossless, true);
+});
+
+test('往返验证报告与原文档的差异', () => {
+  const changed = structuredClone(fixture);
+  changed.factories[0].outline[0].x += 1;
+  assert.equal(compareScenes(fixture, changed)[0].path, 'factories[0].outline[0].x');
+});
+
+test('往返验证不修改调用方的状态', () => {
+  const stateManager = new StateManager();
+  new SceneSerializer(stateManager).verifyRoundTrip(fixture);
+  assert.deepEqual(stateManager.getFactoryGraphics(), []);
+  assert.equal(stateManager.get('scene'), null);
+});
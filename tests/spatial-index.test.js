@@ -0,0 +1,147 @@
+/**
+ * 空间索引测试
+ * 随机插入、更新和移除对象后，点查询、矩形查询和最近邻查询的结果必须与逐个比较包围盒的结果一致
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialIndex, boundsDistance } from '../pixiv8-my/utils/SpatialIndex.js';
+
+const CELL_SIZE = 50;
+
+/**
+ * 固定种子的伪随机数生成器（mulberry32），保证每次运行的操作序列相同
+ * @param {number} seed - 种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 随机包围盒，坐标含负数，尺寸从点到跨越多个单元格
+ * @param {Function} random - 随机数函数
+ * @returns {Object} 包围盒 {minX, minY, maxX, maxY}
+ */
+function randomBounds(random) {
+  const x = random() * 1000 - 500;
+  const y = random() * 1000 - 500;
+  const width = random() < 0.2 ? 0 : random() * 150;
+  const height = random() < 0.2 ? 0 : random() * 150;
+  return { minX: x, minY: y, maxX: x + width, maxY: y + height };
+}
+
+/**
+ * 插入、更新和移除随机对象，同时维护一份对照用的包围盒表
+ * @param {Function} random - 随机数函数
+ * @returns {Object} { index, expected }，expected 为 对象 -> 包围盒
+ */
+function buildIndex(random) {
+  const index = new SpatialIndex(CELL_SIZE);
+  const expected = new Map();
+
+  for (let i = 0; i < 300; i++) {
+    const item = { id: i };
+    const bounds = randomBounds(random);
+    index.insert(item, bounds);
+    expected.set(item, bounds);
+  }
+
+  const items = [...expected.keys()];
+  items.forEach(item => {
+    const action = random();
+    if (action < 0.3) {
+      const bounds = randomBounds(random);
+      index.update(item, bounds);
+      expected.set(item, bounds);
+    } else if (action < 0.4) {
+      // 小范围移动，覆盖的单元格可能不变
+      const bounds = expected.get(item);
+      const dx = random() * 10 - 5;
+      const moved = { minX: bounds.minX + dx, minY: bounds.minY, maxX: bounds.maxX + dx, maxY: bounds.maxY };
+      index.update(item, moved);
+      expected.set(item, moved);
+    } else if (action < 0.55) {
+      assert.equal(index.remove(item), true);
+      expected.delete(item);
+    }
+  });
+
+  return { index, expected };
+}
+
+const sortById = items => items.map(item => item.id).sort((a, b) => a - b);
+
+test('插入、更新和移除后对象数量和包围盒正确', () => {
+  const { index, expected } = buildIndex(createRandom(1));
+  assert.equal(index.size, expected.size);
+  expected.forEach((bounds, item) => assert.deepEqual(index.getBounds(item), bounds));
+  assert.equal(index.remove({ id: -1 }), false);
+});
+
+test('点查询与逐个比较一致', () => {
+  const random = createRandom(2);
+  const { index, expected } = buildIndex(random);
+
+  for (let i = 0; i < 200; i++) {
+    const x = random() * 1400 - 700;
+    const y = random() * 1400 - 700;
+    const brute = [...expected].filter(([, b]) => x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY);
+    assert.deepEqual(sortById(index.queryPoint(x, y)), sortById(brute.map(([item]) => item)));
+  }
+});
+
+test('矩形查询与逐个比较一致', () => {
+  const random = createRandom(3);
+  const { index, expected } = buildIndex(random);
+
+  for (let i = 0; i < 200; i++) {
+    const rect = randomBounds(random);
+    const brute = [...expected].filter(([, b]) =>
+      b.minX <= rect.maxX && b.maxX >= rect.minX && b.minY <= rect.maxY && b.maxY >= rect.minY);
+    assert.deepEqual(sortById(index.queryRect(rect)), sortById(brute.map(([item]) => item)));
+  }
+});
+
+test('最近邻查询与逐个比较一致（含已登记范围外的查询点、最大距离和过滤）', () => {
+  const random = createRandom(4);
+  const { index, expected } = buildIndex(random);
+  const filter = item => item.id % 3 !== 0;
+
+  for (let i = 0; i < 200; i++) {
+    // 部分查询点落在所有对象的范围之外
+    const x = random() * 3000 - 1500;
+    const y = random() * 3000 - 1500;
+    const maxDistance = random() < 0.5 ? Infinity : random() * 200;
+    const useFilter = random() < 0.5;
+
+    let bruteDistance = Infinity;
+    expected.forEach((bounds, item) => {
+      if (useFilter && !filter(item)) return;
+      const d = boundsDistance(x, y, bounds);
+      if (d <= maxDistance) bruteDistance = Math.min(bruteDistance, d);
+    });
+
+    const found = index.nearest(x, y, { maxDistance, filter: useFilter ? filter : null });
+    if (bruteDistance === Infinity) {
+      assert.equal(found, null);
+    } else {
+      assert.ok(found, `(${x}, ${y}) 应找到对象`);
+      assert.equal(found.distance, bruteDistance);
+      assert.equal(boundsDistance(x, y, expected.get(found.item)), bruteDistance);
+    }
+  }
+});
+
+test('移除全部对象后查询为空', () => {
+  const { index, expected } = buildIndex(createRandom(5));
+  expected.forEach((bounds, item) => index.remove(item));
+  assert.equal(index.size, 0);
+  assert.deepEqual(index.queryRect({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 }), []);
+  assert.equal(index.nearest(0, 0), null);
+});